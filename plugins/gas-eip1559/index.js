@@ -0,0 +1,162 @@
+/**
+ * EIP-1559 gas plugin for YieldPilot
+ * Prices transaction steps from the base fee and the priority fee at several
+ * confidence levels of inclusion in the next block, and looks through the
+ * local history of observed base fees for an hour of the day when the same
+ * transactions are cheaper.
+ */
+
+// Plugin metadata
+export const metadata = {
+  name: 'EIP-1559 Gas Estimator',
+  type: 'gas',
+  version: '0.1.0',
+  description: 'Base and priority fee gas estimates with a cheaper execution window from the local fee history',
+  key: 'eip1559'
+};
+
+// Confidence levels (%) reported, when the gas data has a priority fee for them
+const CONFIDENCE_LEVELS = [70, 80, 90, 95, 99];
+// Level used for the headline estimate, as for the gas breakdown of a strategy
+const DEFAULT_CONFIDENCE = 80;
+// Wallets cap the fee at twice the base fee plus the tip, enough for six full blocks in a row
+const MAX_FEE_BASE_MULTIPLIER = 2;
+// An hour needs this many observations before its base fee is trusted
+const MIN_SAMPLES_PER_HOUR = 3;
+// A window is only suggested when it saves at least this share of the gas cost
+const MIN_WINDOW_SAVING = 0.1;
+
+/**
+ * Estimate gas costs for a set of transaction steps
+ *
+ * @param {Array<Object>} steps Transaction steps with a gasEstimate (e.g. from getRequiredSteps())
+ * @param {Object} [context] Fee data
+ * @param {Object} [context.gas] Gas data from the protocol data (current.baseFee, current.priorityFee, priorityFees by confidence)
+ * @param {Array<Object>} [context.history] Observed fees as { observedAt, baseFee, priorityFee }
+ * @param {number|null} [context.expectedReturnEth] Expected return over the time horizon in ETH, to express gas as a share of it
+ * @returns {Promise<Object>} Gas cost estimates
+ */
+export async function estimateGasCosts(steps, context = {}) {
+  const { gas = {}, history = [], expectedReturnEth = null } = context;
+  const totalGas = steps.reduce((total, step) => total + (step.gasEstimate || 0), 0);
+  const baseFee = gas.current?.baseFee ?? null;
+  const estimates = getFeeLevels(gas).map(level => ({ ...level, totalGasEth: toEth(totalGas, level.feePerGas) }));
+  const headline = estimates.find(estimate => estimate.confidence === DEFAULT_CONFIDENCE) || estimates[0] || null;
+
+  return {
+    totalGas,
+    baseFee,
+    totalGasEth: headline ? headline.totalGasEth : null,
+    gasShareOfReturn: headline ? getShare(headline.totalGasEth, expectedReturnEth) : null,
+    estimates,
+    breakdown: steps.map(step => ({
+      description: step.description,
+      gas: step.gasEstimate,
+      gasEth: headline ? toEth(step.gasEstimate, headline.feePerGas) : null
+    })),
+    window: headline && baseFee !== null
+      ? findExecutionWindow(history, { totalGas, baseFee, priorityFee: headline.priorityFee, expectedReturnEth })
+      : null
+  };
+}
+
+/**
+ * Optimize transaction ordering and batching
+ * Repeated approvals of the same token for the same spender are dropped: the
+ * first one already covers the amount, so only it is sent.
+ *
+ * @param {Array<Object>} steps Transaction steps
+ * @returns {Array<Object>} Optimized transaction steps
+ */
+export function optimizeTransactions(steps) {
+  const approved = new Set();
+
+  return steps.filter(step => {
+    if (step.type !== 'approval') return true;
+    const key = `${step.contract}:${step.params?.[0]}`.toLowerCase();
+    if (approved.has(key)) return false;
+    approved.add(key);
+    return true;
+  });
+}
+
+/**
+ * Find the hour of the day (UTC) when the base fee is usually lowest
+ *
+ * @param {Array<Object>} history Observed fees as { observedAt, baseFee }
+ * @param {Object} options Transactions to price
+ * @param {number} options.totalGas Gas of all transactions
+ * @param {number} options.baseFee Current base fee in gwei
+ * @param {number} options.priorityFee Priority fee in gwei, assumed unchanged
+ * @param {number|null} [options.expectedReturnEth] Expected return over the time horizon in ETH
+ * @returns {Object|null} Cheapest window, null when the history is too short or no hour is cheaper
+ */
+export function findExecutionWindow(history, { totalGas, baseFee, priorityFee, expectedReturnEth = null }) {
+  const byHour = new Map();
+  for (const entry of history) {
+    const hour = new Date(entry.observedAt).getUTCHours();
+    if (!Number.isFinite(hour) || typeof entry.baseFee !== 'number') continue;
+    byHour.set(hour, [...(byHour.get(hour) || []), entry.baseFee]);
+  }
+
+  const hours = [...byHour.entries()]
+    .filter(([, fees]) => fees.length >= MIN_SAMPLES_PER_HOUR)
+    .map(([hour, fees]) => ({ hour, baseFee: median(fees), samples: fees.length }))
+    .sort((a, b) => a.baseFee - b.baseFee);
+  const cheapest = hours[0];
+  if (!cheapest) return null;
+
+  const nowEth = toEth(totalGas, baseFee + priorityFee);
+  const windowEth = toEth(totalGas, cheapest.baseFee + priorityFee);
+  if (nowEth - windowEth < nowEth * MIN_WINDOW_SAVING) return null;
+
+  return {
+    hourUtc: cheapest.hour,
+    baseFee: cheapest.baseFee,
+    samples: cheapest.samples,
+    totalGasEth: windowEth,
+    savingsEth: toEth(totalGas, baseFee - cheapest.baseFee),
+    gasShareOfReturnNow: getShare(nowEth, expectedReturnEth),
+    gasShareOfReturn: getShare(windowEth, expectedReturnEth)
+  };
+}
+
+// Fee per gas at every confidence level with a known priority fee
+function getFeeLevels(gas) {
+  const baseFee = gas.current?.baseFee;
+  if (typeof baseFee !== 'number') {
+    // Without a base fee only the legacy price is known
+    const price = gas.current?.average;
+    return typeof price === 'number'
+      ? [{ confidence: DEFAULT_CONFIDENCE, priorityFee: null, feePerGas: price, maxFeePerGas: price }]
+      : [];
+  }
+
+  const priorityFees = { ...gas.priorityFees };
+  if (typeof priorityFees[DEFAULT_CONFIDENCE] !== 'number' && typeof gas.current.priorityFee === 'number') {
+    priorityFees[DEFAULT_CONFIDENCE] = gas.current.priorityFee;
+  }
+
+  return CONFIDENCE_LEVELS
+    .filter(confidence => typeof priorityFees[confidence] === 'number')
+    .map(confidence => ({
+      confidence,
+      priorityFee: priorityFees[confidence],
+      feePerGas: baseFee + priorityFees[confidence],
+      maxFeePerGas: baseFee * MAX_FEE_BASE_MULTIPLIER + priorityFees[confidence]
+    }));
+}
+
+function toEth(gas, gwei) {
+  return Math.round(gas * gwei) / 1e9;
+}
+
+function getShare(gasEth, expectedReturnEth) {
+  return expectedReturnEth > 0 ? gasEth / expectedReturnEth : null;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { metadata, estimateGasCosts, optimizeTransactions } from '../index.js';
+import { describePluginConformance } from '../../../src/plugins/conformanceSuite.js';
+
+const steps = [
+  { type: 'approval', description: 'Approve', gasEstimate: 100000 },
+  { type: 'transaction', description: 'Supply', gasEstimate: 250000 }
+];
+const gas = { current: { baseFee: 10, priorityFee: 1 }, priorityFees: { 70: 0.5, 80: 1, 90: 2 } };
+
+// Observed fees every hour of the last three days, cheapest at 03:00 UTC
+const history = Array.from({ length: 72 }, (_, index) => {
+  const observedAt = new Date(Date.UTC(2026, 0, 1) + index * 60 * 60 * 1000);
+  return { observedAt: observedAt.toISOString(), baseFee: observedAt.getUTCHours() === 3 ? 4 : 12, priorityFee: 1 };
+});
+
+describe('EIP-1559 gas plugin', () => {
+  it('should have correct metadata', () => {
+    assert.strictEqual(metadata.type, 'gas');
+    assert.strictEqual(typeof metadata.name, 'string');
+    assert.strictEqual(typeof metadata.version, 'string');
+    assert.strictEqual(typeof metadata.description, 'string');
+  });
+
+  it('should price the steps at every confidence level from the base and priority fee', async () => {
+    const result = await estimateGasCosts(steps, { gas, expectedReturnEth: 0.035 });
+
+    assert.strictEqual(result.totalGas, 350000);
+    assert.deepStrictEqual(result.estimates.map(estimate => [estimate.confidence, estimate.feePerGas, estimate.maxFeePerGas]), [[70, 10.5, 20.5], [80, 11, 21], [90, 12, 22]]);
+    assert.strictEqual(result.totalGasEth, 0.00385);
+    assert.strictEqual(result.gasShareOfReturn.toFixed(2), '0.11');
+    assert.deepStrictEqual(result.breakdown.map(step => step.gasEth), [0.0011, 0.00275]);
+    assert.strictEqual(result.window, null);
+  });
+
+  it('should suggest the hour with the lowest base fee in the history', async () => {
+    const result = await estimateGasCosts(steps, { gas, history, expectedReturnEth: 0.035 });
+
+    assert.strictEqual(result.window.hourUtc, 3);
+    assert.strictEqual(result.window.samples, 3);
+    assert.strictEqual(result.window.totalGasEth, 0.00175);
+    assert.strictEqual(result.window.savingsEth, 0.0021);
+    assert.strictEqual(result.window.gasShareOfReturn.toFixed(2), '0.05');
+
+    // Nothing to gain when gas is already as cheap as it gets
+    const cheap = await estimateGasCosts(steps, { gas: { ...gas, current: { baseFee: 4, priorityFee: 1 } }, history });
+    assert.strictEqual(cheap.window, null);
+  });
+
+  it('should drop repeated approvals of the same token for the same spender', () => {
+    const approval = { type: 'approval', contract: '0xToken', params: ['0xPool', '1'] };
+    const optimized = optimizeTransactions([approval, steps[1], { ...approval, params: ['0xpool', '2'] }, { ...approval, params: ['0xOther', '1'] }]);
+
+    assert.deepStrictEqual(optimized.map(step => step.params?.[0]), ['0xPool', undefined, '0xOther']);
+  });
+});
+
+// Checks the plugin contract the registry enforces at load time
+describePluginConformance(new URL('..', import.meta.url));
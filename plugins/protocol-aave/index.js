@@ -5,6 +5,7 @@
 
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { ethers } from 'ethers';
 dotenv.config();
 
 // Plugin metadata
@@ -19,14 +20,36 @@ export const metadata = {
   officialDocs: 'https://docs.aave.com'
 };
 
+// Shape of getProtocolData() output (rates are percentages, ratios are 0-1)
+export const dataSchema = {
+  type: 'object',
+  required: ['supplyRates', 'borrowRates', 'ltvRatios', 'liquidationThresholds', 'source'],
+  properties: {
+    supplyRates: { type: 'object', additionalProperties: { type: ['number', 'null'] } },
+    borrowRates: { type: 'object', additionalProperties: { type: ['number', 'null'] } },
+    ltvRatios: { type: 'object', additionalProperties: { type: 'number', minimum: 0, maximum: 1 } },
+    liquidationThresholds: { type: 'object', additionalProperties: { type: 'number', minimum: 0, maximum: 1 } },
+    reserveFactors: { type: 'object', additionalProperties: { type: 'number', minimum: 0, maximum: 1 } },
+    totalSupply: { type: 'object' },
+    totalBorrow: { type: 'object' },
+    totalLiquidityUSD: { type: ['number', 'null'] },
+    totalBorrowsUSD: { type: ['number', 'null'] },
+    source: { type: 'string' },
+    rateUnit: { type: 'string', enum: ['apr', 'apy'] },
+    mock: { type: 'boolean' }
+  }
+};
+
 /**
  * Get current Aave protocol data from The Graph
  *
+ * @param {Object} [context] Services shared by the host application
+ * @param {Object} [context.defiLlama] Cached DefiLlama service; without it DefiLlama is queried directly
  * @returns {Promise<Object>} Current Aave protocol data
  */
-export async function getProtocolData() {
+export async function getProtocolData({ defiLlama } = {}) {
   try {
-    console.log("Attempting to fetch Aave data from The Graph...");
+    console.error("Attempting to fetch Aave data from The Graph...");
 
     const apiKey = process.env.THEGRAPH_API_KEY;
     if (!apiKey) {
@@ -35,7 +58,7 @@ export async function getProtocolData() {
 
     // Aave V3 subgraph endpoint on Arbitrum One
     const endpoint = 'https://gateway.thegraph.com/api/subgraphs/id/GQFbb95cE6d8mV989mL5figjaGaKCQB3xqYrr1bRyXqF';
-    console.log("Using Aave V3 subgraph endpoint:", endpoint);
+    console.error("Using Aave V3 subgraph endpoint:", endpoint);
 
     // Simplified query with only basic fields
     const query = `{
@@ -60,10 +83,10 @@ export async function getProtocolData() {
       headers['Authorization'] = `Bearer ${apiKey}`;
     }
 
-    console.log("Sending query to The Graph...");
+    console.error("Sending query to The Graph...");
     const response = await axios.post(endpoint, { query }, { headers });
 
-    console.log("Response received. Status:", response.status);
+    console.error("Response received. Status:", response.status);
 
     if (response.data && response.data.errors) {
       console.error("GraphQL errors:", JSON.stringify(response.data.errors));
@@ -88,7 +111,7 @@ export async function getProtocolData() {
       throw new Error('No reserves data found in response');
     }
 
-    console.log(`Found ${data.reserves.length} reserves`);
+    console.error(`Found ${data.reserves.length} reserves`);
     data.reserves.forEach(reserve => {
       const symbol = reserve.symbol;
 
@@ -113,7 +136,9 @@ export async function getProtocolData() {
       totalBorrow: {},
       totalLiquidityUSD: null,
       totalBorrowsUSD: null,
-      source: 'thegraph-aave-v3'
+      source: 'thegraph-aave-v3',
+      // Ray rates are APRs
+      rateUnit: 'apr'
     };
   } catch (error) {
     console.error('Failed to fetch Aave data from The Graph:', error.message);
@@ -123,21 +148,19 @@ export async function getProtocolData() {
     }
 
     // Try fallback method - using DefiLlama
-    console.log("Attempting fallback to DefiLlama API directly...");
+    console.error("Attempting fallback to DefiLlama API directly...");
     try {
-      // Use axios directly instead of the defillama-api package
-      const defillamaResponse = await axios.get('https://yields.llama.fi/pools');
+      const pools = await fetchDefiLlamaPools(defiLlama, 'aave-v3');
 
-      if (defillamaResponse.data && defillamaResponse.data.data) {
-        console.log("Successfully fetched data from DefiLlama API");
+      if (pools.length > 0) {
+        console.error("Successfully fetched data from DefiLlama API");
 
-        const pools = defillamaResponse.data.data;
         const aavePools = pools.filter(p =>
           p.project === 'aave-v3' &&
           p.chain === 'Ethereum'
         );
 
-        console.log(`Found ${aavePools.length} Aave V3 pools on DefiLlama`);
+        console.error(`Found ${aavePools.length} Aave V3 pools on DefiLlama`);
 
         // Process pools data
         const supplyRates = {};
@@ -172,15 +195,16 @@ export async function getProtocolData() {
           totalBorrow: {},
           totalLiquidityUSD: null,
           totalBorrowsUSD: null,
-          source: 'defillama-api-fallback'
+          source: 'defillama-api-fallback',
+          rateUnit: 'apy'
         };
       }
     } catch (fallbackError) {
       console.error('Fallback to DefiLlama API also failed:', fallbackError.message);
     }
 
-    // If all else fails, use mock data for testing
-    console.log("Using mock data as fallback for testing purposes");
+    // If all else fails, use mock data for testing; flagged so the host reports it
+    console.warn("Using mock Aave data as fallback for testing purposes");
 
     // Mock data for testing
     const mockData = {
@@ -218,7 +242,8 @@ export async function getProtocolData() {
       },
       totalLiquidityUSD: 5000000000,
       totalBorrowsUSD: 2500000000,
-      source: 'mock-data-fallback'
+      source: 'mock-data-fallback',
+      mock: true
     };
 
     return mockData;
@@ -235,10 +260,9 @@ export async function getProtocolData() {
 export async function analyzeStrategy(strategy, protocolData) {
   const aaveData = protocolData.aave || await getProtocolData();
 
-  // Find where Aave is used in the strategy route
-  const hasAave = strategy.proposedRoute.some(step =>
-    step === "Aave" || step.includes("Aave")
-  );
+  // Find the Aave steps in the strategy route
+  const aaveSteps = strategy.proposedRoute.filter(step => step.protocol === "aave");
+  const hasAave = aaveSteps.length > 0;
 
   if (!hasAave) {
     return {
@@ -257,34 +281,10 @@ export async function analyzeStrategy(strategy, protocolData) {
     };
   }
 
-  // Check if the strategy involves borrowing
-  const hasBorrowing = strategy.proposedRoute.some(step =>
-    step.toLowerCase().includes("borrow")
-  );
-
   // Identify which assets are being supplied/borrowed
-  const suppliedAssets = [];
-  const borrowedAssets = [];
-
-  for (let i = 0; i < strategy.proposedRoute.length; i++) {
-    const step = strategy.proposedRoute[i];
-    if (step === "Aave" && i + 1 < strategy.proposedRoute.length) {
-      const nextStep = strategy.proposedRoute[i + 1];
-      if (nextStep.toLowerCase().includes("borrow")) {
-        // Extract asset being borrowed
-        const match = nextStep.match(/borrow\s+(\w+)/i);
-        if (match && match[1]) {
-          borrowedAssets.push(match[1]);
-        }
-      } else {
-        // Assume the previous step contains the asset being supplied
-        if (i > 0) {
-          const prevStep = strategy.proposedRoute[i - 1];
-          suppliedAssets.push(prevStep);
-        }
-      }
-    }
-  }
+  const suppliedAssets = aaveSteps.filter(step => step.action === "supply").map(step => step.assetIn);
+  const borrowedAssets = aaveSteps.filter(step => step.action === "borrow").map(step => step.assetIn);
+  const hasBorrowing = borrowedAssets.length > 0;
 
   // Calculate risk based on LTV and liquidation thresholds
   let riskScore = 5; // Default medium risk
@@ -354,34 +354,52 @@ export async function analyzeStrategy(strategy, protocolData) {
 
 /**
  * Get the steps required to interact with Aave
+ * Amounts are given in token units and returned in the token's base units.
+ * The Pool only takes ERC-20s, so native ETH is wrapped into WETH before it
+ * is supplied, and borrowed WETH is unwrapped back into ETH.
  *
- * @param {Object} options Options for the strategy
+ * @param {Object} options Options for the strategy (asset, amount, action, onBehalfOf)
  * @returns {Array<Object>} Required transaction steps
  */
 export function getRequiredSteps(options) {
   const asset = options.asset || 'ETH';
   const action = options.action || 'supply';
-  const amount = options.amount || '1.0';
+  const amount = ethers.parseUnits(String(options.amount || '1.0'), getTokenDecimals(asset)).toString();
+  const onBehalfOf = options.onBehalfOf || ethers.ZeroAddress;
+  const isNative = asset === 'ETH';
+  const token = isNative ? 'WETH' : asset;
 
   // Aave V3 Pool contract on Ethereum
   const aavePoolAddress = '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2';
 
   if (action === 'supply') {
     return [
+      ...(isNative ? [{
+        type: "transaction",
+        description: "Wrap ETH into WETH",
+        contract: getTokenAddress('WETH'),
+        method: "deposit",
+        abi: "function deposit() payable",
+        params: [],
+        value: amount,
+        gasEstimate: 50000
+      }] : []),
       {
         type: "approval",
-        description: `Approve Aave to use your ${asset}`,
-        contract: getTokenAddress(asset),
+        description: `Approve Aave to use your ${token}`,
+        contract: getTokenAddress(token),
         method: "approve",
+        abi: "function approve(address spender, uint256 amount) returns (bool)",
         params: [aavePoolAddress, amount],
         gasEstimate: 100000
       },
       {
         type: "transaction",
-        description: `Supply ${asset} to Aave`,
+        description: `Supply ${token} to Aave`,
         contract: aavePoolAddress,
         method: "supply",
-        params: [getTokenAddress(asset), amount, options.onBehalfOf || 'user_address', 0],
+        abi: "function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)",
+        params: [getTokenAddress(token), amount, onBehalfOf, 0],
         gasEstimate: 250000
       }
     ];
@@ -389,22 +407,40 @@ export function getRequiredSteps(options) {
     return [
       {
         type: "transaction",
-        description: `Borrow ${asset} from Aave`,
+        description: `Borrow ${token} from Aave`,
         contract: aavePoolAddress,
         method: "borrow",
-        params: [getTokenAddress(asset), amount, 2, 0, options.onBehalfOf || 'user_address'],
+        abi: "function borrow(address asset, uint256 amount, uint256 interestRateMode, uint16 referralCode, address onBehalfOf)",
+        params: [getTokenAddress(token), amount, 2, 0, onBehalfOf],
         gasEstimate: 300000
-      }
+      },
+      ...(isNative ? [{
+        type: "transaction",
+        description: "Unwrap the borrowed WETH into ETH",
+        contract: getTokenAddress('WETH'),
+        method: "withdraw",
+        abi: "function withdraw(uint256 wad)",
+        params: [amount],
+        gasEstimate: 40000
+      }] : [])
     ];
   }
 
   return [];
 }
 
+// Helper function to get DefiLlama yield pools of a project, through the host's cached service when given
+async function fetchDefiLlamaPools(defiLlama, project) {
+  if (defiLlama) {
+    return defiLlama.getProtocolYields(project);
+  }
+  const response = await axios.get('https://yields.llama.fi/pools');
+  return (response.data?.data || []).filter(pool => pool.project === project);
+}
+
 // Helper function to get token addresses
 function getTokenAddress(symbol) {
   const addresses = {
-    'ETH': '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE',
     'WETH': '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
     'stETH': '0xae7ab96520DE3A18E5e111B5EaAb095312D7fE84',
     'wstETH': '0x7f39C581F595B53c5cb19bD0b3f8dA6c935E2Ca0',
@@ -413,7 +449,20 @@ function getTokenAddress(symbol) {
     'DAI': '0x6B175474E89094C44Da98b954EedeAC495271d0F'
   };
 
-  return addresses[symbol] || addresses['ETH'];
+  if (!addresses[symbol]) {
+    throw new Error(`No Aave token address for ${symbol}`);
+  }
+  return addresses[symbol];
+}
+
+// Helper function to get token decimals
+function getTokenDecimals(symbol) {
+  const decimals = {
+    'USDC': 6,
+    'USDT': 6
+  };
+
+  return decimals[symbol] || 18;
 }
 
 // Simple test for getProtocolData
@@ -423,7 +472,13 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       const protocolData = await getProtocolData();
       console.log('Fetched Aave protocol data:', protocolData);
 
-      const sampleStrategy = { proposedRoute: ["ETH", "stETH", "Aave", "borrow USDC"] };
+      const sampleStrategy = {
+        proposedRoute: [
+          { protocol: "lido", action: "stake", assetIn: "ETH", assetOut: "stETH", amount: 1, leverage: 1 },
+          { protocol: "aave", action: "supply", assetIn: "stETH", assetOut: null, amount: 1, leverage: 1 },
+          { protocol: "aave", action: "borrow", assetIn: "USDC", assetOut: "USDC", amount: null, leverage: 1.5 }
+        ]
+      };
       const result = await analyzeStrategy(sampleStrategy, { aave: protocolData });
       console.log('analyzeStrategy result:', result);
     } catch (err) {
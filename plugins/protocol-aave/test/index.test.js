@@ -1,6 +1,8 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { metadata } from '../index.js';
+import { metadata, getRequiredSteps } from '../index.js';
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
 
 describe('Aave protocol plugin', () => {
   it('should have correct metadata', () => {
@@ -10,5 +12,21 @@ describe('Aave protocol plugin', () => {
     assert.strictEqual(typeof metadata.description, 'string');
   });
 
-  // Add more tests for your plugin functionality
+  it('should wrap native ETH into WETH before supplying it', () => {
+    const steps = getRequiredSteps({ action: 'supply', asset: 'ETH', amount: '1.5' });
+
+    assert.deepStrictEqual(steps.map(step => step.method), ['deposit', 'approve', 'supply']);
+    assert.strictEqual(steps[0].contract, WETH);
+    assert.strictEqual(steps[0].value, '1500000000000000000');
+    assert.strictEqual(steps[1].contract, WETH);
+    assert.strictEqual(steps[2].params[0], WETH);
+  });
+
+  it('should borrow WETH and unwrap it when ETH is borrowed', () => {
+    const steps = getRequiredSteps({ action: 'borrow', asset: 'ETH', amount: '1.0' });
+
+    assert.deepStrictEqual(steps.map(step => step.method), ['borrow', 'withdraw']);
+    assert.strictEqual(steps[0].params[0], WETH);
+    assert.deepStrictEqual(steps[1].params, ['1000000000000000000']);
+  });
 });
@@ -18,6 +18,17 @@ export const metadata = {
   officialDocs: 'https://docs.bittensor.com'
 };
 
+// Shape of getProtocolData() output
+export const dataSchema = {
+  type: 'object',
+  required: ['predictions', 'confidence', 'source'],
+  properties: {
+    predictions: { type: 'object' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    source: { type: 'string' }
+  }
+};
+
 /**
  * Get current BitTensor protocol data (AI predictions or insights)
  *
@@ -54,8 +65,8 @@ export async function analyzeStrategy(strategy: any, protocolData: any): Promise
   const bittensorData = protocolData.bittensor || await getProtocolData();
 
   // Check if the strategy involves assets supported by BitTensor predictions
-  const hasRelevantAsset = strategy.proposedRoute.some((step: string) =>
-    metadata.supportedAssets.some((asset: string) => step.includes(asset))
+  const hasRelevantAsset = strategy.proposedRoute.some((step: any) =>
+    metadata.supportedAssets.some((asset: string) => step.assetIn === asset || step.assetOut === asset)
   );
 
   if (!hasRelevantAsset) {
@@ -131,7 +142,9 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     try {
       const protocolData = await getProtocolData();
       console.log('Fetched protocol data:', protocolData);
-      const sampleStrategy = { proposedRoute: ["ETH", "stETH"] };
+      const sampleStrategy = {
+        proposedRoute: [{ protocol: "lido", action: "stake", assetIn: "ETH", assetOut: "stETH", amount: 1, leverage: 1 }]
+      };
       const result = await analyzeStrategy(sampleStrategy, { bittensor: protocolData });
       console.log('analyzeStrategy result:', result);
     } catch (err) {
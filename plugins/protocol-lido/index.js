@@ -5,8 +5,13 @@
 
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { ethers } from 'ethers';
 dotenv.config();
 
+// Lido contracts on Ethereum mainnet
+const STETH_ADDRESS = '0xae7ab96520DE3A18E5e111B5EaAb095312D7fE84';
+const WSTETH_ADDRESS = '0x7f39C581F595B53c5cb19bD0b3f8dA6c935E2Ca0';
+
 // Protocol metadata
 export const metadata = {
   name: 'Lido',
@@ -19,6 +24,22 @@ export const metadata = {
   officialDocs: 'https://docs.lido.fi'
 };
 
+// Shape of getProtocolData() output (subgraph values arrive as decimal strings)
+export const dataSchema = {
+  type: 'object',
+  required: ['stETHAPR', 'fee', 'source'],
+  properties: {
+    apr: { type: ['string', 'number', 'null'] },
+    totalRewards: { type: ['string', 'number', 'null'] },
+    totalStaked: { type: ['string', 'number', 'null'] },
+    stETHAPR: { type: ['number', 'null'], minimum: 0 },
+    tvl: { type: ['string', 'number', 'null'] },
+    fee: { type: 'number', minimum: 0, maximum: 1 },
+    source: { type: 'string' },
+    rateUnit: { type: 'string', enum: ['apr', 'apy'] }
+  }
+};
+
 /**
  * Get current Lido protocol data from The Graph
  *
@@ -56,7 +77,12 @@ export async function getProtocolData() {
       apr,
       totalRewards,
       totalStaked,
-      source: 'thegraph-decentralized'
+      // Fields consumed by the strategy builder
+      stETHAPR: apr !== null ? Number(apr) : null,
+      tvl: null, // The subgraph has no USD TVL; YieldPilot fills it in from DefiLlama
+      fee: 0.1, // Lido takes 10% of staking rewards
+      source: 'thegraph-decentralized',
+      rateUnit: 'apr'
     };
   } catch (error) {
     console.error('Failed to fetch Lido data from The Graph:', error.message);
@@ -75,9 +101,7 @@ export async function analyzeStrategy(strategy, protocolData) {
   const lidoData = protocolData.lido || await getProtocolData();
 
   // Find where Lido is used in the strategy route
-  const hasLido = strategy.proposedRoute.some(step =>
-    step === "stETH" || step.includes("stETH")
-  );
+  const hasLido = strategy.proposedRoute.some(step => step.protocol === "lido");
 
   if (!hasLido) {
     return {
@@ -127,22 +151,52 @@ export async function analyzeStrategy(strategy, protocolData) {
 
 /**
  * Get the steps required to interact with Lido
+ * Amounts are given in ETH/stETH units and returned in wei
  *
- * @param {Object} options Options for the strategy
+ * @param {Object} options Options for the strategy (action: 'stake' | 'wrap', amount)
  * @returns {Array<Object>} Required transaction steps
  */
-export function getRequiredSteps(options) {
-  // Define the transaction steps for interacting with Lido
-  return [
-    {
-      type: "transaction",
-      description: "Stake ETH in Lido to receive stETH",
-      contract: "0xae7ab96520DE3A18E5e111B5EaAb095312D7fE84",
-      method: "submit",
-      params: [],
-      gasEstimate: 180000
-    }
-  ];
+export function getRequiredSteps(options = {}) {
+  const action = options.action || 'stake';
+  const amount = ethers.parseEther(String(options.amount || '1.0')).toString();
+
+  if (action === 'stake') {
+    return [
+      {
+        type: "transaction",
+        description: "Stake ETH in Lido to receive stETH",
+        contract: STETH_ADDRESS,
+        method: "submit",
+        abi: "function submit(address _referral) payable returns (uint256)",
+        params: [ethers.ZeroAddress],
+        value: amount,
+        gasEstimate: 180000
+      }
+    ];
+  } else if (action === 'wrap') {
+    return [
+      {
+        type: "approval",
+        description: "Approve wstETH to use your stETH",
+        contract: STETH_ADDRESS,
+        method: "approve",
+        abi: "function approve(address spender, uint256 amount) returns (bool)",
+        params: [WSTETH_ADDRESS, amount],
+        gasEstimate: 50000
+      },
+      {
+        type: "transaction",
+        description: "Wrap stETH into wstETH",
+        contract: WSTETH_ADDRESS,
+        method: "wrap",
+        abi: "function wrap(uint256 _stETHAmount) returns (uint256)",
+        params: [amount],
+        gasEstimate: 120000
+      }
+    ];
+  }
+
+  return [];
 }
 
 // Simple test for getProtocolData and analyzeStrategy
@@ -151,7 +205,9 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     try {
       const protocolData = await getProtocolData();
       console.log('Fetched protocol data:', protocolData);
-      const sampleStrategy = { proposedRoute: ["ETH", "stETH"] };
+      const sampleStrategy = {
+        proposedRoute: [{ protocol: "lido", action: "stake", assetIn: "ETH", assetOut: "stETH", amount: 1, leverage: 1 }]
+      };
       const result = await analyzeStrategy(sampleStrategy, { lido: protocolData });
       console.log('analyzeStrategy result:', result);
     } catch (err) {
@@ -5,8 +5,14 @@
 
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { ethers } from 'ethers';
 dotenv.config();
 
+// Renzo contracts on Ethereum mainnet
+const RESTAKE_MANAGER_ADDRESS = '0x74a09653A083691711cF8215a6ab074BB4e99ef5';
+const EZETH_ADDRESS = '0xbf5495Efe5DB9ce00f80364C8B423567e58d2110';
+const WITHDRAW_QUEUE_ADDRESS = '0x5efc9D10E42FB517456f4ac41EB5e2eBe42C8918';
+
 // Plugin metadata
 export const metadata = {
   name: 'Renzo',
@@ -19,13 +25,28 @@ export const metadata = {
   officialDocs: 'https://docs.renzoprotocol.com/'
 };
 
+// Shape of getProtocolData() output (TVL in USD, APY boost as a percentage)
+export const dataSchema = {
+  type: 'object',
+  required: ['tvl', 'apyBoost', 'fee', 'source'],
+  properties: {
+    tvl: { type: ['number', 'null'], minimum: 0 },
+    apyBoost: { type: ['number', 'null'] },
+    fee: { type: 'number', minimum: 0, maximum: 1 },
+    source: { type: 'string' },
+    rateUnit: { type: 'string', enum: ['apr', 'apy'] }
+  }
+};
+
 /**
  * Get current Renzo protocol data from The Graph or DefiLlama
  *
+ * @param {Object} [context] Services shared by the host application
+ * @param {Object} [context.defiLlama] Cached DefiLlama service; without it DefiLlama is queried directly
  * @returns {Promise<Object>} Current Renzo protocol data
  */
-export async function getProtocolData() {
-  console.log("Attempting to fetch Renzo data...");
+export async function getProtocolData({ defiLlama } = {}) {
+  console.error("Attempting to fetch Renzo data...");
   const apiKey = process.env.THEGRAPH_API_KEY;
   const subgraphId = "HXWd4suSQ4TztRznBCi1dWdBKrHvkDPZBA2hy5nng1eL"; // For Renzo Blast as per user
   // Note: The provided link is for Arbitrum, but the page content says "blast-mainnet".
@@ -70,7 +91,7 @@ export async function getProtocolData() {
 
   // Try The Graph first
   try {
-    console.log("Attempting to fetch Renzo data from The Graph:", endpoint);
+    console.error("Attempting to fetch Renzo data from The Graph:", endpoint);
     if (!apiKey) {
       console.warn("Missing THEGRAPH_API_KEY in environment variables. The Graph query might fail or be rate-limited.");
     }
@@ -95,12 +116,12 @@ export async function getProtocolData() {
     const ezEthPool = graphData.pools?.find(p => p.outputToken?.symbol === 'ezETH' || p.name?.toLowerCase().includes('ezeth'));
     if (ezEthPool) {
       if (!tvl) tvl = parseFloat(ezEthPool.totalValueLockedUSD);
-      console.log("Found ezETH pool from The Graph:", ezEthPool);
+      console.error("Found ezETH pool from The Graph:", ezEthPool);
       // Future: attempt to derive APR from pool revenues if possible
     }
     if (tvl !== null) {
       source = 'thegraph-renzo';
-      console.log(`Renzo TVL from The Graph: ${tvl}`);
+      console.error(`Renzo TVL from The Graph: ${tvl}`);
     }
   } catch (graphError) {
     console.error('Failed to fetch Renzo data from The Graph:', graphError.message);
@@ -113,11 +134,10 @@ export async function getProtocolData() {
 
   // If APR is still null (not found via The Graph, or Graph call failed), try DefiLlama
   if (apr === null) {
-    console.log("Attempting to fetch Renzo APY from DefiLlama API...");
+    console.error("Attempting to fetch Renzo APY from DefiLlama API...");
     try {
-      const defillamaResponse = await axios.get('https://yields.llama.fi/pools');
-      if (defillamaResponse.data && defillamaResponse.data.data) {
-        const pools = defillamaResponse.data.data;
+      const pools = await fetchDefiLlamaPools(defiLlama, 'renzoprotocol');
+      if (pools.length > 0) {
         const renzoPoolLlama = pools.find(p =>
           p.project === 'renzoprotocol' &&
           (p.chain === 'Ethereum' || p.chain === 'Blast') &&
@@ -127,7 +147,7 @@ export async function getProtocolData() {
         if (renzoPoolLlama) {
           apr = renzoPoolLlama.apyBase || renzoPoolLlama.apy || null;
           if (apr !== null) {
-            console.log(`Successfully fetched Renzo APY from DefiLlama API: ${apr}`);
+            console.error(`Successfully fetched Renzo APY from DefiLlama API: ${apr}`);
             // If TVL also came from DefiLlama (e.g. graph failed completely) or is missing,
             // update it and the source.
             if (tvl === null && renzoPoolLlama.tvlUsd) {
@@ -159,7 +179,10 @@ export async function getProtocolData() {
   return {
     tvl: tvl,
     apyBoost: apr,
-    source: tvl === null && apr === null ? 'no-data' : source
+    fee: 0.15,
+    source: tvl === null && apr === null ? 'no-data' : source,
+    // The rate only comes from DefiLlama, as an APY
+    rateUnit: 'apy'
   };
 }
 
@@ -173,9 +196,7 @@ export async function getProtocolData() {
 export async function analyzeStrategy(strategy, protocolData) {
   const renzoData = protocolData.renzo || (await getProtocolData()); // Fetch if not provided
 
-  const usesRenzo = strategy.proposedRoute.some(step =>
-    typeof step === 'string' && step.toLowerCase().includes('renzo')
-  );
+  const usesRenzo = strategy.proposedRoute.some(step => step.protocol === 'renzo');
 
   if (!usesRenzo) {
     return {
@@ -214,45 +235,47 @@ export async function analyzeStrategy(strategy, protocolData) {
 /**
  * Get the steps required to interact with Renzo
  * (e.g., deposit ETH to get ezETH)
+ * Amounts are given in ETH/ezETH units and returned in wei
  *
  * @param {Object} options Options for the strategy (asset, amount, action)
  * @returns {Array<Object>} Required transaction steps
  */
 export function getRequiredSteps(options) {
   const { asset = 'ETH', amount = '1.0', action = 'stake' } = options;
-
-  // Placeholder - actual contract addresses and methods depend on Renzo's deployment
-  const renzoRouterAddress = '0xREPLACE_WITH_RENZO_ROUTER_ADDRESS'; // Example
+  const amountWei = ethers.parseEther(String(amount)).toString();
 
   if (action === 'stake' && asset === 'ETH') {
     return [
       {
         type: "transaction",
         description: 'Stake ' + amount + ' ' + asset + ' with Renzo for ezETH',
-        contract: renzoRouterAddress,
-        method: "depositETH", // This is a guess, check Renzo docs for actual method
-        params: [], // May need recipient address or other params
-        value: amount, // Sending ETH
+        contract: RESTAKE_MANAGER_ADDRESS,
+        method: "depositETH",
+        abi: "function depositETH() payable",
+        params: [],
+        value: amountWei, // Sending ETH
         gasEstimate: 200000 // Rough estimate
       }
     ];
   } else if (action === 'unstake' && asset === 'ezETH') {
-    // Unstaking from Renzo can be more complex (e.g., involving a withdrawal queue)
+    // Unstaking from Renzo goes through a withdrawal queue with a cooldown period
     return [
        {
-        type: "approval", // If ezETH is an ERC20, approval might be needed
+        type: "approval",
         description: 'Approve Renzo to spend your ' + amount + ' ' + asset,
-        contract: '0xREPLACE_WITH_EZETH_TOKEN_ADDRESS', // ezETH token address
+        contract: EZETH_ADDRESS,
         method: "approve",
-        params: [renzoRouterAddress, amount], // spender, amount
+        abi: "function approve(address spender, uint256 amount) returns (bool)",
+        params: [WITHDRAW_QUEUE_ADDRESS, amountWei], // spender, amount
         gasEstimate: 80000
       },
       {
         type: "transaction",
         description: 'Initiate unstake of ' + amount + ' ' + asset + ' from Renzo',
-        contract: renzoRouterAddress,
-        method: "withdrawETH", // Guess, check docs
-        params: [amount], // Amount of ezETH to unstake
+        contract: WITHDRAW_QUEUE_ADDRESS,
+        method: "withdraw",
+        abi: "function withdraw(uint256 _amount, address _assetOut)",
+        params: [amountWei, ethers.ZeroAddress], // Amount of ezETH to unstake, ETH out
         gasEstimate: 250000
       }
     ];
@@ -260,6 +283,15 @@ export function getRequiredSteps(options) {
   return [];
 }
 
+// Helper function to get DefiLlama yield pools of a project, through the host's cached service when given
+async function fetchDefiLlamaPools(defiLlama, project) {
+  if (defiLlama) {
+    return defiLlama.getProtocolYields(project);
+  }
+  const response = await axios.get('https://yields.llama.fi/pools');
+  return (response.data?.data || []).filter(pool => pool.project === project);
+}
+
 // Simple test for getProtocolData
 const path = await import('path');
 const url = await import('url');
@@ -278,19 +310,24 @@ if (currentFilePath === scriptPath) {
       const strategiesToTest = [
         {
           name: "Direct ETH Restaking via Renzo",
-          strategy: { proposedRoute: ["ETH", "Stake ETH with Renzo for ezETH"] }
+          strategy: { proposedRoute: [
+            { protocol: "renzo", action: "restake", assetIn: "ETH", assetOut: "ezETH", amount: 1, leverage: 1 }
+          ] }
         },
         {
           name: "Leveraged Staking Loop involving Renzo",
-          strategy: { proposedRoute: ["Stake ETH with Lido for stETH", "Deposit stETH to Aave", "Borrow ETH from Aave against stETH", "Restake borrowed ETH with Renzo for ezETH"] }
+          strategy: { proposedRoute: [
+            { protocol: "lido", action: "stake", assetIn: "ETH", assetOut: "stETH", amount: 1, leverage: 1 },
+            { protocol: "aave", action: "supply", assetIn: "stETH", assetOut: null, amount: 1, leverage: 1 },
+            { protocol: "aave", action: "borrow", assetIn: "ETH", assetOut: "ETH", amount: 0.5, leverage: 1.5 },
+            { protocol: "renzo", action: "restake", assetIn: "ETH", assetOut: "ezETH", amount: 0.5, leverage: 1.5 }
+          ] }
         },
         {
           name: "Simple Lido Staking (No Renzo)",
-          strategy: { proposedRoute: ["Stake ETH with Lido for stETH"] }
-        },
-        {
-          name: "Strategy mentioning Renzo but as part of a broader context",
-          strategy: { proposedRoute: ["Swap USDC to ETH", "Research Renzo protocol", "Decide on staking options"] }
+          strategy: { proposedRoute: [
+            { protocol: "lido", action: "stake", assetIn: "ETH", assetOut: "stETH", amount: 1, leverage: 1 }
+          ] }
         }
       ];
 
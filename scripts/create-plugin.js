@@ -221,13 +221,23 @@ export const metadata = {
   officialDocs: 'https://docs.example.com'
 };
 
+// Shape of getProtocolData() output, checked by the plugin conformance suite
+export const dataSchema = {
+  type: 'object',
+  properties: {
+    // Protocol-specific fields, e.g. apr: { type: ['number', 'null'] }
+  }
+};
+
 /**
  * Get current protocol data
  * In production, this would fetch real-time data from APIs/subgraphs
  *
+ * @param {Object} [context] Services shared by the host application
+ * @param {Object} [context.defiLlama] Cached DefiLlama service
  * @returns {Promise<Object>} Current protocol data
  */
-export async function getProtocolData() {
+export async function getProtocolData({ defiLlama } = {}) {
   // TODO: Implement protocol data fetching
   return {
     // Protocol-specific data
@@ -369,6 +379,7 @@ function getTestTemplate(type, name) {
   return `import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import { metadata } from '../index.js';
+import { describePluginConformance } from '../../../src/plugins/conformanceSuite.js';
 
 describe('${formattedName} ${type} plugin', () => {
   it('should have correct metadata', () => {
@@ -380,6 +391,9 @@ describe('${formattedName} ${type} plugin', () => {
 
   // Add more tests for your plugin functionality
 });
+
+// Checks the plugin contract the registry enforces at load time
+describePluginConformance(new URL('..', import.meta.url));
 `;
 }
 
@@ -1,11 +1,14 @@
 #!/usr/bin/env node
 
 import chalk from 'chalk';
+import { normalizeRoute, formatRoute } from '../src/routes/index.js';
 
 /**
  * Mock version of the CLI output for yield-pilot
  * This demonstrates the expected output format for different strategies
- * without relying on the live APIs
+ * without relying on the live APIs. For reproducible runs of the real
+ * pipeline, record a snapshot with `simulate --record` and rerun it with
+ * `simulate --replay`.
  */
 
 // Suppress console.log messages temporarily during tests
@@ -42,7 +45,7 @@ function displayStrategy(strategy) {
   console.log(chalk.bold('Route:'));
 
   // Display route as a flow
-  console.log('  ' + strategy.proposedRoute.join(chalk.gray(' → ')));
+  console.log('  ' + formatRoute(normalizeRoute(strategy.proposedRoute), chalk.gray(' → ')));
 
   console.log('\n' + chalk.bold('Estimated Metrics:'));
   console.log(`  ${chalk.bold('Gross APR:')} ${chalk.green(strategy.grossAPR)}`);
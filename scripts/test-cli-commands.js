@@ -1,19 +1,23 @@
 #!/usr/bin/env node
 
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import { analyzeStrategy } from '../src/analyzer/index.js';
+import config from '../src/config/index.js';
 import chalk from 'chalk';
+import { normalizeRoute, formatRoute } from '../src/routes/index.js';
 
 /**
  * Simulate CLI command output for yield-pilot
  * This is a test script to show how different commands would behave
  */
 
-// Suppress console.log messages temporarily during tests
-const originalConsoleLog = console.log;
+// Suppress the fetch progress the services log to stderr during tests
+const originalConsoleError = console.error;
 function setupLogSuppression() {
-  // Store the original console.log
   // Replace with filtered version that ignores specific messages
-  console.log = function(...args) {
+  console.error = function(...args) {
     // Only suppress certain types of log messages
     if (args.length > 0 && typeof args[0] === 'string') {
       const msg = args[0];
@@ -26,14 +30,14 @@ function setupLogSuppression() {
         return; // Ignore this log message
       }
     }
-    // Pass through all other logs to the original console.log
-    originalConsoleLog.apply(console, args);
+    // Pass through all other logs to the original console.error
+    originalConsoleError.apply(console, args);
   };
 }
 
 function restoreConsoleLogs() {
   // Restore normal logging
-  console.log = originalConsoleLog;
+  console.error = originalConsoleError;
 }
 
 // Utility function to display strategy results in a readable format (copied from CLI)
@@ -42,7 +46,7 @@ function displayStrategy(strategy) {
   console.log(chalk.bold('Route:'));
 
   // Display route as a flow
-  console.log('  ' + strategy.proposedRoute.join(chalk.gray(' → ')));
+  console.log('  ' + formatRoute(normalizeRoute(strategy.proposedRoute), chalk.gray(' → ')));
 
   console.log('\n' + chalk.bold('Estimated Metrics:'));
   console.log(`  ${chalk.bold('Gross APR:')} ${chalk.green(strategy.grossAPR)}`);
@@ -173,6 +177,11 @@ async function runTests() {
   // Suppress noisy logs
   setupLogSuppression();
 
+  // Keep the prompt log and gas history of these runs out of the user's own
+  const logDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'yield-pilot-cli-commands-'));
+  config.prompts.logDirectory = logDirectory;
+  config.gas.historyFile = path.join(logDirectory, 'gas-history.jsonl');
+
   try {
     for (const testCase of testCases) {
       console.log('\n' + chalk.bold.blue('='.repeat(80)));
@@ -192,6 +201,7 @@ async function runTests() {
   } finally {
     // Always restore console logs when done
     restoreConsoleLogs();
+    await fs.rm(logDirectory, { recursive: true, force: true });
   }
 }
 
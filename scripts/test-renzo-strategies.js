@@ -1,10 +1,14 @@
 #!/usr/bin/env node
 
 import chalk from 'chalk';
+import { normalizeRoute, formatRoute } from '../src/routes/index.js';
 
 /**
  * Test script to demonstrate how Renzo protocol integrates with other protocols
  * in different yield strategies within the EigenPilot ecosystem
+ *
+ * The pairs below are hand-built; to compare routes valued on live data use
+ * `yield-pilot compare --route "ETH,Renzo" --route "ETH,stETH,wstETH"`
  */
 
 // Suppress console.log messages temporarily during tests
@@ -43,8 +47,8 @@ function displayStrategyComparison(strategyPair) {
 
   // Display the side by side comparison
   console.log('\n' + chalk.bold('Route:'));
-  console.log(chalk.bold.green('With Renzo:     ') + withRenzo.proposedRoute.join(chalk.gray(' → ')));
-  console.log(chalk.bold.yellow('Without Renzo:  ') + withoutRenzo.proposedRoute.join(chalk.gray(' → ')));
+  console.log(chalk.bold.green('With Renzo:     ') + formatRoute(normalizeRoute(withRenzo.proposedRoute), chalk.gray(' → ')));
+  console.log(chalk.bold.yellow('Without Renzo:  ') + formatRoute(normalizeRoute(withoutRenzo.proposedRoute), chalk.gray(' → ')));
 
   console.log('\n' + chalk.bold('Yield Comparison:'));
   console.log(`  ${chalk.bold('Gross APR:')}      ${chalk.green(withRenzo.grossAPR)} vs ${chalk.yellow(withoutRenzo.grossAPR)} (${getDifference(withRenzo.grossAPR, withoutRenzo.grossAPR)})`);
@@ -0,0 +1,211 @@
+import chalk from 'chalk';
+import config from '../config/index.js';
+import { validateSchema, formatSchemaErrors } from '../validation/index.js';
+import { normalizeRoute, formatRoute, getInputAsset, getRouteLabels } from '../routes/index.js';
+import { logPromptRun } from '../prompts/index.js';
+import { DeterministicProvider } from './providers/deterministicProvider.js';
+import { OpenAIProvider } from './providers/openAIProvider.js';
+import { LocalProvider } from './providers/localProvider.js';
+
+/**
+ * Strategy agent
+ * Sends the strategy agent prompt, rendered with the YAML-serialized
+ * simulation input, to the provider selected by config.llm.provider:
+ *
+ *   - deterministic (default) - the rule-based route engine, no model involved
+ *   - openai - any OpenAI-compatible /chat/completions API
+ *   - local - an Ollama model server
+ *
+ * A model's answer must match the Output Format of strategyAgentPrompt.txt and
+ * propose a route we can parse from the user's input asset. Otherwise, or when
+ * the provider fails, the deterministic strategy is used and a warning says so.
+ * Every run is recorded in the prompt log (see src/prompts).
+ */
+
+const PERCENT_PATTERN = '^-?\\d+(\\.\\d+)?%$';
+
+// Output Format of strategyAgentPrompt.txt
+export const agentOutputSchema = {
+  type: 'object',
+  required: ['proposedRoute', 'grossAPR', 'netYield', 'gasEstimateEth', 'riskScore', 'insight', 'judgment'],
+  properties: {
+    proposedRoute: { type: 'array', minItems: 1, items: { type: ['string', 'object'] } },
+    grossAPR: { type: 'string', pattern: PERCENT_PATTERN },
+    netYield: { type: 'string', pattern: PERCENT_PATTERN },
+    gasEstimateEth: { type: ['string', 'number'], pattern: '^\\d+(\\.\\d+)?$', minimum: 0 },
+    riskScore: { type: 'number', minimum: 1, maximum: 10 },
+    insight: { type: 'string' },
+    judgment: { type: 'string' }
+  }
+};
+
+/**
+ * Create a strategy provider by name
+ *
+ * @param {string} [name] deterministic, openai or local
+ * @param {Object} [options] Provider options (baseUrl, model, apiKey, timeout), config.llm by default
+ * @returns {Object} Provider with name, model and generate({ prompt, strategyInput, protocolData })
+ */
+export function createProvider(name = config.llm.provider, options = config.llm) {
+  switch (name) {
+    case 'deterministic':
+      return new DeterministicProvider();
+    case 'openai':
+      return new OpenAIProvider(options);
+    case 'local':
+      return new LocalProvider(options);
+    default:
+      console.warn(chalk.yellow(`Unknown LLM provider "${name}"; using the deterministic strategy builder`));
+      return new DeterministicProvider();
+  }
+}
+
+/**
+ * Parse and validate a model's answer
+ *
+ * @param {string|Object} response Raw answer, or an already parsed object
+ * @param {Object} strategyInput Validated user input
+ * @returns {{ output: Object|null, errors: Array<string> }} Output with a typed route, or the reasons it was rejected
+ */
+export function parseAgentOutput(response, strategyInput) {
+  let output = response;
+  if (typeof response === 'string') {
+    try {
+      output = JSON.parse(extractJson(response));
+    } catch (error) {
+      return { output: null, errors: [`response is not JSON (${error.message})`] };
+    }
+  }
+
+  const errors = formatSchemaErrors(validateSchema(output, agentOutputSchema));
+  if (errors.length > 0) return { output: null, errors };
+
+  const proposedRoute = normalizeRoute(output.proposedRoute);
+  for (const step of proposedRoute.filter(step => step.action === 'unknown')) {
+    errors.push(`proposedRoute: unknown step "${step.label}"`);
+  }
+  if (getInputAsset(proposedRoute) !== strategyInput.inputAsset) {
+    errors.push(`proposedRoute: starts from ${getInputAsset(proposedRoute)}, expected ${strategyInput.inputAsset}`);
+  }
+  if (errors.length > 0) return { output: null, errors };
+
+  return {
+    output: {
+      proposedRoute,
+      grossAPR: `${parseFloat(output.grossAPR).toFixed(1)}%`,
+      netYield: `${parseFloat(output.netYield).toFixed(1)}%`,
+      gasEstimateEth: Number(output.gasEstimateEth).toFixed(4),
+      riskScore: output.riskScore,
+      insight: output.insight,
+      judgment: output.judgment
+    },
+    errors: []
+  };
+}
+
+/**
+ * Build a strategy with the configured provider
+ * The deterministic strategy is always built: it is the fallback, and it
+ * carries the data sources and lineage of the protocol data.
+ *
+ * @param {Object} request Agent request
+ * @param {Object} request.prompt Prompt from renderPrompt('strategyAgent', ...)
+ * @param {Object} request.strategyInput Validated user input
+ * @param {Object} request.protocolData Canonical protocol data
+ * @param {Object} [request.provider] Provider to use instead of the configured one
+ * @param {Function} [request.log] Records the run, logPromptRun() by default
+ * @returns {Promise<Object>} Strategy, with generatedBy naming the provider that proposed it and promptLogId its log entry
+ */
+export async function runStrategyAgent({ prompt, strategyInput, protocolData, provider = createProvider(), log = logPromptRun }) {
+  const request = { prompt: prompt.text, strategyInput, protocolData };
+  const deterministic = provider instanceof DeterministicProvider ? provider : new DeterministicProvider();
+  const baseline = {
+    ...await deterministic.generate(request),
+    generatedBy: { provider: deterministic.name, model: null }
+  };
+
+  if (provider === deterministic) {
+    const promptLogId = await recordRun(log, { prompt, provider, rawOutput: null, strategy: baseline });
+    return { ...baseline, promptLogId };
+  }
+
+  let rawOutput = null;
+  let errors;
+  try {
+    rawOutput = await provider.generate(request);
+    const result = parseAgentOutput(rawOutput, strategyInput);
+    if (result.output) {
+      const strategy = mergeAgentOutput(baseline, result.output, provider);
+      const promptLogId = await recordRun(log, { prompt, provider, rawOutput, strategy });
+      return { ...strategy, promptLogId };
+    }
+    errors = result.errors;
+  } catch (error) {
+    errors = [error.message];
+  }
+
+  console.warn(chalk.yellow(`No valid ${provider.name} response; using the deterministic strategy builder:`));
+  errors.forEach(message => console.warn(chalk.yellow(`  - ${message}`)));
+  const promptLogId = await recordRun(log, { prompt, provider, rawOutput, strategy: null, errors });
+  return {
+    ...baseline,
+    warnings: [
+      ...(baseline.warnings || []),
+      `The ${provider.name} model (${provider.model}) gave no valid strategy, so the deterministic strategy is shown`
+    ],
+    promptLogId
+  };
+}
+
+// A failing log must not fail the simulation
+async function recordRun(log, { prompt, provider, rawOutput, strategy, errors = [] }) {
+  try {
+    return await log({
+      prompt,
+      provider: provider.name,
+      model: provider.model,
+      rawOutput: typeof rawOutput === 'string' || rawOutput === null ? rawOutput : JSON.stringify(rawOutput),
+      parsed: strategy && toOutputFormat(strategy),
+      errors
+    });
+  } catch (error) {
+    console.warn(chalk.yellow('Failed to log prompt:'), error.message);
+    return null;
+  }
+}
+
+// The fields of the prompt's Output Format, with the route as labels
+function toOutputFormat(strategy) {
+  return {
+    proposedRoute: getRouteLabels(normalizeRoute(strategy.proposedRoute)),
+    grossAPR: strategy.grossAPR,
+    netYield: strategy.netYield,
+    gasEstimateEth: strategy.gasEstimateEth,
+    riskScore: strategy.riskScore,
+    insight: strategy.insight,
+    judgment: strategy.judgment
+  };
+}
+
+// Position details are only kept when the model chose the route the engine valued
+function mergeAgentOutput(baseline, output, provider) {
+  const strategy = {
+    ...baseline,
+    ...output,
+    generatedBy: { provider: provider.name, model: provider.model }
+  };
+
+  if (formatRoute(output.proposedRoute) !== formatRoute(normalizeRoute(baseline.proposedRoute))) {
+    delete strategy.leverage;
+    delete strategy.positionModel;
+    delete strategy.lineage;
+  }
+  return strategy;
+}
+
+// Models often wrap JSON in a Markdown code fence or a sentence
+function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start >= 0 && end > start ? text.slice(start, end + 1) : text;
+}
@@ -0,0 +1,98 @@
+import { getProtocolData } from '../protocols/index.js';
+import { calculateYield } from '../projections/index.js';
+import { normalizeRoute, formatRoute, getRouteLabels } from '../routes/index.js';
+import { strategyBuilder } from './strategyBuilder.js';
+import { RISK_TIERS } from './routeEngine.js';
+import { validateStrategyInput } from './index.js';
+
+/**
+ * Strategy comparison
+ * Runs the deterministic strategy builder and the yield projections for every
+ * risk tier, or for a list of routes chosen by the user, against one protocol
+ * data snapshot so the rows differ only in the route.
+ *
+ * Result shape:
+ *   {
+ *     input: Object,              // Validated strategy input shared by every row
+ *     rows: [{
+ *       label,                    // Risk tier or route
+ *       riskTolerance,
+ *       route: string[],          // Route labels, starting with the input asset
+ *       grossAPR, netYield,       // Yearly rates as "3.2%"
+ *       periodNetReturn,          // Net return over the time horizon as "0.26%"
+ *       gasEstimateEth,           // As "0.0040"
+ *       breakEvenDays,            // Days of net yield that cover entry and exit gas, null when it never does
+ *       minimumAmount,            // Smallest amount that beats Lido staking, null when none does
+ *       riskScore,
+ *       liquidationPrice,         // ETH price in USD, null when the position cannot be liquidated by it
+ *       judgment
+ *     }]
+ *   }
+ */
+
+// Columns of the CSV output, in order
+const CSV_COLUMNS = ['label', 'riskTolerance', 'route', 'grossAPR', 'netYield', 'periodNetReturn', 'gasEstimateEth', 'breakEvenDays', 'minimumAmount', 'riskScore', 'liquidationPrice', 'judgment'];
+
+/**
+ * Compare strategies for the same input
+ *
+ * @param {Object} strategyInput User input (the risk tolerance is replaced by each tier unless routes are given)
+ * @param {Object} [options] Options
+ * @param {Array<Array<Object|string>>} [options.routes] Routes to value instead of the risk tiers, as typed steps or labels
+ * @param {Object} [options.protocolData] Protocol data to use instead of fetching it
+ * @returns {Promise<Object>} Comparison as { input, rows }
+ * @throws {SchemaValidationError} When the input does not match simulationPromptSchema.yaml
+ */
+export async function compareStrategies(strategyInput, { routes = [], protocolData } = {}) {
+  const input = await validateStrategyInput(strategyInput);
+  const steps = routes.map(normalizeRoute);
+  const data = protocolData || await getProtocolData();
+
+  const scenarios = steps.length > 0
+    ? steps.map(route => ({ label: formatRoute(route), input, route }))
+    : RISK_TIERS.map(tier => ({ label: tier, input: { ...input, riskTolerance: tier } }));
+
+  const rows = [];
+  for (const scenario of scenarios) {
+    const strategy = await strategyBuilder(scenario.input, data, { route: scenario.route });
+    rows.push(toRow(scenario, await calculateYield(strategy, scenario.input, data)));
+  }
+
+  return { input, rows };
+}
+
+/**
+ * Format a comparison as CSV
+ *
+ * @param {Object} comparison Comparison from compareStrategies()
+ * @returns {string} CSV with a header line, routes joined with " → "
+ */
+export function formatComparisonCsv(comparison) {
+  const lines = comparison.rows.map(row => CSV_COLUMNS.map(column => {
+    const value = column === 'route' ? row.route.join(' → ') : row[column];
+    return escapeCsv(value === null ? '' : String(value));
+  }).join(','));
+
+  return [CSV_COLUMNS.join(','), ...lines].join('\n');
+}
+
+function toRow(scenario, strategy) {
+  return {
+    label: scenario.label,
+    riskTolerance: scenario.input.riskTolerance,
+    route: getRouteLabels(strategy.proposedRoute),
+    grossAPR: strategy.grossAPR,
+    netYield: strategy.netYield,
+    periodNetReturn: strategy.periodNetReturn,
+    gasEstimateEth: strategy.gasEstimateEth,
+    breakEvenDays: strategy.breakEven?.breakEvenDays ?? null,
+    minimumAmount: strategy.breakEven?.minimumAmount ?? null,
+    riskScore: strategy.riskScore,
+    liquidationPrice: strategy.leverage?.liquidationPrice ?? null,
+    judgment: strategy.judgment
+  };
+}
+
+function escapeCsv(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
@@ -4,81 +4,143 @@ import { fileURLToPath } from 'url';
 import { calculateYield } from '../projections/index.js';
 import { getProtocolData } from '../protocols/index.js';
 import { generateInsights } from '../insights/index.js';
-import { strategyBuilder } from './strategyBuilder.js';
+import { runMonteCarlo } from '../projections/monteCarlo.js';
+import { runGasPlugin } from '../projections/gas.js';
+import { reportInFiat } from '../projections/fiat.js';
+import priceService from '../services/prices.js';
+import { isReplaying, captureQuote, getReplayedQuote } from '../snapshots/index.js';
+import { runStrategyAgent } from './agent.js';
+import { runPluginAnalyzers } from './pluginAnalysis.js';
+import { renderPrompt } from '../prompts/index.js';
+import { validateSchema, applySchemaDefaults, SchemaValidationError } from '../validation/index.js';
 import YAML from 'yaml';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 /**
  * Analyze a strategy based on user inputs
- * In production, this would call a real AI model with the prompt
+ * The strategy comes from the provider selected by config.llm.provider, the
+ * deterministic route engine by default (see agent.js)
  *
  * @param {Object} strategyInput User input defining strategy requirements
  * @returns {Promise<Object>} Strategy analysis results
+ * @throws {SchemaValidationError} When the input does not match simulationPromptSchema.yaml
  */
 export async function analyzeStrategy(strategyInput) {
   try {
-    // Load the strategy agent prompt
-    const promptPath = path.join(__dirname, '../../strategyAgentPrompt.txt');
-    const promptTemplate = await fs.readFile(promptPath, 'utf-8');
+    const schema = await loadSimulationSchema();
 
-    // Load schema (now in YAML format)
-    const schemaPath = path.join(__dirname, '../../simulationPromptSchema.yaml');
-    const schemaContent = await fs.readFile(schemaPath, 'utf-8');
-    const schema = YAML.parse(schemaContent);
+    // Reject malformed input before fetching anything
+    const userInput = formatInputAccordingToSchema(strategyInput, schema.properties.userInput, 'userInput');
 
     // Get current protocol data
     const protocolData = await getProtocolData();
 
-    // Prepare input for AI model according to the schema
+    // Prepare input for AI model according to the schema; marketContext is filled from its defaults
     const aiInput = {
-      userInput: strategyInput,
-      protocolData: protocolData,
-      marketContext: {
-        marketTrend: "neutral",
-        riskWarnings: []
-      }
+      userInput,
+      protocolData,
+      marketContext: {}
     };
 
     // Format the AI input using the schema structure
     const formattedInput = formatInputAccordingToSchema(aiInput, schema);
 
-    // In production, this would call the AI service with the prompt and formatted input
-    // For development, we use a mock AI response
-    const strategy = await strategyBuilder(strategyInput, protocolData);
+    // Ask the strategy agent, falling back to the deterministic builder on invalid answers
+    const strategy = await runStrategyAgent({
+      prompt: await renderPrompt('strategyAgent', { input: formattedInput }),
+      strategyInput: userInput,
+      protocolData
+    });
 
     // Post-process: Calculate more precise yields
-    const yieldEnhancedStrategy = await calculateYield(strategy, strategyInput);
+    const yieldEnhancedStrategy = await calculateYield(strategy, userInput, protocolData);
 
     // Add market insights
     const finalStrategy = await generateInsights(yieldEnhancedStrategy, protocolData);
 
-    return finalStrategy;
+    // Price the transactions at several confidence levels and look for a cheaper time to send them
+    finalStrategy.gasTiming = await runGasPlugin(finalStrategy, userInput, protocolData);
+
+    // Report principal, return, gas and liquidation price in the requested fiat currency
+    if (userInput.currency) {
+      const quote = await getFiatQuote(userInput.currency, protocolData);
+      finalStrategy.fiat = quote && reportInFiat(finalStrategy, userInput, quote);
+      if (!quote) {
+        const reason = isReplaying() ? 'were recorded in the snapshot' : 'available';
+        finalStrategy.warnings = [...(finalStrategy.warnings || []), `No ${userInput.currency} prices ${reason}, so values are not reported in ${userInput.currency}`];
+      }
+    }
+
+    // Let every protocol plugin relevant to the chosen route review it
+    finalStrategy.pluginAnalysis = await runPluginAnalyzers(finalStrategy, protocolData);
+
+    // Sample price and rate paths when a distribution of outcomes is requested
+    if (userInput.monteCarloRuns && !finalStrategy.positionModel) {
+      finalStrategy.warnings = [...(finalStrategy.warnings || []), 'Monte Carlo skipped: the proposed route was not valued by the route engine'];
+    } else if (userInput.monteCarloRuns) {
+      finalStrategy.monteCarlo = runMonteCarlo(finalStrategy, userInput, protocolData, {
+        runs: userInput.monteCarloRuns,
+        seed: userInput.monteCarloSeed
+      });
+    }
+
+    // Keep the input alongside the result so a saved strategy can be replayed by `exec`
+    return {
+      ...finalStrategy,
+      userInput
+    };
   } catch (error) {
+    // Field-level errors are reported by the caller as they are
+    if (error instanceof SchemaValidationError) throw error;
     console.error('Strategy analysis error:', error);
     throw new Error(`Failed to analyze strategy: ${error.message}`);
   }
 }
 
 /**
- * Format input according to our YAML schema
+ * Validate strategy input against the userInput part of the simulation schema
  *
- * @param {Object} input The raw input data
- * @param {Object} schema The YAML schema to validate against
- * @returns {Object} Formatted input that matches schema
+ * @param {Object} strategyInput User input defining strategy requirements
+ * @returns {Promise<Object>} Input with the schema defaults applied
+ * @throws {SchemaValidationError} When the input does not match simulationPromptSchema.yaml
  */
-function formatInputAccordingToSchema(input, schema) {
-  // For now, we'll do a simple pass-through
-  // In production, we would validate against the schema and ensure all required fields
-  return input;
+export async function validateStrategyInput(strategyInput) {
+  const schema = await loadSimulationSchema();
+  return formatInputAccordingToSchema(strategyInput, schema.properties.userInput, 'userInput');
+}
+
+// Quote a fiat currency; a replayed snapshot answers with its recorded quote, so no price source is asked
+async function getFiatQuote(currency, protocolData) {
+  if (isReplaying()) return getReplayedQuote(currency);
+
+  const quote = await priceService.getQuote(currency, { fallbackEthUsd: protocolData.gas?.ethPrice });
+  captureQuote(currency, quote);
+  return quote;
+}
+
+// Load the simulation schema (now in YAML format)
+async function loadSimulationSchema() {
+  const schemaPath = path.join(__dirname, '../../simulationPromptSchema.yaml');
+  const schemaContent = await fs.readFile(schemaPath, 'utf-8');
+  return YAML.parse(schemaContent);
 }
 
 /**
- * Format user input for the AI model
+ * Format input according to our YAML schema
+ * Applies the schema defaults, then validates the result.
  *
- * @param {Object} strategyInput User input object
- * @returns {string} Formatted input for the prompt
+ * @param {Object} input The raw input data
+ * @param {Object} schema The YAML schema to validate against
+ * @param {string} [path] Path of the input in the full schema, used in error messages
+ * @returns {Object} Formatted input that matches schema
+ * @throws {SchemaValidationError} Listing every field that does not match
  */
-function formatInputForPrompt(strategyInput) {
-  return YAML.stringify(strategyInput);
+function formatInputAccordingToSchema(input, schema, path = '') {
+  const formatted = applySchemaDefaults(input, schema);
+  const errors = validateSchema(formatted, schema, path);
+  if (errors.length > 0) {
+    throw new SchemaValidationError('strategy input', errors);
+  }
+  return formatted;
 }
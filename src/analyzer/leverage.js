@@ -0,0 +1,161 @@
+import { getPriceClass } from '../routes/index.js';
+
+/**
+ * Leverage loop modeling for YieldPilot
+ * Computes loan-to-value, health factor and liquidation price of an Aave
+ * position from the ltvRatios and liquidationThresholds reported by the Aave
+ * plugin. Positions are lists of { asset, value } with values in any common
+ * unit (the route engine uses shares of the principal).
+ */
+
+// Max LTVs used when the Aave data source does not provide them
+const DEFAULT_LTV = { ETH: 0.8, WETH: 0.8, stETH: 0.7, wstETH: 0.7, USDC: 0.75, DAI: 0.75 };
+// Liquidation thresholds used when the Aave data source does not provide them
+const DEFAULT_LIQUIDATION_THRESHOLD = { ETH: 0.83, WETH: 0.83, stETH: 0.795, wstETH: 0.795, USDC: 0.78, DAI: 0.77 };
+
+/**
+ * Look up an Aave value, accepting both our symbols and Aave's (ETH vs WETH, wBTC vs WBTC)
+ *
+ * @param {Object} values Values keyed by symbol (rates, LTVs or thresholds)
+ * @param {string} asset Asset symbol
+ * @returns {number|null} Value, or null when unknown
+ */
+export function getAaveRate(values, asset) {
+  if (!values) return null;
+  for (const symbol of [asset, asset.toUpperCase(), `W${asset}`]) {
+    if (typeof values[symbol] === 'number' && Number.isFinite(values[symbol])) return values[symbol];
+  }
+  return null;
+}
+
+/**
+ * Get the max LTV of a collateral asset
+ * Falls back to defaults only when the data source reports no LTVs at all.
+ *
+ * @param {Object} aave Aave protocol data
+ * @param {string} asset Collateral asset
+ * @returns {number} Max LTV as a ratio, 0 when the asset cannot be collateral
+ */
+export function getMaxLtv(aave, asset) {
+  return lookupWithDefaults(aave.ltvRatios, DEFAULT_LTV, asset);
+}
+
+/**
+ * Get the liquidation threshold of a collateral asset
+ *
+ * @param {Object} aave Aave protocol data
+ * @param {string} asset Collateral asset
+ * @returns {number} Liquidation threshold as a ratio
+ */
+export function getLiquidationThreshold(aave, asset) {
+  return lookupWithDefaults(aave.liquidationThresholds, DEFAULT_LIQUIDATION_THRESHOLD, asset);
+}
+
+/**
+ * Compute the health factor of a position
+ * Health factor = sum(collateral x liquidation threshold) / debt; below 1 the position is liquidated.
+ *
+ * @param {Array<Object>} collateral Collateral positions as { asset, value }
+ * @param {Array<Object>} debt Debt positions as { asset, value }
+ * @param {Object} aave Aave protocol data
+ * @returns {number|null} Health factor, null when there is no debt
+ */
+export function computeHealthFactor(collateral, debt, aave) {
+  const debtValue = sum(debt);
+  if (debtValue <= 0) return null;
+
+  const adjustedCollateral = collateral.reduce(
+    (total, position) => total + position.value * getLiquidationThreshold(aave, position.asset), 0
+  );
+  return adjustedCollateral / debtValue;
+}
+
+/**
+ * Compute the ETH price at which a position is liquidated
+ * ETH-pegged positions move with the ETH price and stablecoins do not, so the
+ * health factor at a price ratio r is
+ *   (ethCollateral x r + stableCollateral) / (ethDebt x r + stableDebt)
+ * (collateral weighted by liquidation threshold), solved for a health factor of 1.
+ *
+ * @param {Array<Object>} collateral Collateral positions as { asset, value }
+ * @param {Array<Object>} debt Debt positions as { asset, value }
+ * @param {Object} aave Aave protocol data
+ * @param {number} ethPrice Current ETH price in USD
+ * @returns {Object|null} { price, direction } where direction is 'below' or 'above',
+ *   or null when the ETH price alone cannot liquidate the position (e.g. ETH debt against ETH collateral)
+ */
+export function computeLiquidationPrice(collateral, debt, aave, ethPrice) {
+  if (!ethPrice || sum(debt) <= 0) return null;
+
+  const exposure = { eth: { collateral: 0, debt: 0 }, stable: { collateral: 0, debt: 0 } };
+
+  for (const position of collateral) {
+    const priceClass = getPriceClass(position.asset);
+    if (!priceClass) return null;
+    exposure[priceClass].collateral += position.value * getLiquidationThreshold(aave, position.asset);
+  }
+  for (const position of debt) {
+    const priceClass = getPriceClass(position.asset);
+    if (!priceClass) return null;
+    exposure[priceClass].debt += position.value;
+  }
+
+  const ethNet = exposure.eth.collateral - exposure.eth.debt;
+  const stableShortfall = exposure.stable.debt - exposure.stable.collateral;
+  if (ethNet === 0) return null;
+
+  const ratio = stableShortfall / ethNet;
+  if (ratio <= 0) return null;
+
+  return {
+    price: ratio * ethPrice,
+    // Net long ETH positions are liquidated when the price falls, net short ones when it rises
+    direction: ethNet > 0 ? 'below' : 'above'
+  };
+}
+
+/**
+ * Summarize the leverage of a ranked route
+ *
+ * @param {Object} evaluation Route evaluation from the route engine
+ * @param {Object} protocolData Protocol data (Aave parameters and ETH price)
+ * @returns {Object} Loop count, effective leverage, LTV, health factor and liquidation price
+ */
+export function analyzeLeverage(evaluation, protocolData) {
+  const aave = protocolData.aave || {};
+  const { collateral, debt } = evaluation.position;
+  const collateralValue = sum(collateral);
+  const liquidation = computeLiquidationPrice(collateral, debt, aave, protocolData.gas?.ethPrice);
+
+  const weighted = (lookup) => collateralValue > 0
+    ? collateral.reduce((total, position) => total + position.value * lookup(aave, position.asset), 0) / collateralValue
+    : null;
+
+  return {
+    loops: debt.length,
+    effectiveLeverage: round(evaluation.leverage, 3),
+    loanToValue: collateralValue > 0 ? round(sum(debt) / collateralValue, 4) : 0,
+    maxLoanToValue: round(weighted(getMaxLtv), 4),
+    liquidationThreshold: round(weighted(getLiquidationThreshold), 4),
+    healthFactor: round(computeHealthFactor(collateral, debt, aave), 3),
+    liquidationPrice: liquidation ? round(liquidation.price, 2) : null,
+    liquidationPriceDirection: liquidation ? liquidation.direction : null
+  };
+}
+
+function lookupWithDefaults(values, defaults, asset) {
+  if (values && Object.keys(values).length > 0) {
+    return getAaveRate(values, asset) || 0;
+  }
+  return defaults[asset] || 0;
+}
+
+function sum(positions) {
+  return positions.reduce((total, position) => total + position.value, 0);
+}
+
+function round(value, decimals) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,126 @@
+import { DEFAULT_GAS_ETH } from './routeEngine.js';
+import { getMaxLtv, getLiquidationThreshold } from './leverage.js';
+import { getFeePerGas } from '../projections/gas.js';
+
+/**
+ * Data lineage of a strategy
+ * Lists every metric a ranked route was valued with (staking APRs, Aave
+ * supply and borrow rates, LTVs, the gas units of each step and the fees they
+ * are paid at, and the ETH price) together with where it came from, when it
+ * was fetched and whether it was mock data, using the provenance recorded in
+ * the protocol data. Gas units come from the plugin that plans the step.
+ *
+ * Entry shape:
+ *   {
+ *     metric: string,          // Readable name, e.g. "Aave USDC borrow rate"
+ *     path: string,            // Path in the protocol data, e.g. "aave.borrowRates.USDC",
+ *                              // or "gasEstimate.<protocol>.<action>.<asset>" for the gas units of a step
+ *     value: number|null,      // Value used, null when unknown
+ *     unit: 'percent' | 'ratio' | 'eth' | 'gas' | 'gwei' | 'usd',
+ *     source: string,          // Provider or plugin, "YieldPilot default" for built-in assumptions
+ *     fetchedAt: string|null,  // ISO 8601 fetch time, null when not fetched
+ *     ageSeconds: number|null, // Age of the value when the strategy was built
+ *     mock: boolean            // Whether the value is hard-coded mock data
+ *   }
+ */
+
+const DEFAULT_SOURCE = 'YieldPilot default';
+const NO_DATA = 'No Data Available';
+
+// Where the intrinsic yield of each protocol lives in the protocol data
+const YIELD_PATHS = { lido: 'lido.stETHAPR', renzo: 'renzo.apyBoost', kelp: 'kelp.apyBoost' };
+
+/**
+ * Build the lineage of the metrics a route evaluation used
+ *
+ * @param {Object|null} evaluation Route evaluation from evaluateRoute(), null when holding
+ * @param {Object} protocolData Protocol data with provenance
+ * @param {Object} [options] Options
+ * @param {number} [options.now] Time the ages are measured at, in ms
+ * @returns {Array<Object>} Lineage entries, one per metric
+ */
+export function buildLineage(evaluation, protocolData, { now = Date.now() } = {}) {
+  const aave = protocolData.aave || {};
+  const gas = protocolData.gas || {};
+  const entries = [];
+  const seen = new Set();
+
+  const add = (metric, path, value, unit, defaultSource = null) => {
+    if (seen.has(path)) return;
+    seen.add(path);
+    entries.push(describeMetric(protocolData, { metric, path, value, unit, defaultSource }, now));
+  };
+
+  for (const component of evaluation?.components || []) {
+    if (component.type === 'yield') {
+      add(`${capitalize(component.protocol)} ${component.asset} APR`, YIELD_PATHS[component.protocol], component.rate, 'percent');
+    } else {
+      const map = component.type === 'supply' ? 'supplyRates' : 'borrowRates';
+      add(`Aave ${component.asset} ${component.type} rate`, aavePath(protocolData, map, component.asset), component.rate, 'percent');
+    }
+  }
+
+  // LTVs and liquidation thresholds only matter once something is borrowed
+  if (evaluation?.position.debt.length > 0) {
+    for (const { asset } of evaluation.position.collateral) {
+      const ltvDefault = Object.keys(aave.ltvRatios || {}).length === 0 ? DEFAULT_SOURCE : null;
+      const thresholdDefault = Object.keys(aave.liquidationThresholds || {}).length === 0 ? DEFAULT_SOURCE : null;
+      add(`Aave ${asset} max LTV`, aavePath(protocolData, 'ltvRatios', asset), getMaxLtv(aave, asset), 'ratio', ltvDefault);
+      add(`Aave ${asset} liquidation threshold`, aavePath(protocolData, 'liquidationThresholds', asset),
+        getLiquidationThreshold(aave, asset), 'ratio', thresholdDefault);
+    }
+  }
+
+  // Routes are priced at the plugin gas units of each step times the base plus priority fee,
+  // and at the per-action ETH estimates only when no fee is known
+  const feePerGas = getFeePerGas(gas);
+  if (feePerGas) {
+    for (const step of evaluation?.gasSteps || []) {
+      add(`${capitalize(step.protocol)} ${step.action} ${step.assetIn} gas`, `gasEstimate.${step.protocol}.${step.action}.${step.assetIn}`,
+        step.gas, 'gas', step.plugin ? `${step.plugin} plugin` : DEFAULT_SOURCE);
+    }
+    if (feePerGas.baseFee === null) {
+      add('Gas price (average)', 'gas.current.average', feePerGas.gwei, 'gwei');
+    } else {
+      add('Base fee', 'gas.current.baseFee', feePerGas.baseFee, 'gwei');
+      if (feePerGas.priorityFee !== null) add('Priority fee', 'gas.current.priorityFee', feePerGas.priorityFee, 'gwei');
+    }
+  } else {
+    for (const edge of evaluation?.route || []) {
+      const type = edge.action === 'wrap' || edge.action === 'restake' ? 'stake' : edge.action;
+      const estimate = gas.estimation?.[type];
+      add(`Gas cost per ${type}`, `gas.estimation.${type}`, estimate || DEFAULT_GAS_ETH[type], 'eth', estimate ? null : DEFAULT_SOURCE);
+    }
+  }
+  add('ETH price', 'gas.ethPrice', Number.isFinite(gas.ethPrice) ? gas.ethPrice : null, 'usd');
+
+  return entries;
+}
+
+function describeMetric(protocolData, { metric, path, value, unit, defaultSource }, now) {
+  const origin = defaultSource ? null : protocolData.provenance?.[path];
+  const source = origin?.source || defaultSource || (value === null ? NO_DATA : 'Unknown');
+  const fetchedAt = origin?.fetchedAt || null;
+
+  return {
+    metric,
+    path,
+    value,
+    unit,
+    source,
+    fetchedAt,
+    ageSeconds: fetchedAt ? Math.max(0, Math.round((now - Date.parse(fetchedAt)) / 1000)) : null,
+    mock: origin?.mock === true
+  };
+}
+
+// Aave maps are keyed by our symbols; older data may still use Aave's (WETH)
+function aavePath(protocolData, map, asset) {
+  const values = protocolData.aave?.[map] || {};
+  const symbol = [asset, asset.toUpperCase(), `W${asset}`].find(candidate => candidate in values) || asset;
+  return `aave.${map}.${symbol}`;
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
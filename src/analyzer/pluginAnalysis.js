@@ -0,0 +1,97 @@
+import chalk from 'chalk';
+import { getPluginsByType } from '../plugins/index.js';
+import { checkAnalysis } from '../plugins/conformance.js';
+import { normalizeRoute, routeUsesProtocol } from '../routes/index.js';
+import { ROUTE_PROTOCOLS } from './routeEngine.js';
+
+/**
+ * Plugin analysis of a strategy
+ * Runs the analyzeStrategy() hook of every protocol plugin relevant to the
+ * chosen route and aggregates their answers, the rule-based form of the
+ * plugin agent described in pluginPrompt.txt. A plugin is relevant when the
+ * route uses its protocol, or, for plugins the route engine never routes
+ * through (e.g. BitTensor), when the route touches one of its supported assets.
+ *
+ * Result shape:
+ *   {
+ *     protocols: [{
+ *       protocol, name,                                   // Plugin key and name
+ *       summary, riskFactors, yieldImpact, confidenceScore, // analysis
+ *       action, adjustments, alternatives,                 // recommendations
+ *       insight
+ *     } | { protocol, name, error }],                     // Plugins that failed or had no data
+ *     riskFactors: string[],      // Every distinct risk factor reported
+ *     adjustments: string[],      // Every distinct adjustment recommended
+ *     confidenceScore: number|null // Lowest confidence (0-10) of the plugins that answered
+ *   }
+ */
+
+/**
+ * Run the relevant plugin analyzers on a strategy
+ *
+ * @param {Object} strategy Strategy with the chosen proposedRoute
+ * @param {Object} protocolData Canonical protocol data
+ * @param {Object} [options] Options
+ * @param {Array<Object>} [options.plugins] Registry entries to use instead of the loaded protocol plugins
+ * @returns {Promise<Object>} Per-protocol analyses and their aggregate
+ */
+export async function runPluginAnalyzers(strategy, protocolData, { plugins } = {}) {
+  const proposedRoute = normalizeRoute(strategy.proposedRoute);
+  const candidates = plugins || await getPluginsByType('protocol');
+  const relevant = candidates.filter(plugin => isRelevant(plugin, proposedRoute));
+
+  const protocols = await Promise.all(relevant.map(plugin =>
+    analyzeWithPlugin(plugin, { ...strategy, proposedRoute }, protocolData)));
+  const answered = protocols.filter(entry => !entry.error);
+
+  return {
+    protocols,
+    riskFactors: unique(answered.flatMap(entry => entry.riskFactors)),
+    adjustments: unique(answered.flatMap(entry => entry.adjustments)),
+    confidenceScore: answered.length > 0 ? Math.min(...answered.map(entry => entry.confidenceScore)) : null
+  };
+}
+
+function isRelevant(plugin, route) {
+  if (ROUTE_PROTOCOLS.includes(plugin.key)) {
+    return routeUsesProtocol(route, plugin.key);
+  }
+  const assets = plugin.metadata.supportedAssets || [];
+  return route.some(step => assets.includes(step.assetIn) || assets.includes(step.assetOut));
+}
+
+async function analyzeWithPlugin(plugin, strategy, protocolData) {
+  const entry = { protocol: plugin.key, name: plugin.metadata.name };
+
+  // Without data the hooks would fetch it again, which already failed this run
+  if (!protocolData[plugin.key]) {
+    return { ...entry, error: 'No protocol data available' };
+  }
+
+  try {
+    const result = await plugin.module.analyzeStrategy(strategy, protocolData);
+    const problems = checkAnalysis(result);
+    if (problems.length > 0) {
+      throw new Error(`invalid analysis (${problems.join('; ')})`);
+    }
+
+    return {
+      ...entry,
+      summary: result.analysis.summary,
+      riskFactors: result.analysis.riskFactors,
+      yieldImpact: result.analysis.yieldImpact,
+      confidenceScore: result.analysis.confidenceScore,
+      action: result.recommendations.action,
+      adjustments: result.recommendations.adjustments,
+      alternatives: result.recommendations.alternatives,
+      insight: result.insight
+    };
+  } catch (error) {
+    console.warn(chalk.yellow(`${plugin.metadata.name} plugin analysis failed:`), error.message);
+    return { ...entry, error: error.message };
+  }
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
@@ -0,0 +1,23 @@
+import { strategyBuilder } from '../strategyBuilder.js';
+
+/**
+ * Deterministic strategy provider
+ * Answers the strategy agent prompt with the rule-based route engine instead
+ * of a model, so results are reproducible and need no network access.
+ */
+export class DeterministicProvider {
+  constructor() {
+    this.name = 'deterministic';
+    this.model = null;
+  }
+
+  /**
+   * @param {Object} request Agent request
+   * @param {Object} request.strategyInput Validated user input
+   * @param {Object} request.protocolData Canonical protocol data
+   * @returns {Promise<Object>} Strategy built by strategyBuilder()
+   */
+  async generate({ strategyInput, protocolData }) {
+    return strategyBuilder(strategyInput, protocolData);
+  }
+}
@@ -0,0 +1,50 @@
+import axios from 'axios';
+import { registerHttpClient } from '../../snapshots/index.js';
+
+/**
+ * Local model server strategy provider
+ * Sends the prompt to an Ollama server's /api/generate endpoint, asking for
+ * a JSON answer so the model runs entirely on the user's machine.
+ */
+export class LocalProvider {
+  /**
+   * @param {Object} [options] Provider options
+   * @param {string} [options.baseUrl] Model server URL
+   * @param {string} [options.model] Model name
+   * @param {number} [options.timeout] Request timeout in ms
+   */
+  constructor({ baseUrl = 'http://localhost:11434', model = 'llama3.1', timeout = 60000 } = {}) {
+    this.name = 'local';
+    this.model = model;
+    this.client = axios.create({
+      baseURL: baseUrl,
+      timeout,
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+    // Recorded and replayed with the rest of the upstream traffic
+    registerHttpClient(this.client);
+  }
+
+  /**
+   * @param {Object} request Agent request
+   * @param {string} request.prompt Strategy agent prompt with the simulation input
+   * @returns {Promise<string>} Raw text of the model's answer
+   */
+  async generate({ prompt }) {
+    const response = await this.client.post('/api/generate', {
+      model: this.model,
+      prompt,
+      stream: false,
+      format: 'json',
+      options: { temperature: 0 }
+    });
+
+    const content = response.data?.response;
+    if (typeof content !== 'string') {
+      throw new Error('No response text in model server reply');
+    }
+    return content;
+  }
+}
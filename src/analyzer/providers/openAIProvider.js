@@ -0,0 +1,51 @@
+import axios from 'axios';
+import { registerHttpClient } from '../../snapshots/index.js';
+
+/**
+ * OpenAI-compatible strategy provider
+ * Sends the prompt to a /chat/completions endpoint, which OpenAI and most
+ * hosted or self-hosted model servers (vLLM, LM Studio, OpenRouter) expose.
+ */
+export class OpenAIProvider {
+  /**
+   * @param {Object} [options] Provider options
+   * @param {string} [options.baseUrl] API base URL, including the version path
+   * @param {string} [options.model] Model name
+   * @param {string} [options.apiKey] Bearer token, omitted when unset
+   * @param {number} [options.timeout] Request timeout in ms
+   */
+  constructor({ baseUrl = 'https://api.openai.com/v1', model = 'gpt-4o-mini', apiKey, timeout = 60000 } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.client = axios.create({
+      baseURL: baseUrl,
+      timeout,
+      headers: {
+        'Accept': 'application/json',
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+      }
+    });
+    // Recorded and replayed with the rest of the upstream traffic
+    registerHttpClient(this.client);
+  }
+
+  /**
+   * @param {Object} request Agent request
+   * @param {string} request.prompt Strategy agent prompt with the simulation input
+   * @returns {Promise<string>} Raw message content of the model's answer
+   */
+  async generate({ prompt }) {
+    const response = await this.client.post('/chat/completions', {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0,
+      response_format: { type: 'json_object' }
+    });
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('No message content in response');
+    }
+    return content;
+  }
+}
@@ -0,0 +1,475 @@
+import { createStep, formatRoute, formatStepLabel, getInputAsset, ETH_PEGGED_ASSETS, STABLECOINS, getPriceClass } from '../routes/index.js';
+import { getAaveRate, getMaxLtv, computeHealthFactor } from './leverage.js';
+import { getFeePerGas, getDefaultStepGas } from '../projections/gas.js';
+
+/**
+ * Graph-based route search for YieldPilot
+ * Models assets as nodes and protocol actions (stake, wrap, restake, supply,
+ * borrow, swap) as edges, enumerates every valid route from the input asset up
+ * to a depth limit and ranks them by expected net yield under the user's risk
+ * and gas constraints.
+ */
+
+const BORROWABLE = ['ETH', 'USDC', 'USDT', 'DAI'];
+
+// Target loan-to-value after a borrow, per risk tolerance
+const TARGET_LTV = { low: 0, medium: 0.5, high: 0.7 };
+// Never borrow above this share of the collateral's max LTV
+const LTV_SAFETY_FACTOR = 0.85;
+// Lowest health factor accepted for each risk tolerance
+const MIN_HEALTH_FACTOR = { low: Infinity, medium: 1.5, high: 1.15 };
+
+// Highest route risk score accepted for each risk tolerance
+const MAX_RISK_SCORE = { low: 3, medium: 6.5, high: 10 };
+// Risk tolerances, lowest first
+export const RISK_TIERS = Object.keys(MAX_RISK_SCORE);
+
+// Price impact assumed for each swap
+export const SWAP_SLIPPAGE = 0.003;
+
+// Gas cost per action type in ETH when no gas fee is known
+export const DEFAULT_GAS_ETH = { stake: 0.002, swap: 0.003, supply: 0.0024, borrow: 0.0036 };
+
+// Risk added by each protocol and action, on top of a base score
+const BASE_RISK = 1.5;
+const PROTOCOL_RISK = { lido: 0.5, aave: 0.6, renzo: 1.6, kelp: 1.6, uniswap: 0.3 };
+// Protocols a route can use
+export const ROUTE_PROTOCOLS = Object.keys(PROTOCOL_RISK);
+// Added per unit of borrowed value relative to the principal
+const LEVERAGE_RISK = 4;
+// Added when a stablecoin input is swapped into a volatile asset
+const PRICE_EXPOSURE_RISK = 1.0;
+
+// How many times a single edge may appear in one route
+const MAX_EDGE_REPEATS = 2;
+
+export const DEFAULT_MAX_DEPTH = 8;
+
+/**
+ * Build the action graph from the available protocol data
+ * An edge is only added when the data needed to value it exists.
+ *
+ * @param {Object} protocolData Protocol data from src/protocols/index.js
+ * @returns {Array<Object>} Edges as { id, protocol, action, from, to }
+ */
+export function buildActionGraph(protocolData) {
+  const lido = protocolData.lido || {};
+  const aave = protocolData.aave || {};
+  const renzo = protocolData.renzo || {};
+  const kelp = protocolData.kelp || {};
+  const edges = [];
+
+  if (isRate(lido.stETHAPR)) {
+    edges.push({ id: 'lido:stake', protocol: 'lido', action: 'stake', from: ['ETH'], to: 'stETH' });
+    edges.push({ id: 'lido:wrap', protocol: 'lido', action: 'wrap', from: ['stETH'], to: 'wstETH' });
+  }
+
+  if (isRate(renzo.apyBoost)) {
+    edges.push({ id: 'renzo:restake', protocol: 'renzo', action: 'restake', from: ['ETH'], to: 'ezETH' });
+  }
+
+  if (isRate(kelp.apyBoost)) {
+    edges.push({ id: 'kelp:restake', protocol: 'kelp', action: 'restake', from: ['ETH', 'stETH'], to: 'rsETH' });
+  }
+
+  // Any asset with a known supply rate can be supplied; checked per holding during the search
+  if (Object.values(aave.supplyRates || {}).some(isRate)) {
+    edges.push({ id: 'aave:supply', protocol: 'aave', action: 'supply', from: null, to: null });
+  }
+
+  for (const asset of BORROWABLE) {
+    if (isRate(getAaveRate(aave.borrowRates, asset))) {
+      edges.push({ id: `aave:borrow:${asset}`, protocol: 'aave', action: 'borrow', from: [], to: asset });
+    }
+  }
+
+  edges.push({ id: 'uniswap:swap:ETH', protocol: 'uniswap', action: 'swap', from: null, to: 'ETH' });
+
+  return edges;
+}
+
+/**
+ * Enumerate every valid route from an input asset, depth-first
+ *
+ * @param {Array<Object>} edges Edges from buildActionGraph()
+ * @param {string} inputAsset Asset the user starts with
+ * @param {Object} protocolData Protocol data (used to check collateral eligibility)
+ * @param {Object} [options] Search options
+ * @param {number} [options.maxDepth] Maximum number of actions in a route
+ * @returns {Array<Array<Object>>} Routes as lists of edges
+ */
+export function enumerateRoutes(edges, inputAsset, protocolData, options = {}) {
+  const maxDepth = options.maxDepth || DEFAULT_MAX_DEPTH;
+  const aave = protocolData.aave || {};
+  const routes = [];
+
+  const visit = (path, holding, hasCollateral) => {
+    if (path.length > 0) routes.push(path);
+    if (path.length >= maxDepth) return;
+
+    for (const edge of edges) {
+      if (path.filter(step => step.id === edge.id).length >= MAX_EDGE_REPEATS) continue;
+
+      if (edge.action === 'borrow') {
+        // Only borrow once everything held is on Aave as collateral
+        if (holding !== null || !hasCollateral) continue;
+        visit([...path, edge], edge.to, true);
+      } else if (edge.action === 'supply') {
+        if (holding === null || !isRate(getAaveRate(aave.supplyRates, holding))) continue;
+        const isCollateral = getMaxLtv(aave, holding) > 0;
+        visit([...path, edge], null, hasCollateral || isCollateral);
+      } else if (edge.action === 'swap') {
+        // Only swap volatile or stable assets into ETH; ETH-pegged assets are staked instead
+        if (holding === null || ETH_PEGGED_ASSETS.includes(holding)) continue;
+        visit([...path, edge], edge.to, hasCollateral);
+      } else {
+        if (holding === null || !edge.from.includes(holding)) continue;
+        visit([...path, edge], edge.to, hasCollateral);
+      }
+    }
+  };
+
+  visit([], inputAsset, false);
+  return routes;
+}
+
+/**
+ * Value a route: yield, costs, gas and risk
+ *
+ * @param {Array<Object>} route Route as a list of edges
+ * @param {string} inputAsset Asset the user starts with
+ * @param {Object} protocolData Protocol data
+ * @param {Object} context Evaluation context
+ * @param {string} context.riskTolerance low, medium or high
+ * @param {number} context.timeHorizonDays Time horizon used to annualize one-off costs
+ * @param {Function} [context.stepGas] Gas units of a route step from loadStepGas(), default gas units when omitted
+ * @returns {Object|null} Route evaluation, or null when the route is not executable
+ * @throws {Error} When a step other than a borrow follows a supply, with nothing held to act on
+ */
+export function evaluateRoute(route, inputAsset, protocolData, context) {
+  const aave = protocolData.aave || {};
+  const gasEstimation = protocolData.gas?.estimation || {};
+  // Priced like calculateYield() prices the chosen route, so the gas limit holds for what is reported
+  const feePerGas = getFeePerGas(protocolData.gas);
+  const stepGas = context.stepGas || getDefaultStepGas;
+  const targetLtv = TARGET_LTV[context.riskTolerance] ?? TARGET_LTV.medium;
+  const horizonDays = context.timeHorizonDays || 30;
+
+  // Values are expressed as a share of the principal (1.0 = the input amount)
+  let holding = { asset: inputAsset, value: 1 };
+  const collateral = [];
+  const debt = [];
+  const components = [];
+  let swapCost = 0;
+  // Gas units of the plugin transactions, and ETH per action for when no fee is known
+  let gasUnits = 0;
+  let gasEth = 0;
+  const gasSteps = [];
+  let risk = BASE_RISK;
+  const protocols = new Set();
+  const stepValues = [];
+
+  for (const [index, edge] of route.entries()) {
+    // Only a borrow acts on the collateral; every other step needs something held
+    if (holding === null && edge.action !== 'borrow') {
+      throw new Error(`Route step ${index + 1} (${edge.protocol} ${edge.action}) has nothing to act on: everything held is supplied to Aave`);
+    }
+    const valueIn = holding;
+    const assetIn = edge.action === 'borrow' ? edge.to : holding.asset;
+    const { gas, plugin } = stepGas({ protocol: edge.protocol, action: edge.action, assetIn });
+    gasSteps.push({ protocol: edge.protocol, action: edge.action, assetIn, gas, plugin });
+    gasUnits += gas;
+    gasEth += getGasCost(gasEstimation, edge.action);
+    if (!protocols.has(edge.protocol)) {
+      risk += PROTOCOL_RISK[edge.protocol] || 0;
+      protocols.add(edge.protocol);
+    }
+
+    if (edge.action === 'supply') {
+      collateral.push(holding);
+      holding = null;
+    } else if (edge.action === 'borrow') {
+      const collateralValue = sum(collateral);
+      const maxLtv = collateralValue > 0
+        ? collateral.reduce((total, position) => total + position.value * getMaxLtv(aave, position.asset), 0) / collateralValue
+        : 0;
+      const ltv = Math.min(targetLtv, maxLtv * LTV_SAFETY_FACTOR);
+      const amount = collateralValue * ltv - sum(debt);
+
+      // Nothing meaningful left to borrow at the target LTV
+      if (amount < 0.01) return null;
+
+      debt.push({ asset: edge.to, value: amount });
+      holding = { asset: edge.to, value: amount };
+    } else if (edge.action === 'swap') {
+      if (STABLECOINS.includes(holding.asset) && STABLECOINS.includes(inputAsset)) {
+        risk += PRICE_EXPOSURE_RISK;
+      }
+      swapCost += holding.value * SWAP_SLIPPAGE;
+      holding = { asset: edge.to, value: holding.value * (1 - SWAP_SLIPPAGE) };
+    } else {
+      holding = { asset: edge.to, value: holding.value };
+    }
+
+    stepValues.push({
+      input: edge.action === 'borrow' ? holding : valueIn,
+      exposure: sum(collateral) + (holding ? holding.value : 0)
+    });
+  }
+
+  // Every position keeps earning its own yield; supplied positions also earn the Aave rate
+  const positions = [...collateral.map(p => ({ ...p, supplied: true })), ...(holding ? [{ ...holding, supplied: false }] : [])];
+  const model = { positions: [], debt: [] };
+  let grossAPR = 0;
+  let feeCost = 0;
+
+  for (const position of positions) {
+    const intrinsic = getIntrinsicYield(protocolData, position.asset);
+    const supplyRate = position.supplied ? getAaveRate(aave.supplyRates, position.asset) || 0 : 0;
+
+    if (intrinsic.apr > 0) {
+      grossAPR += intrinsic.apr * position.value;
+      feeCost += intrinsic.apr * intrinsic.fee * position.value;
+      components.push({ type: 'yield', protocol: intrinsic.protocol, asset: position.asset, rate: intrinsic.apr, weight: position.value });
+    }
+    if (supplyRate > 0) {
+      grossAPR += supplyRate * position.value;
+      components.push({ type: 'supply', protocol: 'aave', asset: position.asset, rate: supplyRate, weight: position.value });
+    }
+
+    model.positions.push({
+      asset: position.asset,
+      value: round(position.value),
+      supplied: position.supplied,
+      yieldProtocol: intrinsic.protocol,
+      stakingAPR: intrinsic.apr,
+      protocolFee: intrinsic.fee,
+      supplyRate
+    });
+  }
+
+  let borrowCost = 0;
+  for (const position of debt) {
+    const borrowRate = getAaveRate(aave.borrowRates, position.asset) || 0;
+    borrowCost += borrowRate * position.value;
+    components.push({ type: 'borrow', protocol: 'aave', asset: position.asset, rate: borrowRate, weight: position.value });
+    model.debt.push({ asset: position.asset, value: round(position.value), borrowRate });
+  }
+
+  const borrowedValue = sum(debt);
+  risk += borrowedValue * LEVERAGE_RISK;
+  const healthFactor = computeHealthFactor(collateral, debt, aave);
+
+  // One-off swap losses are spread over the time horizon to compare with yearly rates
+  const annualizedSwapCost = (swapCost * 100) * (365 / horizonDays);
+  const netYield = grossAPR - feeCost - borrowCost - annualizedSwapCost;
+
+  return {
+    route,
+    stepValues,
+    grossAPR,
+    netYield,
+    feeCost,
+    borrowCost,
+    swapCost: annualizedSwapCost,
+    gasEstimateEth: feePerGas ? gasUnits * feePerGas.gwei / 1e9 : gasEth,
+    gasSteps,
+    feePerGas,
+    transactionCount: route.length,
+    riskScore: Math.min(10, Math.round(risk * 10) / 10),
+    leverage: sum(positions),
+    loanToValue: sum(collateral) > 0 ? borrowedValue / sum(collateral) : 0,
+    healthFactor,
+    position: { collateral, debt },
+    model,
+    protocols: [...protocols],
+    components
+  };
+}
+
+/**
+ * Find and rank routes for a strategy input
+ * Routes above the risk tolerance or below its minimum health factor are
+ * dropped; routes over the gas budget are
+ * dropped unless nothing fits. The rest are ranked by expected net return over
+ * the time horizon after gas, falling back to net yield when the input cannot
+ * be valued in ETH.
+ *
+ * @param {Object} strategyInput User input (inputAsset, amount, riskTolerance, gasLimitEth, timeHorizonDays)
+ * @param {Object} protocolData Protocol data
+ * @param {Object} [options] Search options
+ * @param {number} [options.maxDepth] Maximum number of actions in a route
+ * @param {Function} [options.stepGas] Gas units of a route step from loadStepGas(), default gas units when omitted
+ * @returns {Object} { ranked, overGasBudget } with ranked evaluations, best first
+ */
+export function rankRoutes(strategyInput, protocolData, options = {}) {
+  const inputAsset = strategyInput.inputAsset || 'ETH';
+  const riskTolerance = strategyInput.riskTolerance || 'medium';
+  const context = {
+    riskTolerance,
+    timeHorizonDays: strategyInput.timeHorizonDays || 30,
+    stepGas: options.stepGas
+  };
+
+  const edges = buildActionGraph(protocolData);
+  const maxRisk = MAX_RISK_SCORE[riskTolerance] ?? MAX_RISK_SCORE.medium;
+  const minHealthFactor = MIN_HEALTH_FACTOR[riskTolerance] ?? MIN_HEALTH_FACTOR.medium;
+
+  const candidates = enumerateRoutes(edges, inputAsset, protocolData, options)
+    .map(route => evaluateRoute(route, inputAsset, protocolData, context))
+    .filter(evaluation => evaluation !== null && evaluation.riskScore <= maxRisk && evaluation.netYield > 0)
+    .filter(evaluation => evaluation.healthFactor === null || evaluation.healthFactor >= minHealthFactor);
+
+  const withinGas = candidates.filter(evaluation =>
+    !strategyInput.gasLimitEth || evaluation.gasEstimateEth <= strategyInput.gasLimitEth
+  );
+  const pool = withinGas.length > 0 ? withinGas : candidates;
+
+  const principalEth = getPrincipalInEth(inputAsset, strategyInput.amount || 1, protocolData.gas?.ethPrice);
+  const score = evaluation => principalEth === null
+    ? evaluation.netYield
+    : principalEth * (evaluation.netYield / 100) * (context.timeHorizonDays / 365) - evaluation.gasEstimateEth;
+
+  const ranked = pool
+    .map(evaluation => ({ ...evaluation, score: score(evaluation) }))
+    .sort((a, b) => b.score - a.score || a.route.length - b.route.length);
+
+  return {
+    ranked,
+    overGasBudget: withinGas.length === 0 && candidates.length > 0
+  };
+}
+
+/**
+ * Value a route given as typed steps instead of searching for one
+ * The route is valued as it is, without the risk, health factor and gas
+ * filters of rankRoutes(), so any route can be compared with the ranked ones.
+ *
+ * @param {Array<Object>} steps Typed route steps starting at the input asset
+ * @param {Object} strategyInput User input (inputAsset, riskTolerance, timeHorizonDays)
+ * @param {Object} protocolData Protocol data
+ * @param {Object} [options] Options
+ * @param {Function} [options.stepGas] Gas units of a route step from loadStepGas(), default gas units when omitted
+ * @returns {Object|null} Route evaluation, or null for a route that only holds
+ * @throws {Error} When a step cannot be valued with the protocol data, has nothing to act on or borrows nothing
+ */
+export function evaluateRouteSteps(steps, strategyInput, protocolData, options = {}) {
+  const inputAsset = strategyInput.inputAsset || 'ETH';
+  const riskTolerance = strategyInput.riskTolerance || 'medium';
+
+  if (getInputAsset(steps) !== inputAsset) {
+    throw new Error(`Route ${formatRoute(steps)} does not start from ${inputAsset}`);
+  }
+
+  const edges = buildActionGraph(protocolData);
+  const route = steps.filter(step => step.action !== 'hold').map(step => {
+    const edge = edges.find(candidate =>
+      candidate.protocol === step.protocol &&
+      candidate.action === step.action &&
+      (candidate.to === null || candidate.to === step.assetOut) &&
+      (candidate.from === null || candidate.action === 'borrow' || candidate.from.includes(step.assetIn))
+    );
+    if (!edge) {
+      throw new Error(`Route step "${formatStepLabel(step, steps)}" is not supported or has no protocol data`);
+    }
+    return edge;
+  });
+
+  if (route.length === 0) return null;
+
+  const evaluation = evaluateRoute(route, inputAsset, protocolData, {
+    riskTolerance,
+    timeHorizonDays: strategyInput.timeHorizonDays || 30,
+    stepGas: options.stepGas
+  });
+  if (!evaluation) {
+    throw new Error(`Route ${formatRoute(steps)} borrows nothing at the ${riskTolerance} risk target loan-to-value`);
+  }
+  return evaluation;
+}
+
+/**
+ * Convert a ranked route into typed route steps (see src/routes/index.js)
+ * Step amounts are in units of each step's input asset and are left null when
+ * the asset cannot be priced against the input asset.
+ *
+ * @param {Object} evaluation Route evaluation from evaluateRoute()
+ * @param {Object} strategyInput User input (inputAsset, amount)
+ * @param {Object} protocolData Protocol data (used for the ETH price)
+ * @returns {Array<Object>} Typed route steps
+ */
+export function toRouteSteps(evaluation, strategyInput, protocolData) {
+  const inputAsset = strategyInput.inputAsset || 'ETH';
+  const principal = strategyInput.amount || 1;
+  const ethPrice = protocolData.gas?.ethPrice;
+  let holding = inputAsset;
+
+  return evaluation.route.map((edge, index) => {
+    const { input, exposure } = evaluation.stepValues[index];
+    const assetIn = edge.action === 'borrow' ? edge.to : holding;
+    const assetOut = edge.action === 'supply' ? null : edge.to;
+    holding = assetOut;
+
+    return createStep({
+      protocol: edge.protocol,
+      action: edge.action,
+      assetIn,
+      assetOut,
+      amount: convertValue(input.value * principal, inputAsset, assetIn, ethPrice),
+      leverage: Math.round(exposure * 1000) / 1000
+    });
+  });
+}
+
+function getIntrinsicYield(protocolData, asset) {
+  if (asset === 'stETH' || asset === 'wstETH') {
+    return { protocol: 'lido', apr: protocolData.lido?.stETHAPR || 0, fee: protocolData.lido?.fee || 0 };
+  }
+  if (asset === 'ezETH') {
+    return { protocol: 'renzo', apr: protocolData.renzo?.apyBoost || 0, fee: protocolData.renzo?.fee || 0 };
+  }
+  if (asset === 'rsETH') {
+    return { protocol: 'kelp', apr: protocolData.kelp?.apyBoost || 0, fee: protocolData.kelp?.fee || 0 };
+  }
+  return { protocol: null, apr: 0, fee: 0 };
+}
+
+function getGasCost(gasEstimation, action) {
+  const type = action === 'wrap' || action === 'restake' ? 'stake' : action;
+  return gasEstimation[type] || DEFAULT_GAS_ETH[type];
+}
+
+// Convert an amount of the input asset into another asset by price class (ETH-pegged or stablecoin)
+function convertValue(amount, fromAsset, toAsset, ethPrice) {
+  const fromClass = getPriceClass(fromAsset);
+  const toClass = getPriceClass(toAsset);
+  let converted = null;
+
+  if (fromAsset === toAsset || (fromClass && fromClass === toClass)) {
+    converted = amount;
+  } else if (ethPrice && fromClass === 'stable' && toClass === 'eth') {
+    converted = amount / ethPrice;
+  } else if (ethPrice && fromClass === 'eth' && toClass === 'stable') {
+    converted = amount * ethPrice;
+  }
+
+  return converted === null ? null : Math.round(converted * 1e6) / 1e6;
+}
+
+function getPrincipalInEth(asset, amount, ethPrice) {
+  if (ETH_PEGGED_ASSETS.includes(asset)) return amount;
+  if (STABLECOINS.includes(asset) && ethPrice) return amount / ethPrice;
+  return null;
+}
+
+function isRate(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function sum(positions) {
+  return positions.reduce((total, position) => total + position.value, 0);
+}
@@ -0,0 +1,115 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { runStrategyAgent } from '../agent.js';
+import { OpenAIProvider } from '../providers/openAIProvider.js';
+import { LocalProvider } from '../providers/localProvider.js';
+import { normalizeProtocolData } from '../../protocols/dataModel.js';
+import { renderPrompt } from '../../prompts/index.js';
+
+const strategyInput = {
+  intent: 'maximize ETH yield',
+  inputAsset: 'ETH',
+  amount: 1,
+  riskTolerance: 'low',
+  gasLimitEth: 0.015,
+  timeHorizonDays: 30
+};
+
+const protocolData = normalizeProtocolData({
+  lido: { stETHAPR: 3.2, fee: 0.1, source: 'thegraph-decentralized' },
+  gas: { current: { average: 12 }, estimation: { stake: 0.001 }, ethPrice: 3000 }
+});
+
+const prompt = await renderPrompt('strategyAgent', { input: { userInput: strategyInput } });
+
+// Keeps logged runs in memory instead of the user's prompt log
+let logged = [];
+const log = async run => {
+  logged.push(run);
+  return `run-${logged.length}`;
+};
+
+const answer = {
+  proposedRoute: ['ETH', 'Hold'],
+  grossAPR: '0%',
+  netYield: '0%',
+  gasEstimateEth: 0,
+  riskScore: 1,
+  insight: 'Holding avoids gas costs.',
+  judgment: 'Optimal for low risk'
+};
+
+// Stub model server speaking both the OpenAI and the Ollama API
+let reply;
+let requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ url: req.url, body: JSON.parse(body) });
+    const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+    const data = req.url === '/api/generate' ? { response: content } : { choices: [{ message: { content } }] };
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(data));
+  });
+});
+
+let baseUrl;
+
+describe('Strategy agent', () => {
+  before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('should use a valid answer from an OpenAI-compatible server', async () => {
+    reply = `\`\`\`json\n${JSON.stringify(answer)}\n\`\`\``;
+    requests = [];
+    logged = [];
+    const provider = new OpenAIProvider({ baseUrl: `${baseUrl}/v1`, model: 'stub' });
+
+    const strategy = await runStrategyAgent({ prompt, strategyInput, protocolData, provider, log });
+
+    assert.strictEqual(requests[0].url, '/v1/chat/completions');
+    assert.match(requests[0].body.messages[0].content, /## Simulation Input:\n\nuserInput:\n {2}intent: maximize ETH yield/);
+    assert.deepStrictEqual(strategy.generatedBy, { provider: 'openai', model: 'stub' });
+    assert.strictEqual(strategy.proposedRoute[0].action, 'hold');
+    assert.strictEqual(strategy.netYield, '0.0%');
+    assert.strictEqual(strategy.gasEstimateEth, '0.0000');
+    // The engine valued another route, so its position details do not apply
+    assert.strictEqual(strategy.positionModel, undefined);
+    assert.ok(strategy.dataSources);
+
+    // The run is logged with the raw answer and the parsed result
+    assert.strictEqual(strategy.promptLogId, 'run-1');
+    assert.strictEqual(logged[0].rawOutput, reply);
+    assert.deepStrictEqual(logged[0].parsed.proposedRoute, ['ETH', 'Hold']);
+  });
+
+  it('should fall back to the deterministic builder on an invalid answer', async () => {
+    reply = { ...answer, proposedRoute: ['USDC', 'stake everything'], riskScore: 11 };
+    logged = [];
+    const provider = new LocalProvider({ baseUrl, model: 'stub' });
+
+    const strategy = await runStrategyAgent({ prompt, strategyInput, protocolData, provider, log });
+
+    assert.deepStrictEqual(strategy.generatedBy, { provider: 'deterministic', model: null });
+    assert.ok(strategy.positionModel);
+    assert.strictEqual(logged[0].parsed, null);
+    assert.deepStrictEqual(logged[0].errors, ['riskScore: must be <= 10']);
+    assert.match(strategy.warnings.at(-1), /local model \(stub\) gave no valid strategy/);
+  });
+
+  it('should fall back when the answer is not JSON or the route is not ours', async () => {
+    const provider = new LocalProvider({ baseUrl, model: 'stub' });
+
+    for (const invalid of ['I cannot help with that.', { ...answer, proposedRoute: ['USDC', 'Hold'] }]) {
+      reply = invalid;
+      const strategy = await runStrategyAgent({ prompt, strategyInput, protocolData, provider, log });
+      assert.strictEqual(strategy.generatedBy.provider, 'deterministic');
+    }
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { compareStrategies, formatComparisonCsv } from '../compare.js';
+import { normalizeProtocolData } from '../../protocols/dataModel.js';
+
+const protocolData = normalizeProtocolData({
+  lido: { stETHAPR: 3.2, fee: 0.1 },
+  aave: {
+    supplyRates: { WETH: 1.9, wstETH: 0.1, USDC: 4.8 },
+    borrowRates: { WETH: 2.4, USDC: 6.1 },
+    ltvRatios: { WETH: 0.8, wstETH: 0.78, USDC: 0.75 }
+  },
+  renzo: { apyBoost: 3.6, fee: 0.15 },
+  gas: { ethPrice: 3000, estimation: { stake: 0.001, swap: 0.0015, supply: 0.0012, borrow: 0.0018 } }
+});
+
+const strategyInput = { intent: 'compare ETH strategies', inputAsset: 'ETH', amount: 10, timeHorizonDays: 365 };
+
+describe('Strategy comparison', () => {
+  it('should build one row per risk tier from the same protocol data', async () => {
+    const { input, rows } = await compareStrategies(strategyInput, { protocolData });
+
+    assert.strictEqual(input.gasLimitEth, 0.015);
+    assert.deepStrictEqual(rows.map(row => row.label), ['low', 'medium', 'high']);
+    assert.ok(!rows[0].route.some(label => label.startsWith('borrow')));
+    assert.ok(rows[1].route.some(label => label.startsWith('borrow')));
+    // A year of compounded net yield, less the withdrawal queue and gas on the way out
+    assert.ok(parseFloat(rows[0].periodNetReturn) > 0);
+    assert.ok(parseFloat(rows[0].periodNetReturn) < parseFloat(rows[0].netYield));
+  });
+
+  it('should value the given routes as they are', async () => {
+    const comparison = await compareStrategies(strategyInput, {
+      protocolData,
+      routes: [['ETH', 'stETH', 'wstETH', 'Aave', 'borrow USDC'], ['ETH', 'Renzo']]
+    });
+    const [leveraged, restaked] = comparison.rows;
+
+    assert.strictEqual(leveraged.label, 'ETH → stETH → wstETH → Aave → borrow USDC');
+    assert.strictEqual(typeof leveraged.liquidationPrice, 'number');
+    assert.deepStrictEqual(restaked.route, ['ETH', 'Renzo']);
+    assert.strictEqual(restaked.liquidationPrice, null);
+
+    const csv = formatComparisonCsv(comparison).split('\n');
+    assert.strictEqual(csv[0], 'label,riskTolerance,route,grossAPR,netYield,periodNetReturn,gasEstimateEth,breakEvenDays,minimumAmount,riskScore,liquidationPrice,judgment');
+    assert.match(csv[2], /^ETH → Renzo,medium,ETH → Renzo,3\.6%,3\.1%,3\.03%,[\d.]+,\d+,[\d.]+,[\d.]+,,/);
+  });
+
+  it('should reject routes the engine cannot value', async () => {
+    await assert.rejects(compareStrategies(strategyInput, { protocolData, routes: [['ETH', 'Kelp']] }),
+      /Route step "Kelp" is not supported or has no protocol data/);
+    await assert.rejects(compareStrategies(strategyInput, { protocolData, routes: [['USDC', 'Aave Supply']] }),
+      /does not start from ETH/);
+    // Nothing is held once everything is supplied; only a borrow can follow
+    await assert.rejects(compareStrategies(strategyInput, { protocolData, routes: [['ETH', 'Aave', 'swap to ETH']] }),
+      /Route step 2 \(uniswap swap\) has nothing to act on/);
+    await assert.rejects(compareStrategies(strategyInput, { protocolData, routes: [['ETH', 'Aave', 'Aave']] }),
+      /Route step 2 \(aave supply\) has nothing to act on/);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { computeHealthFactor, computeLiquidationPrice, analyzeLeverage } from '../leverage.js';
+
+const aave = {
+  ltvRatios: { wstETH: 0.7, USDC: 0.75, WETH: 0.8 },
+  liquidationThresholds: { wstETH: 0.8, USDC: 0.78, WETH: 0.83 }
+};
+
+describe('Leverage modeling', () => {
+  it('should compute the health factor from liquidation thresholds', () => {
+    const healthFactor = computeHealthFactor([{ asset: 'wstETH', value: 1 }], [{ asset: 'USDC', value: 0.5 }], aave);
+
+    assert.strictEqual(healthFactor, 1.6);
+  });
+
+  it('should find the ETH price that liquidates a long ETH position', () => {
+    const liquidation = computeLiquidationPrice([{ asset: 'wstETH', value: 1 }], [{ asset: 'USDC', value: 0.5 }], aave, 3000);
+
+    assert.strictEqual(liquidation.direction, 'below');
+    assert.strictEqual(Math.round(liquidation.price), 1875);
+  });
+
+  it('should find the ETH price that liquidates a short ETH position', () => {
+    const liquidation = computeLiquidationPrice([{ asset: 'USDC', value: 1 }], [{ asset: 'ETH', value: 0.5 }], aave, 3000);
+
+    assert.strictEqual(liquidation.direction, 'above');
+    assert.strictEqual(Math.round(liquidation.price), 4680);
+  });
+
+  it('should report no liquidation price when collateral and debt are both ETH', () => {
+    const leverage = analyzeLeverage({
+      leverage: 1.5,
+      position: { collateral: [{ asset: 'wstETH', value: 1 }], debt: [{ asset: 'ETH', value: 0.5 }] }
+    }, { aave, gas: { ethPrice: 3000 } });
+
+    assert.strictEqual(leverage.loops, 1);
+    assert.strictEqual(leverage.loanToValue, 0.5);
+    assert.strictEqual(leverage.healthFactor, 1.6);
+    assert.strictEqual(leverage.liquidationPrice, null);
+  });
+});
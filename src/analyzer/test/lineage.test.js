@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { rankRoutes } from '../routeEngine.js';
+import { buildLineage } from '../lineage.js';
+import { loadStepGas } from '../../projections/gas.js';
+import { normalizeProtocolData } from '../../protocols/dataModel.js';
+
+const fetchedAt = '2026-01-01T00:00:00.000Z';
+const now = Date.parse(fetchedAt) + 90 * 1000;
+
+const data = {
+  lido: { stETHAPR: 3.2, fee: 0.1, source: 'thegraph-decentralized' },
+  aave: {
+    supplyRates: { WETH: 1.9, wstETH: 0.1 },
+    borrowRates: { WETH: 2.4 },
+    ltvRatios: {},
+    liquidationThresholds: {},
+    source: 'mock-data-fallback'
+  },
+  gas: { current: { average: 12 }, estimation: { stake: 0.001, supply: 0.0012, borrow: 0.0018 }, ethPrice: 3000 }
+};
+const provenance = {
+  lido: { source: 'thegraph-decentralized', fetchedAt, mock: false },
+  aave: { source: 'mock-data-fallback', fetchedAt: null, mock: true },
+  gas: { source: 'Blocknative', fetchedAt, mock: false },
+  'gas.ethPrice': { source: 'DefiLlama', fetchedAt, mock: false }
+};
+const protocolData = normalizeProtocolData(data, provenance);
+
+function findEvaluation(riskTolerance, predicate = () => true) {
+  const { ranked } = rankRoutes({ inputAsset: 'ETH', riskTolerance, amount: 1, timeHorizonDays: 365 }, protocolData);
+  return ranked.find(predicate);
+}
+
+describe('Strategy lineage', () => {
+  it('should trace every rate of the route to its source and age', () => {
+    const lineage = buildLineage(findEvaluation('low'), protocolData, { now });
+    const lido = lineage.find(entry => entry.path === 'lido.stETHAPR');
+
+    assert.deepStrictEqual(lido, {
+      metric: 'Lido stETH APR',
+      path: 'lido.stETHAPR',
+      value: 3.2,
+      unit: 'percent',
+      source: 'thegraph-decentralized',
+      fetchedAt,
+      ageSeconds: 90,
+      mock: false
+    });
+    assert.strictEqual(lineage.find(entry => entry.path === 'gas.ethPrice').value, 3000);
+    assert.strictEqual(lineage.find(entry => entry.path === 'gas.current.average').source, 'Blocknative');
+  });
+
+  it('should flag mock rates and built-in defaults', () => {
+    const lineage = buildLineage(findEvaluation('high', evaluation => evaluation.position.debt.length > 0), protocolData, { now });
+
+    const borrow = lineage.find(entry => entry.path === 'aave.borrowRates.ETH');
+    assert.strictEqual(borrow.mock, true);
+    assert.strictEqual(borrow.fetchedAt, null);
+
+    // The mock source reported no LTVs, so the route was sized with our defaults
+    const ltv = lineage.find(entry => entry.metric.endsWith('max LTV'));
+    assert.strictEqual(ltv.source, 'YieldPilot default');
+    assert.strictEqual(ltv.mock, false);
+  });
+
+  it('should trace gas to the plugin gas units and the base and priority fee', async () => {
+    const withFees = normalizeProtocolData({ ...data, gas: { ...data.gas, current: { average: 12, baseFee: 8, priorityFee: 2 } } }, provenance);
+    const plugins = {
+      lido: { metadata: { name: 'Lido' }, module: { getRequiredSteps: () => [{ type: 'transaction', description: 'Stake', gasEstimate: 90000 }] } }
+    };
+    const stepGas = await loadStepGas({ getPlugin: async key => plugins[key] || null });
+    const { ranked } = rankRoutes({ inputAsset: 'ETH', riskTolerance: 'low', amount: 1, timeHorizonDays: 365 }, withFees, { stepGas });
+    const lineage = buildLineage(ranked.find(evaluation => evaluation.route.length === 1), withFees, { now });
+
+    assert.deepStrictEqual(lineage.filter(entry => entry.unit === 'gas' || entry.unit === 'gwei').map(entry => [entry.path, entry.value, entry.source]), [
+      ['gasEstimate.lido.stake.ETH', 90000, 'Lido plugin'],
+      ['gas.current.baseFee', 8, 'Blocknative'],
+      ['gas.current.priorityFee', 2, 'Blocknative']
+    ]);
+    assert.ok(lineage.every(entry => !entry.path.startsWith('gas.estimation')));
+  });
+
+  it('should only list the ETH price when holding', () => {
+    const lineage = buildLineage(null, { gas: { ethPrice: null } }, { now });
+
+    assert.deepStrictEqual(lineage.map(entry => [entry.path, entry.source]), [['gas.ethPrice', 'No Data Available']]);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { runPluginAnalyzers } from '../pluginAnalysis.js';
+import { parseRoute } from '../../routes/index.js';
+
+// Registry entry of a protocol plugin answering with a fixed analysis
+function fakePlugin(key, { supportedAssets = ['ETH'], riskFactors = [], adjustments = [], confidenceScore = 8, result } = {}) {
+  return {
+    key,
+    metadata: { name: key.toUpperCase(), type: 'protocol', supportedAssets },
+    module: {
+      analyzeStrategy: async () => result || {
+        analysis: { summary: `${key} review`, riskFactors, yieldImpact: 'positive', confidenceScore },
+        recommendations: { action: 'proceed', adjustments, alternatives: [] },
+        insight: `${key} insight`
+      }
+    }
+  };
+}
+
+const strategy = { proposedRoute: parseRoute(['ETH', 'stETH', 'wstETH', 'Aave', 'borrow USDC']) };
+const protocolData = { lido: {}, aave: {}, renzo: {}, oracle: {}, broken: {} };
+
+describe('Plugin analysis', () => {
+  it('should run the plugins relevant to the route and aggregate their answers', async () => {
+    const result = await runPluginAnalyzers(strategy, protocolData, {
+      plugins: [
+        fakePlugin('lido', { riskFactors: ['Smart contract risk'], confidenceScore: 9 }),
+        fakePlugin('aave', { riskFactors: ['Smart contract risk', 'Liquidation risk'], adjustments: ['Keep LTV below 60%'], confidenceScore: 6 }),
+        // Not on the route
+        fakePlugin('renzo', { confidenceScore: 1 }),
+        // Not a route protocol, but covers ETH
+        fakePlugin('oracle', { adjustments: ['Keep LTV below 60%'] })
+      ]
+    });
+
+    assert.deepStrictEqual(result.protocols.map(entry => entry.protocol), ['lido', 'aave', 'oracle']);
+    assert.deepStrictEqual(result.riskFactors, ['Smart contract risk', 'Liquidation risk']);
+    assert.deepStrictEqual(result.adjustments, ['Keep LTV below 60%']);
+    assert.strictEqual(result.confidenceScore, 6);
+    assert.strictEqual(result.protocols[1].action, 'proceed');
+  });
+
+  it('should report plugins that fail or answer outside the envelope', async () => {
+    const result = await runPluginAnalyzers(strategy, { lido: {} }, {
+      plugins: [
+        fakePlugin('lido', { result: { analysis: { summary: 'incomplete' } } }),
+        fakePlugin('aave')
+      ]
+    });
+
+    assert.match(result.protocols[0].error, /invalid analysis/);
+    assert.strictEqual(result.protocols[1].error, 'No protocol data available');
+    assert.strictEqual(result.confidenceScore, null);
+  });
+});
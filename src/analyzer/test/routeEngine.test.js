@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { rankRoutes, toRouteSteps } from '../routeEngine.js';
+import { getRouteLabels } from '../../routes/index.js';
+import { estimateRouteGas, loadStepGas } from '../../projections/gas.js';
+
+const protocolData = {
+  lido: { stETHAPR: 3.2, fee: 0.1 },
+  aave: {
+    supplyRates: { WETH: 1.9, wstETH: 0.1, USDC: 4.8, USDT: 4.5, DAI: 5.1, WBTC: 0.2 },
+    borrowRates: { WETH: 2.4, USDC: 6.1, USDT: 6.3, DAI: 6.5 },
+    ltvRatios: { WETH: 0.8, wstETH: 0.78, USDC: 0.75, USDT: 0, DAI: 0.63, WBTC: 0.73 }
+  },
+  renzo: { apyBoost: 3.6, fee: 0.15 },
+  kelp: { apyBoost: 2.9, fee: 0.1 },
+  gas: { ethPrice: 3000, estimation: { stake: 0.001, swap: 0.0015, supply: 0.0012, borrow: 0.0018 } }
+};
+
+function bestRoute(input) {
+  const strategyInput = { amount: 10, timeHorizonDays: 365, ...input };
+  const { ranked } = rankRoutes(strategyInput, protocolData);
+  return getRouteLabels(toRouteSteps(ranked[0], strategyInput, protocolData));
+}
+
+describe('Route engine', () => {
+  it('should keep low risk routes free of borrowing', () => {
+    const { ranked } = rankRoutes({ inputAsset: 'ETH', riskTolerance: 'low', amount: 10, timeHorizonDays: 365 }, protocolData);
+
+    assert.ok(ranked.length > 0);
+    for (const evaluation of ranked) {
+      assert.ok(evaluation.route.every(edge => edge.action !== 'borrow'));
+      assert.ok(evaluation.riskScore <= 3);
+    }
+    assert.deepStrictEqual(bestRoute({ inputAsset: 'ETH', riskTolerance: 'low' }), ['ETH', 'stETH', 'wstETH', 'Aave Supply']);
+  });
+
+  it('should find routes for stablecoins and wBTC', () => {
+    assert.deepStrictEqual(bestRoute({ inputAsset: 'DAI', riskTolerance: 'low' }), ['DAI', 'Aave Supply']);
+    assert.deepStrictEqual(bestRoute({ inputAsset: 'USDT', riskTolerance: 'low' }), ['USDT', 'Aave Supply']);
+    assert.strictEqual(bestRoute({ inputAsset: 'wBTC', riskTolerance: 'medium' })[1], 'swap to ETH');
+  });
+
+  it('should rank leveraged routes first only when the tolerance allows it', () => {
+    const { ranked } = rankRoutes({ inputAsset: 'ETH', riskTolerance: 'high', amount: 10, timeHorizonDays: 365 }, protocolData);
+
+    assert.ok(ranked[0].route.some(edge => edge.action === 'borrow'));
+    assert.ok(ranked.every(evaluation => evaluation.healthFactor === null || evaluation.healthFactor >= 1.15));
+    assert.ok(ranked[0].netYield > ranked[ranked.length - 1].netYield);
+  });
+
+  it('should return no routes when no protocol data is available', () => {
+    const { ranked } = rankRoutes({ inputAsset: 'ETH', riskTolerance: 'high' }, { lido: { stETHAPR: null }, aave: { supplyRates: {}, borrowRates: {} } });
+
+    assert.deepStrictEqual(ranked, []);
+  });
+
+  it('should drop routes over the gas limit', () => {
+    const { ranked } = rankRoutes({ inputAsset: 'ETH', riskTolerance: 'high', amount: 10, gasLimitEth: 0.0025 }, protocolData);
+
+    assert.ok(ranked.every(evaluation => evaluation.gasEstimateEth <= 0.0025));
+  });
+
+  it('should price and limit routes with the plugin gas the chosen route is reported with', async () => {
+    const data = { ...protocolData, gas: { ...protocolData.gas, current: { baseFee: 8, priorityFee: 2 } } };
+    const plugins = {
+      lido: { metadata: { name: 'Lido' }, module: { getRequiredSteps: () => [{ type: 'transaction', description: 'Stake', gasEstimate: 90000 }] } }
+    };
+    const getPlugin = async key => plugins[key] || null;
+    const stepGas = await loadStepGas({ getPlugin });
+    const strategyInput = { inputAsset: 'ETH', riskTolerance: 'low', amount: 10, timeHorizonDays: 365, gasLimitEth: 0.001 };
+
+    const { ranked } = rankRoutes(strategyInput, data, { stepGas });
+    const gas = await estimateRouteGas(toRouteSteps(ranked[0], strategyInput, data), data, { getPlugin });
+
+    // Only Lido staking (90,000 gas at 10 gwei) fits 0.001 ETH; supplying takes another 120,000 gas
+    assert.deepStrictEqual(getRouteLabels(toRouteSteps(ranked[0], strategyInput, data)), ['ETH', 'stETH']);
+    assert.strictEqual(ranked[0].gasEstimateEth, gas.totalEth);
+    assert.ok(ranked.every(evaluation => evaluation.gasEstimateEth <= 0.001));
+  });
+});
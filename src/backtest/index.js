@@ -0,0 +1,291 @@
+import config from '../config/index.js';
+import defiLlamaService from '../services/defiLlama.js';
+import { getProtocolData } from '../protocols/index.js';
+import {
+  openPositions,
+  accrue,
+  computeOpenHealthFactor,
+  computeEquity,
+  getGasShare
+} from '../projections/positions.js';
+import { toAPR } from '../projections/rates.js';
+
+/**
+ * Historical backtest of a simulated strategy
+ * Replays the strategy's positionModel day by day over a past date range,
+ * using the DefiLlama APY history of every pool involved, converted to APRs
+ * like the current rates, and the ETH price history, and compares the realized
+ * return with the projected net yield.
+ */
+
+const ETH_COIN_ID = 'coingecko:ethereum';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// DefiLlama pools whose APY is the intrinsic yield of a liquid (re)staking token
+const YIELD_POOLS = {
+  stETH: { protocol: 'lido', symbol: 'STETH' },
+  wstETH: { protocol: 'lido', symbol: 'STETH' },
+  ezETH: { protocol: 'renzo', symbol: 'EZETH' },
+  rsETH: { protocol: 'kelp', symbol: 'RSETH' }
+};
+
+// Aave lists ETH and wBTC under their wrapped symbols
+const AAVE_SYMBOLS = { ETH: 'WETH', wBTC: 'WBTC' };
+
+/**
+ * Backtest a strategy over a past date range
+ *
+ * @param {Object} strategy Strategy saved from `simulate --json` (with positionModel)
+ * @param {Object} range Date range
+ * @param {string} range.from First day (YYYY-MM-DD)
+ * @param {string} [range.to] Last day (YYYY-MM-DD), defaults to today
+ * @param {Object} [options] Backtest options
+ * @param {Object} [options.aave] Aave protocol data for liquidation thresholds (fetched when the route borrows)
+ * @param {Object} [options.service] DefiLlama service used for history
+ * @returns {Promise<Object>} Realized vs projected return, health factor drawdown and liquidation
+ */
+export async function runBacktest(strategy, range, options = {}) {
+  const model = strategy.positionModel;
+  if (!model) {
+    throw new Error('Strategy has no positionModel; re-run simulate --json to save one');
+  }
+
+  const { start, end, days } = parseRange(range);
+  const service = options.service || defiLlamaService;
+
+  let aave = options.aave;
+  if (!aave && model.debt.length > 0) {
+    aave = (await getProtocolData()).aave || {};
+  }
+
+  const { snapshots, dataSources } = await loadSnapshots(model, start, days, service);
+  const replay = replayPositions(model, snapshots, aave || {});
+
+  const userInput = strategy.userInput || { inputAsset: model.inputAsset, amount: 1 };
+  const gasShare = getGasShare(strategy.gasEstimateEth, userInput, snapshots[0].ethPrice);
+  const realizedReturn = (replay.equity - 1 - gasShare) * 100;
+  const projectedAPR = parseFloat(strategy.netYield) || 0;
+  const warnings = Object.entries(dataSources)
+    .filter(([, source]) => source !== 'Historical')
+    .map(([key]) => `No history for ${key}; the rate at simulation time was used`);
+
+  return {
+    route: strategy.proposedRoute,
+    inputAsset: model.inputAsset,
+    from: formatDay(start),
+    to: formatDay(end),
+    days,
+    projected: {
+      apr: round(projectedAPR, 2),
+      periodReturn: round(projectedAPR * days / 365, 2)
+    },
+    realized: {
+      apr: round(realizedReturn * 365 / days, 2),
+      periodReturn: round(realizedReturn, 2)
+    },
+    healthFactor: replay.startHealthFactor === null ? null : {
+      start: round(replay.startHealthFactor, 3),
+      min: round(replay.minHealthFactor, 3),
+      minDate: replay.minHealthFactorDate,
+      drawdown: round((replay.startHealthFactor - replay.minHealthFactor) / replay.startHealthFactor, 4)
+    },
+    liquidated: replay.liquidated,
+    liquidationDate: replay.liquidationDate,
+    ethPrice: {
+      start: round(snapshots[0].ethPrice, 2),
+      end: round(snapshots[snapshots.length - 1].ethPrice, 2)
+    },
+    gasIncluded: gasShare > 0,
+    dataSources,
+    warnings
+  };
+}
+
+/**
+ * Replay a position model over daily snapshots
+ * Historical APYs from DefiLlama are what holders earned, so protocol fees are
+ * only deducted from the fallback rates recorded at simulation time.
+ *
+ * @param {Object} model Position model (positions and debt as shares of the principal)
+ * @param {Array<Object>} snapshots Daily snapshots as
+ *   { date, ethPrice, stakingAPR: {asset: rate}, supplyRate: {asset: rate}, borrowRate: {asset: rate} }
+ * @param {Object} aave Aave protocol data (liquidation thresholds)
+ * @returns {Object} Final equity, health factor extremes and liquidation
+ */
+export function replayPositions(model, snapshots, aave) {
+  const open = openPositions(model);
+  const startPrice = snapshots[0].ethPrice;
+  const startHealthFactor = computeOpenHealthFactor(open.positions, open.debt, aave, 1);
+
+  let priceRatio = 1;
+  let minHealthFactor = startHealthFactor;
+  let minHealthFactorDate = startHealthFactor === null ? null : snapshots[0].date;
+
+  for (let index = 1; index < snapshots.length; index++) {
+    const snapshot = snapshots[index];
+    const dt = (Date.parse(snapshot.date) - Date.parse(snapshots[index - 1].date)) / DAY_MS / 365;
+    priceRatio = snapshot.ethPrice / startPrice;
+
+    for (const position of open.positions) {
+      const stakingAPR = snapshot.stakingAPR?.[position.asset] ?? position.stakingAPR * (1 - position.protocolFee);
+      const supplyRate = position.supplied ? snapshot.supplyRate?.[position.asset] ?? position.supplyRate : 0;
+      accrue(position, stakingAPR + supplyRate, dt);
+    }
+    for (const position of open.debt) {
+      accrue(position, snapshot.borrowRate?.[position.asset] ?? position.borrowRate, dt);
+    }
+
+    const healthFactor = computeOpenHealthFactor(open.positions, open.debt, aave, priceRatio);
+    if (healthFactor !== null && healthFactor < minHealthFactor) {
+      minHealthFactor = healthFactor;
+      minHealthFactorDate = snapshot.date;
+    }
+
+    if (healthFactor !== null && healthFactor < 1) {
+      return {
+        equity: computeEquity(open, model.inputAsset, priceRatio, { liquidated: true }),
+        liquidated: true,
+        liquidationDate: snapshot.date,
+        startHealthFactor,
+        minHealthFactor,
+        minHealthFactorDate
+      };
+    }
+  }
+
+  return {
+    equity: computeEquity(open, model.inputAsset, priceRatio),
+    liquidated: false,
+    liquidationDate: null,
+    startHealthFactor,
+    minHealthFactor,
+    minHealthFactorDate
+  };
+}
+
+// Fetch the history of every pool the model touches and line it up by day
+async function loadSnapshots(model, start, days, service) {
+  const dataSources = {};
+  const series = { stakingAPR: {}, supplyRate: {}, borrowRate: {} };
+  const pools = new Map();
+  const requested = new Set();
+
+  const findPool = (protocol, symbol) => {
+    const key = `${protocol}:${symbol}`;
+    if (!pools.has(key)) {
+      pools.set(key, service.findPool(config.protocols[protocol].defiLlamaId, symbol));
+    }
+    return pools.get(key);
+  };
+
+  const load = async (kind, asset, label, fetchSeries) => {
+    if (requested.has(label)) return;
+    requested.add(label);
+    const points = await fetchSeries();
+    if (points && points.size > 0) {
+      series[kind][asset] = points;
+      dataSources[label] = 'Historical';
+    } else {
+      dataSources[label] = 'Current rate';
+    }
+  };
+
+  const lendBorrowChart = async (asset) => {
+    const pool = await findPool('aave', AAVE_SYMBOLS[asset] || asset.toUpperCase());
+    return pool ? service.getLendBorrowChart(pool.pool) : [];
+  };
+
+  const tasks = [];
+  for (const position of model.positions) {
+    const yieldPool = YIELD_POOLS[position.asset];
+    if (yieldPool) {
+      tasks.push(load('stakingAPR', position.asset, `${position.asset} yield`, async () => {
+        const pool = await findPool(yieldPool.protocol, yieldPool.symbol);
+        return toDailySeries(pool ? await service.getPoolChart(pool.pool) : [], 'apy', yieldPool.protocol);
+      }));
+    }
+    if (position.supplied) {
+      tasks.push(load('supplyRate', position.asset, `Aave ${position.asset} supply rate`, async () =>
+        toDailySeries(await lendBorrowChart(position.asset), 'apyBase', 'aave')
+      ));
+    }
+  }
+  for (const position of model.debt) {
+    tasks.push(load('borrowRate', position.asset, `Aave ${position.asset} borrow rate`, async () =>
+      toDailySeries(await lendBorrowChart(position.asset), 'apyBaseBorrow', 'aave')
+    ));
+  }
+
+  const [prices] = await Promise.all([service.getPriceChart(ETH_COIN_ID, start, days), ...tasks]);
+  const ethPrices = toDailySeries(prices, 'price');
+  if (ethPrices.size === 0) {
+    throw new Error('No ETH price history available for the requested range');
+  }
+
+  // Days without a data point carry the last known value forward
+  const latest = { ethPrice: firstValue(ethPrices), stakingAPR: {}, supplyRate: {}, borrowRate: {} };
+  const snapshots = [];
+
+  for (let day = 0; day <= days; day++) {
+    const date = formatDay(new Date(start.getTime() + day * DAY_MS));
+    latest.ethPrice = ethPrices.get(date) ?? latest.ethPrice;
+
+    const snapshot = { date, ethPrice: latest.ethPrice, stakingAPR: {}, supplyRate: {}, borrowRate: {} };
+    for (const kind of ['stakingAPR', 'supplyRate', 'borrowRate']) {
+      for (const [asset, points] of Object.entries(series[kind])) {
+        latest[kind][asset] = points.get(date) ?? latest[kind][asset] ?? firstValue(points);
+        snapshot[kind][asset] = latest[kind][asset];
+      }
+    }
+    snapshots.push(snapshot);
+  }
+
+  return { snapshots, dataSources };
+}
+
+// Map of YYYY-MM-DD to the field's value, skipping points without a number; APYs of the protocol are converted to APRs
+function toDailySeries(points, field, apyProtocol) {
+  const series = new Map();
+  for (const point of points || []) {
+    const value = point[field];
+    if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+    const timestamp = typeof point.timestamp === 'number' ? point.timestamp * 1000 : point.timestamp;
+    series.set(formatDay(new Date(timestamp)), apyProtocol ? toAPR(value, 'apy', apyProtocol) : value);
+  }
+  return new Map([...series.entries()].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function firstValue(series) {
+  return series.values().next().value;
+}
+
+function parseRange(range) {
+  const start = parseDay(range.from, '--from');
+  const end = range.to ? parseDay(range.to, '--to') : parseDay(formatDay(new Date()), '--to');
+  const days = Math.round((end.getTime() - start.getTime()) / DAY_MS);
+
+  if (days <= 0) {
+    throw new Error(`Backtest range must end after it starts (${formatDay(start)} to ${formatDay(end)})`);
+  }
+  if (end.getTime() > Date.now()) {
+    throw new Error(`Backtest range cannot end in the future (${formatDay(end)})`);
+  }
+
+  return { start, end, days };
+}
+
+function parseDay(value, name) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || Number.isNaN(Date.parse(value))) {
+    throw new Error(`${name} must be a date as YYYY-MM-DD, got "${value}"`);
+  }
+  return new Date(`${value}T00:00:00Z`);
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
@@ -8,6 +8,16 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { analyzeStrategy } from '../analyzer/index.js';
+import { compareStrategies, formatComparisonCsv } from '../analyzer/compare.js';
+import { loadStrategy, buildTransactionPlan } from '../execution/index.js';
+import { resolveForkSender, simulatePlanOnFork } from '../execution/forkSimulation.js';
+import { runBacktest } from '../backtest/index.js';
+import cacheService from '../services/cache.js';
+import config from '../config/index.js';
+import { startRecording, startReplay, stopSnapshot, saveSnapshot, loadSnapshot } from '../snapshots/index.js';
+import { normalizeRoute, parseRoute, formatRoute } from '../routes/index.js';
+import { SchemaValidationError, formatSchemaErrors } from '../validation/index.js';
+import { readPromptLog, getPromptRun, diffLines } from '../prompts/index.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -24,6 +34,11 @@ program
   .description('CLI-native DeFi strategist for Ethereum protocols')
   .version(packageJson.version);
 
+// Release the cache connection so the process can exit
+program.hook('postAction', async () => {
+  await cacheService.close();
+});
+
 program
   .command('simulate')
   .description('Simulate a DeFi strategy based on your requirements')
@@ -33,12 +48,45 @@ program
   .option('-r, --risk <risk>', 'Risk tolerance (low, medium, high)', 'medium')
   .option('-g, --gas <gas>', 'Maximum gas budget in ETH', '0.015')
   .option('-t, --time <days>', 'Time horizon in days', '30')
+  .option('--monte-carlo <runs>', 'Sample price and rate paths to report a distribution of net returns')
+  .option('--seed <seed>', 'Seed for reproducible Monte Carlo runs')
+  .option('--record <file>', 'Record protocol data and upstream responses to a snapshot file')
+  .option('--replay <file>', 'Rerun the simulation from a snapshot file without network access')
+  .option('--explain', 'Show where every number in the strategy came from and how old it is')
+  .option('--currency <code>', 'Fiat currency to report principal, returns, gas and liquidation prices in', config.prices.currency)
   .option('--json', 'Output results as JSON')
   .action(async (options) => {
+    const currency = options.currency.toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      console.error(chalk.red(`Error: --currency expects an ISO 4217 currency code (e.g. USD, EUR), got "${options.currency}"`));
+      process.exitCode = 1;
+      return;
+    }
+
+    if (options.record && options.replay) {
+      console.error(chalk.red('Error: --record and --replay cannot be used together'));
+      process.exitCode = 1;
+      return;
+    }
+
+    let snapshot = null;
+    if (options.replay) {
+      try {
+        snapshot = await loadSnapshot(options.replay);
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exitCode = 1;
+        return;
+      }
+    }
+
     let strategyInput;
 
-    // If required options are missing, prompt for them
-    if (!options.intent || !options.asset || !options.amount) {
+    if (snapshot && !options.intent && !options.asset && !options.amount) {
+      // Rerun the recorded simulation with its original input
+      strategyInput = { ...snapshot.input };
+    } else if (!options.intent || !options.asset || !options.amount) {
+      // If required options are missing, prompt for them
       const answers = await inquirer.prompt([
         {
           type: 'input',
@@ -104,41 +152,673 @@ program
       };
     }
 
+    strategyInput.currency = currency;
+
+    if (options.monteCarlo !== undefined) {
+      const runs = parseInt(options.monteCarlo, 10);
+      if (!Number.isInteger(runs) || runs <= 0) {
+        console.error(chalk.red(`Error: --monte-carlo expects a positive number of runs, got "${options.monteCarlo}"`));
+        process.exitCode = 1;
+        return;
+      }
+      strategyInput.monteCarloRuns = runs;
+      if (options.seed !== undefined) strategyInput.monteCarloSeed = parseInt(options.seed, 10);
+    }
+
+    // A recorded run keeps its seed so replaying it samples the same paths
+    if (options.record && strategyInput.monteCarloRuns && strategyInput.monteCarloSeed === undefined) {
+      strategyInput.monteCarloSeed = Date.now();
+    }
+
+    if (options.record) startRecording();
+    if (snapshot) startReplay(snapshot);
+
     // Display spinner while analyzing
-    const spinner = ora('Analyzing optimal strategy...').start();
+    const spinner = ora(snapshot ? `Replaying snapshot ${options.replay}...` : 'Analyzing optimal strategy...').start();
 
     try {
       const strategyResult = await analyzeStrategy(strategyInput);
+      if (options.record) {
+        await saveSnapshot(options.record, { input: strategyInput });
+      }
       spinner.succeed('Strategy analysis complete');
+      if (options.record) {
+        spinner.info(`Snapshot recorded to ${options.record}`);
+      }
 
       if (options.json) {
-        console.log(JSON.stringify(strategyResult, null, 2));
+        printOutput(JSON.stringify(strategyResult, null, 2));
       } else {
         displayStrategy(strategyResult);
+        if (options.explain) {
+          displayLineage(strategyResult.lineage);
+        }
       }
     } catch (error) {
       spinner.fail('Strategy analysis failed');
-      console.error(chalk.red(`Error: ${error.message}`));
+      if (error instanceof SchemaValidationError) {
+        console.error(chalk.red('Error: Invalid strategy input'));
+        formatSchemaErrors(error.errors).forEach(message => console.error(chalk.red(`  - ${message}`)));
+      } else {
+        console.error(chalk.red(`Error: ${error.message}`));
+      }
+      process.exitCode = 1;
+    } finally {
+      stopSnapshot();
+    }
+  });
+
+program
+  .command('compare')
+  .description('Compare the strategies of every risk tier, or of the given routes, on the same protocol data')
+  .option('-a, --asset <asset>', 'Input asset (e.g., ETH, USDC), defaults to the asset the routes start from')
+  .option('-v, --amount <amount>', 'Amount to invest', '1')
+  .option('-g, --gas <gas>', 'Maximum gas budget in ETH', '0.015')
+  .option('-t, --time <days>', 'Time horizon in days', '30')
+  .option('-r, --risk <risk>', 'Risk tolerance used to size borrows on the given routes', 'medium')
+  .option('--route <route>', 'Route to value instead of the risk tiers, e.g. "ETH,stETH,Aave,borrow USDC" (repeatable)', (value, routes) => [...routes, value], [])
+  .option('--replay <file>', 'Compare on the protocol data of a snapshot file without network access')
+  .option('--json', 'Output the comparison as JSON')
+  .option('--csv', 'Output the comparison as CSV')
+  .action(async (options) => {
+    if (options.json && options.csv) {
+      console.error(chalk.red('Error: --json and --csv cannot be used together'));
+      process.exitCode = 1;
+      return;
+    }
+
+    // Routes are written like the arrow view, separated by commas or arrows
+    const routes = options.route.map(route => parseRoute(route.split(/\s*(?:,|→|->)\s*/)));
+    const inputAsset = options.asset || routes[0]?.[0]?.assetIn;
+    if (!inputAsset) {
+      console.error(chalk.red('Error: --asset <asset> or --route <route> is required'));
+      process.exitCode = 1;
+      return;
+    }
+
+    let snapshot = null;
+    if (options.replay) {
+      try {
+        snapshot = await loadSnapshot(options.replay);
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exitCode = 1;
+        return;
+      }
+      startReplay(snapshot);
+    }
+
+    const strategyInput = {
+      intent: `compare ${inputAsset} strategies`,
+      inputAsset,
+      amount: parseFloat(options.amount),
+      riskTolerance: options.risk,
+      gasLimitEth: parseFloat(options.gas),
+      timeHorizonDays: parseInt(options.time, 10)
+    };
+
+    const spinner = ora(routes.length > 0 ? `Comparing ${routes.length} route(s)...` : 'Comparing risk tiers...').start();
+
+    try {
+      const comparison = await compareStrategies(strategyInput, { routes });
+      spinner.succeed('Comparison complete');
+
+      if (options.json) {
+        printOutput(JSON.stringify(comparison, null, 2));
+      } else if (options.csv) {
+        printOutput(formatComparisonCsv(comparison));
+      } else {
+        displayComparison(comparison);
+      }
+    } catch (error) {
+      spinner.fail('Comparison failed');
+      if (error instanceof SchemaValidationError) {
+        console.error(chalk.red('Error: Invalid strategy input'));
+        formatSchemaErrors(error.errors).forEach(message => console.error(chalk.red(`  - ${message}`)));
+      } else {
+        console.error(chalk.red(`Error: ${error.message}`));
+      }
+      process.exitCode = 1;
+    } finally {
+      stopSnapshot();
     }
   });
 
 program
   .command('exec')
   .description('Execute a simulated strategy (requires wallet)')
-  .option('-s, --strategy <path>', 'Path to strategy JSON file')
+  .option('-s, --strategy <path>', 'Path to strategy JSON file (from simulate --json)')
   .option('--dry-run', 'Simulate execution without sending transactions')
+  .option('-f, --from <address>', 'Address the transactions would be sent from')
+  .option('-v, --amount <amount>', 'Override the amount recorded in the strategy')
+  .option('--simulate-on <rpcUrl>', 'Replay the plan against a local forked node (e.g. anvil, hardhat)')
+  .option('--json', 'Output the transaction plan as JSON')
+  .action(async (options) => {
+    if (!options.strategy) {
+      console.error(chalk.red('Error: --strategy <path> is required'));
+      process.exitCode = 1;
+      return;
+    }
+
+    const spinner = ora('Building transaction plan...').start();
+
+    try {
+      const strategy = await loadStrategy(options.strategy);
+      // On a fork the calldata must reference the account that will actually send it
+      const from = options.simulateOn
+        ? await resolveForkSender(options.simulateOn, options.from)
+        : options.from;
+      const plan = await buildTransactionPlan(strategy, {
+        from,
+        amount: options.amount
+      });
+      spinner.succeed('Transaction plan ready');
+
+      if (options.simulateOn) {
+        spinner.start(`Replaying plan on ${options.simulateOn}...`);
+        const simulation = await simulatePlanOnFork(plan, options.simulateOn);
+        if (simulation.succeeded) {
+          spinner.succeed('Fork simulation complete');
+        } else {
+          spinner.warn('Fork simulation finished with reverted steps');
+        }
+
+        if (options.json) {
+          printOutput(JSON.stringify({ plan, simulation }, null, 2));
+        } else {
+          displayTransactionPlan(plan);
+          displayForkSimulation(simulation);
+        }
+        return;
+      }
+
+      if (options.json) {
+        printOutput(JSON.stringify(plan, null, 2));
+      } else {
+        displayTransactionPlan(plan);
+      }
+
+      if (!options.dryRun) {
+        console.warn('\n' + chalk.yellow('⚠️  Signing and sending transactions is not yet implemented'));
+        console.warn('Review the plan above and re-run with --dry-run to skip this notice');
+      }
+    } catch (error) {
+      spinner.fail('Failed to build transaction plan');
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exitCode = 1;
+    }
+  });
+
+program
+  .command('backtest')
+  .description('Replay a simulated strategy over a past date range using historical rates and prices')
+  .option('-s, --strategy <path>', 'Path to strategy JSON file (from simulate --json)')
+  .option('--from <date>', 'First day of the backtest (YYYY-MM-DD)')
+  .option('--to <date>', 'Last day of the backtest (YYYY-MM-DD), defaults to today')
+  .option('--json', 'Output the backtest as JSON')
   .action(async (options) => {
-    console.log(chalk.yellow('⚠️  Execution functionality not yet implemented'));
-    console.log('This will allow executing strategies with a connected wallet');
+    if (!options.strategy || !options.from) {
+      console.error(chalk.red('Error: --strategy <path> and --from <date> are required'));
+      process.exitCode = 1;
+      return;
+    }
+
+    const spinner = ora('Replaying strategy over historical data...').start();
+
+    try {
+      const strategy = await loadStrategy(options.strategy);
+      const backtest = await runBacktest(strategy, { from: options.from, to: options.to });
+      spinner.succeed('Backtest complete');
+
+      if (options.json) {
+        printOutput(JSON.stringify(backtest, null, 2));
+      } else {
+        displayBacktest(backtest);
+      }
+    } catch (error) {
+      spinner.fail('Backtest failed');
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exitCode = 1;
+    }
   });
 
+const prompts = program
+  .command('prompts')
+  .description('Inspect the prompts sent for past simulations');
+
+prompts
+  .command('list')
+  .description('List logged prompts, most recent first')
+  .option('-n, --limit <count>', 'Number of prompts to list', '20')
+  .action(async (options) => {
+    try {
+      const runs = (await readPromptLog()).reverse().slice(0, parseInt(options.limit, 10) || 20);
+      if (runs.length === 0) {
+        console.log(chalk.gray('No prompts logged yet'));
+        return;
+      }
+      runs.forEach(run => {
+        const route = run.parsed ? run.parsed.proposedRoute.join(' → ') : chalk.red('rejected');
+        console.log(`${chalk.cyan(run.id)}  ${run.timestamp}  ${run.template.name}@${run.template.version}  ${run.provider}  ${route}`);
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exitCode = 1;
+    }
+  });
+
+prompts
+  .command('show [id]')
+  .description('Show the prompt, model output and parsed result of a past simulation (latest by default)')
+  .option('--json', 'Output the log entry as JSON')
+  .action(async (id, options) => {
+    try {
+      const run = await getPromptRun(id);
+      if (options.json) {
+        printOutput(JSON.stringify(run, null, 2));
+      } else {
+        displayPromptRun(run);
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exitCode = 1;
+    }
+  });
+
+prompts
+  .command('diff <from> <to>')
+  .description('Diff the prompts sent for two past simulations')
+  .option('-c, --context <lines>', 'Unchanged lines shown around each change', '3')
+  .action(async (fromId, toId, options) => {
+    try {
+      const from = await getPromptRun(fromId);
+      const to = await getPromptRun(toId);
+      displayPromptDiff(from, to, parseInt(options.context, 10) || 0);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exitCode = 1;
+    }
+  });
+
+// Helper function to display a comparison as a side-by-side table, one column per risk tier or route
+function displayComparison(comparison) {
+  const { input, rows } = comparison;
+  const byTier = rows.every(row => row.label === row.riskTolerance);
+  const headers = rows.map((row, index) => byTier ? row.label : `Route ${index + 1}`);
+  const metrics = [
+    ['Gross APR', row => row.grossAPR],
+    ['Net Yield', row => row.netYield],
+    [`${input.timeHorizonDays}-Day Return`, row => row.periodNetReturn],
+    ['Gas (ETH)', row => row.gasEstimateEth],
+    ['Break-Even', row => row.breakEvenDays === null ? 'never' : `${row.breakEvenDays} days`],
+    ['Minimum Amount', row => row.minimumAmount === null ? '-' : String(row.minimumAmount)],
+    ['Risk Score', row => `${row.riskScore}/10`],
+    ['Liquidation Price', row => row.liquidationPrice === null ? '-' : `$${row.liquidationPrice.toFixed(0)}`]
+  ];
+
+  const labelWidth = Math.max(...metrics.map(([label]) => label.length));
+  const widths = headers.map((header, index) =>
+    Math.max(header.length, ...metrics.map(([, value]) => value(rows[index]).length)));
+
+  console.log('\n' + chalk.bold.blue(`⚖️  Strategy Comparison: ${input.amount} ${input.inputAsset} over ${input.timeHorizonDays} days`));
+
+  console.log('\n' + chalk.bold('Routes:'));
+  rows.forEach((row, index) => {
+    console.log(`  ${chalk.bold(headers[index] + ':')} ${row.route.join(chalk.gray(' → '))}`);
+  });
+
+  console.log('\n' + ' '.repeat(labelWidth + 2) + headers.map((header, index) => chalk.bold(header.padStart(widths[index]))).join('  '));
+  metrics.forEach(([label, value]) => {
+    const cells = rows.map((row, index) => value(row).padStart(widths[index]));
+    console.log(`${chalk.bold(label.padEnd(labelWidth))}  ${cells.join('  ')}`);
+  });
+
+  console.log('\n' + chalk.gray('Use --json or --csv for machine-readable output'));
+}
+
+// Helper function to display a logged prompt run
+function displayPromptRun(run) {
+  console.log('\n' + chalk.bold.blue(`🧠 Prompt ${run.id}`));
+  console.log(`  ${chalk.bold('Logged:')} ${run.timestamp}`);
+  console.log(`  ${chalk.bold('Template:')} ${run.template.name} v${run.template.version} ${chalk.gray(run.template.hash.slice(0, 12))}`);
+  console.log(`  ${chalk.bold('Prompt hash:')} ${run.promptHash.slice(0, 12)} ${run.verified ? chalk.green('(verified)') : chalk.red('(does not match the rebuilt prompt)')}`);
+  console.log(`  ${chalk.bold('Provider:')} ${run.provider}${run.model ? ` (${run.model})` : ''}`);
+
+  console.log('\n' + chalk.bold('Prompt:'));
+  console.log(run.prompt);
+
+  console.log('\n' + chalk.bold('Raw Output:'));
+  console.log(run.rawOutput === null ? chalk.gray('  none (deterministic builder)') : run.rawOutput);
+
+  console.log('\n' + chalk.bold('Parsed Result:'));
+  if (run.parsed) {
+    console.log(JSON.stringify(run.parsed, null, 2));
+  } else {
+    console.log(chalk.red('  Rejected; the deterministic strategy was used'));
+    run.errors.forEach(error => console.log(chalk.red(`  - ${error}`)));
+  }
+}
+
+// Helper function to display the changes between two logged prompts, with context lines around each change
+function displayPromptDiff(from, to, context) {
+  console.log(chalk.bold(`--- ${from.id} (${from.template.name} v${from.template.version}, ${from.timestamp})`));
+  console.log(chalk.bold(`+++ ${to.id} (${to.template.name} v${to.template.version}, ${to.timestamp})`));
+
+  if (from.promptHash === to.promptHash) {
+    console.log(chalk.gray('Prompts are identical'));
+    return;
+  }
+
+  const lines = diffLines(from.prompt, to.prompt);
+  const shown = lines.map((line, index) =>
+    lines.slice(Math.max(0, index - context), index + context + 1).some(near => near.type !== ' '));
+
+  lines.forEach((line, index) => {
+    if (!shown[index]) {
+      if (index > 0 && shown[index - 1]) console.log(chalk.cyan('@@'));
+      return;
+    }
+    const color = line.type === '-' ? chalk.red : line.type === '+' ? chalk.green : chalk.gray;
+    console.log(color(`${line.type} ${line.line}`));
+  });
+}
+
+// Helper function to display a transaction plan in a readable format
+function displayTransactionPlan(plan) {
+  console.log('\n' + chalk.bold.blue('🧾 Transaction Plan'));
+  console.log(`  ${chalk.bold('Route:')} ${formatRoute(plan.route, chalk.gray(' → '))}`);
+  console.log(`  ${chalk.bold('Input:')} ${plan.amount} ${plan.inputAsset}`);
+  console.log(`  ${chalk.bold('Sender:')} ${plan.sender}`);
+
+  plan.transactions.forEach(tx => {
+    console.log('\n' + chalk.bold(`${tx.index}. [${tx.type}] ${tx.description}`));
+    console.log(`  ${chalk.gray('to:')}     ${tx.to}`);
+    console.log(`  ${chalk.gray('call:')}   ${tx.method}(${tx.params.join(', ')})`);
+    if (tx.value !== '0') {
+      console.log(`  ${chalk.gray('value:')}  ${tx.value} wei`);
+    }
+    console.log(`  ${chalk.gray('data:')}   ${tx.data}`);
+    console.log(`  ${chalk.gray('gas:')}    ~${tx.gasEstimate}`);
+  });
+
+  console.log('\n' + chalk.bold(`Total gas estimate: ${chalk.yellow(plan.totalGasEstimate)}`));
+
+  if (plan.warnings.length > 0) {
+    console.log('\n' + chalk.bold.yellow('⚠️  Warnings:'));
+    plan.warnings.forEach(warning => {
+      console.log(`  ${chalk.yellow('•')} ${warning}`);
+    });
+  }
+}
+
+// Helper function to display fork simulation results
+function displayForkSimulation(simulation) {
+  console.log('\n' + chalk.bold.blue(`🧪 Fork Simulation (chain ${simulation.chainId})`));
+  console.log(`  ${chalk.bold('Sender:')} ${simulation.sender}`);
+
+  simulation.steps.forEach(step => {
+    const status = step.status === 'success' ? chalk.green('✔ success') : chalk.red('✖ reverted');
+    console.log('\n' + chalk.bold(`${step.index}. ${step.description}`) + ` ${status}`);
+    if (step.revertReason) {
+      console.log(`  ${chalk.gray('reason:')}   ${chalk.red(step.revertReason)}`);
+    }
+    if (step.gasUsed !== null) {
+      console.log(`  ${chalk.gray('gas:')}      ${step.gasUsed} used vs ~${step.gasEstimate} estimated (${formatDeviation(step.gasDeviation)})`);
+    }
+    const balances = Object.entries(step.balances).map(([symbol, amount]) => `${amount} ${symbol}`);
+    console.log(`  ${chalk.gray('balances:')} ${balances.join(', ')}`);
+  });
+
+  console.log('\n' + chalk.bold('Gas Estimate Accuracy:'));
+  Object.entries(simulation.gasAccuracy).forEach(([protocol, entry]) => {
+    console.log(`  ${chalk.bold(protocol + ':')} ${entry.used} used vs ${entry.estimated} estimated (${formatDeviation(entry.deviation)})`);
+  });
+  console.log(`  ${chalk.bold('Total:')} ${simulation.totalGasUsed} used vs ${simulation.totalGasEstimate} estimated`);
+}
+
+function formatDeviation(deviation) {
+  if (deviation === null) return 'n/a';
+  const percent = (deviation * 100).toFixed(1);
+  const text = deviation >= 0 ? `+${percent}%` : `${percent}%`;
+  return Math.abs(deviation) > 0.25 ? chalk.red(text) : chalk.green(text);
+}
+
+// Helper function to display backtest results
+function displayBacktest(backtest) {
+  const formatPercent = value => {
+    const text = `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+    return value >= 0 ? chalk.green(text) : chalk.red(text);
+  };
+
+  console.log('\n' + chalk.bold.blue(`📈 Backtest ${backtest.from} → ${backtest.to} (${backtest.days} days)`));
+  console.log(`  ${chalk.bold('Route:')} ${formatRoute(normalizeRoute(backtest.route), chalk.gray(' → '))}`);
+  console.log(`  ${chalk.bold('ETH Price:')} $${backtest.ethPrice.start} → $${backtest.ethPrice.end}`);
+
+  console.log('\n' + chalk.bold('Realized vs Projected:'));
+  console.log(`  ${chalk.bold('Projected:')} ${formatPercent(backtest.projected.periodReturn)} (${backtest.projected.apr}% APR)`);
+  console.log(`  ${chalk.bold('Realized:')} ${formatPercent(backtest.realized.periodReturn)} (${backtest.realized.apr}% APR${backtest.gasIncluded ? ', net of gas' : ''})`);
+
+  if (backtest.healthFactor) {
+    console.log('\n' + chalk.bold('Health Factor:'));
+    console.log(`  ${chalk.bold('Start:')} ${backtest.healthFactor.start.toFixed(2)}`);
+    console.log(`  ${chalk.bold('Lowest:')} ${backtest.healthFactor.min.toFixed(2)} on ${backtest.healthFactor.minDate} (${(backtest.healthFactor.drawdown * 100).toFixed(1)}% drawdown)`);
+  }
+
+  if (backtest.liquidated) {
+    console.log('\n' + chalk.bold.red(`✖ Liquidated on ${backtest.liquidationDate}`));
+  } else {
+    console.log('\n' + chalk.bold.green('✔ No liquidation over the period'));
+  }
+
+  if (backtest.warnings.length > 0) {
+    console.log('\n' + chalk.bold.yellow('⚠️  Warnings:'));
+    backtest.warnings.forEach(warning => {
+      console.log(`  ${chalk.yellow('•')} ${warning}`);
+    });
+  }
+}
+
+// Helper function to display the Monte Carlo distribution of outcomes
+function displayMonteCarlo(monteCarlo) {
+  const formatReturn = value => {
+    const text = `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+    return value >= 0 ? chalk.green(text) : chalk.red(text);
+  };
+  const liquidationColor = monteCarlo.liquidationProbability === 0 ? 'green' :
+                           monteCarlo.liquidationProbability < 0.05 ? 'yellow' : 'red';
+
+  console.log('\n' + chalk.bold(`Monte Carlo (${monteCarlo.runs} runs over ${monteCarlo.horizonDays} days):`));
+  console.log(`  ${chalk.bold('Net Return P5:')} ${formatReturn(monteCarlo.netReturn.p5)}`);
+  console.log(`  ${chalk.bold('Net Return P50:')} ${formatReturn(monteCarlo.netReturn.p50)}`);
+  console.log(`  ${chalk.bold('Net Return P95:')} ${formatReturn(monteCarlo.netReturn.p95)}`);
+  console.log(`  ${chalk.bold('Liquidation Probability:')} ${chalk[liquidationColor]((monteCarlo.liquidationProbability * 100).toFixed(2) + '%')}`);
+  if (monteCarlo.minHealthFactor) {
+    console.log(`  ${chalk.bold('Lowest Health Factor (P5):')} ${monteCarlo.minHealthFactor.p5.toFixed(2)}`);
+  }
+  console.log(chalk.gray(`  Assumes ${(monteCarlo.assumptions.ethVolatility * 100).toFixed(0)}% ETH volatility, ${(monteCarlo.assumptions.aprVolatility * 100).toFixed(0)}% APR drift and ${(monteCarlo.assumptions.borrowRateVolatility * 100).toFixed(0)}% borrow rate drift per year${monteCarlo.gasIncluded ? '; returns are net of gas' : ''}.`));
+}
+
+// Helper function to display where each number of a strategy came from
+function displayLineage(lineage = []) {
+  const formatValue = ({ value, unit }) => {
+    if (value === null) return 'n/a';
+    switch (unit) {
+      case 'percent': return `${value.toFixed(2)}%`;
+      case 'ratio': return `${(value * 100).toFixed(1)}%`;
+      case 'eth': return `${value.toFixed(4)} ETH`;
+      case 'gas': return `${value.toLocaleString('en-US')} gas`;
+      case 'gwei': return `${value.toFixed(1)} gwei`;
+      case 'usd': return `$${value.toFixed(2)}`;
+      default: return String(value);
+    }
+  };
+  const formatAge = seconds => {
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+  };
+  const metricWidth = Math.max(...lineage.map(entry => entry.metric.length), 6);
+
+  console.log('\n' + chalk.bold.blue('🔎 Data Lineage'));
+  lineage.forEach(entry => {
+    let freshness;
+    if (entry.mock) {
+      freshness = chalk.red.bold('MOCK DATA');
+    } else if (entry.ageSeconds !== null) {
+      // Anything older than an hour is likely served from the cache after an upstream failure
+      freshness = (entry.ageSeconds > 3600 ? chalk.yellow : chalk.green)(`fetched ${formatAge(entry.ageSeconds)}`);
+    } else {
+      freshness = chalk.gray('not fetched');
+    }
+    console.log(`  ${entry.metric.padEnd(metricWidth)}  ${formatValue(entry).padStart(12)}  ${chalk.cyan(entry.source)}  ${freshness}`);
+  });
+}
+
+// Helper function to display the plugin analysis of each protocol on the route
+function displayPluginAnalysis(pluginAnalysis) {
+  const confidenceColor = score => score >= 7 ? chalk.green : score >= 4 ? chalk.yellow : chalk.red;
+  const overall = pluginAnalysis.confidenceScore;
+
+  console.log('\n' + chalk.bold('Protocol Analysis:') +
+    (overall === null ? '' : ` ${chalk.gray('confidence')} ${confidenceColor(overall)(`${overall}/10`)}`));
+
+  pluginAnalysis.protocols.forEach(entry => {
+    if (entry.error) {
+      console.log(`  ${chalk.bold(entry.name)} ${chalk.yellow(`unavailable: ${entry.error}`)}`);
+      return;
+    }
+    console.log(`  ${chalk.bold(entry.name)} ${confidenceColor(entry.confidenceScore)(`${entry.confidenceScore}/10`)} ${chalk.gray(entry.action)}`);
+    console.log(`    ${entry.summary}`);
+    if (entry.riskFactors.length > 0) {
+      console.log(`    ${chalk.bold('Risks:')} ${entry.riskFactors.join('; ')}`);
+    }
+    if (entry.adjustments.length > 0) {
+      console.log(`    ${chalk.bold('Adjustments:')} ${entry.adjustments.join('; ')}`);
+    }
+  });
+}
+
+// Helper function to display what the period return is made of, as shares of the principal
+function displayProjection(projection) {
+  const formatShare = share => `${(share * 100).toFixed(2)}%`;
+  const { costs } = projection;
+
+  console.log('\n' + chalk.bold(`Return Projection (${projection.horizonDays} days):`));
+  console.log(`  ${chalk.bold('Gross Yield:')} ${chalk.green(formatShare(projection.grossReturn))}`);
+  console.log(`  ${chalk.bold('After Fees and Interest:')} ${chalk.green(formatShare(projection.yieldReturn))}`);
+  console.log(`  ${chalk.bold('Slippage:')} ${chalk.yellow(`-${formatShare(costs.entrySlippage)} in, -${formatShare(costs.exitSlippage)} out`)}`);
+  console.log(`  ${chalk.bold('Withdrawal Queue:')} ${chalk.yellow(`-${formatShare(costs.withdrawalQueue)}`)}`);
+  console.log(`  ${chalk.bold('Gas:')} ${chalk.yellow(`-${formatShare(costs.gas)}`)} ${chalk.gray(`(${projection.gasEth.entry.toFixed(4)} ETH in, ${projection.gasEth.exit.toFixed(4)} ETH out)`)}`);
+  projection.exits.filter(exit => exit.method !== 'none').forEach(exit => {
+    const how = exit.method === 'queue' ? `withdrawal queue, ${exit.days} days` : 'swap';
+    console.log(chalk.gray(`    Exit ${exit.asset} by ${how}`));
+  });
+  console.log(`  ${chalk.bold('Net Return:')} ${(projection.netReturn >= 0 ? chalk.green : chalk.red)(formatShare(projection.netReturn))}`);
+}
+
+// Helper function to write --json or --csv output, the only thing that goes to stdout with them
+function printOutput(text) {
+  process.stdout.write(text + '\n');
+}
+
+// Helper function to display the money figures of a strategy in a fiat currency
+function displayFiat(fiat, leverage) {
+  const format = value => new Intl.NumberFormat('en-US', { style: 'currency', currency: fiat.currency }).format(value);
+  const observed = fiat.observedAt ? `, as of ${fiat.observedAt}` : '';
+
+  console.log('\n' + chalk.bold(`Values in ${fiat.currency}:`) + chalk.gray(` (ETH at ${format(fiat.ethPrice)} from ${fiat.source}${observed})`));
+  console.log(`  ${chalk.bold('Principal:')} ${format(fiat.principal)}`);
+  if (fiat.periodNetReturn !== null) {
+    console.log(`  ${chalk.bold('Period Return:')} ${(fiat.periodNetReturn >= 0 ? chalk.green : chalk.red)(format(fiat.periodNetReturn))}`);
+  }
+  console.log(`  ${chalk.bold('Gas:')} ${chalk.yellow(format(fiat.gas.entry + fiat.gas.exit))} ${chalk.gray(`(${format(fiat.gas.entry)} in, ${format(fiat.gas.exit)} out)`)}`);
+  if (fiat.liquidationPrice !== null) {
+    console.log(`  ${chalk.bold('Liquidation Price:')} ${chalk.red(`ETH ${leverage?.liquidationPriceDirection || 'at'} ${format(fiat.liquidationPrice)}`)}`);
+  }
+}
+
+// Helper function to display the gas of every transaction the route sends
+function displayGasBreakdown(gasBreakdown) {
+  const { feePerGas, steps, totalGas } = gasBreakdown;
+  let fee = chalk.gray('no fee data');
+  if (feePerGas?.baseFee !== null && feePerGas?.baseFee !== undefined) {
+    fee = `${feePerGas.gwei.toFixed(2)} gwei = ${feePerGas.baseFee.toFixed(2)} base + ${(feePerGas.priorityFee || 0).toFixed(2)} priority`;
+  } else if (feePerGas) {
+    fee = `${feePerGas.gwei.toFixed(2)} gwei`;
+  }
+
+  console.log('\n' + chalk.bold(`Gas Breakdown (${fee}):`));
+  steps.forEach(step => {
+    const cost = step.costEth === null ? '' : ` ${chalk.yellow(step.costEth.toFixed(4) + ' ETH')}`;
+    const source = step.source === 'default' ? chalk.gray(' (default estimate)') : '';
+    console.log(`  ${chalk.bold(step.routeStep + ':')} ${step.description} ${chalk.gray(`[${step.type}]`)} ${step.gas.toLocaleString('en-US')} gas${cost}${source}`);
+  });
+  console.log(`  ${chalk.bold('Total:')} ${totalGas.toLocaleString('en-US')} gas`);
+}
+
+// Helper function to display gas estimates by confidence level and the cheapest execution window
+function displayGasTiming(gasTiming) {
+  const formatShare = share => share === null ? '' : chalk.gray(` (${(share * 100).toFixed(1)}% of the expected period return)`);
+
+  console.log('\n' + chalk.bold('Gas Timing:'));
+  gasTiming.estimates.forEach(estimate => {
+    console.log(`  ${chalk.bold(`${estimate.confidence}% confidence:`)} ${estimate.feePerGas.toFixed(2)} gwei ${chalk.gray(`(max ${estimate.maxFeePerGas.toFixed(2)})`)} ${chalk.yellow(estimate.totalGasEth.toFixed(4) + ' ETH')}`);
+  });
+  if (gasTiming.gasShareOfReturn !== null) {
+    console.log(`  ${chalk.bold('Gas Share:')} ${(gasTiming.gasShareOfReturn * 100).toFixed(1)}% of the expected period return`);
+  }
+
+  const { window } = gasTiming;
+  if (window) {
+    const hour = String(window.hourUtc).padStart(2, '0');
+    console.log(`  ${chalk.bold('Cheaper Window:')} around ${hour}:00 UTC, base fee ${window.baseFee.toFixed(2)} gwei over ${window.samples} observations`);
+    console.log(`    ${chalk.green(window.totalGasEth.toFixed(4) + ' ETH')}, saving ${window.savingsEth.toFixed(4)} ETH${formatShare(window.gasShareOfReturn)}`);
+  } else if (gasTiming.baseFee !== null) {
+    console.log(chalk.gray('  No cheaper execution window in the local fee history'));
+  }
+}
+
+// Helper function to display how long the route takes to earn back its gas and the amount it needs
+function displayBreakEven(breakEven, userInput) {
+  const asset = userInput?.inputAsset || '';
+  const formatDays = days => days === null ? 'never' : `${days} days`;
+  const formatMinimum = amount => amount === null ? 'no amount' : `${amount} ${asset}`;
+
+  console.log('\n' + chalk.bold(`Break-Even (${breakEven.horizonDays}-day horizon):`));
+  console.log(`  ${chalk.bold('Entry + Exit Gas:')} ${breakEven.entryGasEth.toFixed(4)} + ${breakEven.exitGasEth.toFixed(4)} ETH`);
+  console.log(`  ${chalk.bold('Gas Covered After:')} ${(breakEven.coversGas ? chalk.green : chalk.red)(formatDays(breakEven.breakEvenDays))}`);
+  if (breakEven.baseline) {
+    const minimumColor = breakEven.beatsBaseline === false ? chalk.red : chalk.green;
+    console.log(`  ${chalk.bold('Minimum Amount:')} ${minimumColor(formatMinimum(breakEven.minimumAmount))} ${chalk.gray(breakEven.beatsBaseline === null
+      ? '(to earn back the gas)'
+      : `(to beat ${breakEven.baseline.route.join(' → ')} at ${breakEven.baseline.netYield.toFixed(2)}%)`)}`);
+  }
+
+  breakEven.tiers.forEach(tier => {
+    const details = tier.route
+      ? `${tier.route.join(chalk.gray(' → '))} ${chalk.gray(`break-even ${formatDays(tier.breakEvenDays)}, minimum ${formatMinimum(tier.minimumAmount)}`)}`
+      : chalk.gray('no route');
+    const marker = tier.tier === breakEven.recommendedTier ? chalk.green(' ✓') : '';
+    console.log(`  ${chalk.bold(tier.tier + ':')} ${details}${marker}`);
+  });
+  console.log(`  ${chalk.bold('Recommended Tier:')} ${breakEven.recommendedTier
+    ? chalk.green(breakEven.recommendedTier)
+    : chalk.yellow('none, no tier earns back its gas at this amount')}`);
+}
+
 // Helper function to display strategy results in a readable format
 function displayStrategy(strategy) {
   console.log('\n' + chalk.bold.blue('📊 Proposed Strategy'));
   console.log(chalk.bold('Route:'));
 
   // Display route as a flow
-  console.log('  ' + strategy.proposedRoute.join(chalk.gray(' → ')));
+  console.log('  ' + formatRoute(normalizeRoute(strategy.proposedRoute), chalk.gray(' → ')));
+
+  // Name the model when the route did not come from the deterministic builder
+  if (strategy.generatedBy && strategy.generatedBy.provider !== 'deterministic') {
+    console.log(chalk.gray(`  Proposed by the ${strategy.generatedBy.provider} model ${strategy.generatedBy.model}`));
+  }
 
   console.log('\n' + chalk.bold('Estimated Metrics:'));
   console.log(`  ${chalk.bold('Gross APR:')} ${chalk.green(strategy.grossAPR)}`);
@@ -160,6 +840,46 @@ function displayStrategy(strategy) {
                     strategy.riskScore < 7 ? 'yellow' : 'red';
   console.log(`  ${chalk.bold('Risk Score:')} ${chalk[riskColor](strategy.riskScore + '/10')}`);
 
+  if (strategy.projection) {
+    displayProjection(strategy.projection);
+  }
+
+  if (strategy.gasBreakdown?.steps.length > 0) {
+    displayGasBreakdown(strategy.gasBreakdown);
+  }
+
+  if (strategy.gasTiming?.estimates.length > 0) {
+    displayGasTiming(strategy.gasTiming);
+  }
+
+  if (strategy.breakEven) {
+    displayBreakEven(strategy.breakEven, strategy.userInput);
+  }
+
+  // Leverage details only matter when the route borrows
+  if (strategy.leverage?.loops > 0) {
+    const { leverage } = strategy;
+    const healthColor = leverage.healthFactor >= 1.5 ? 'green' :
+                        leverage.healthFactor >= 1.2 ? 'yellow' : 'red';
+
+    console.log('\n' + chalk.bold('Leverage:'));
+    console.log(`  ${chalk.bold('Loops:')} ${leverage.loops}`);
+    console.log(`  ${chalk.bold('Effective Leverage:')} ${leverage.effectiveLeverage.toFixed(2)}x`);
+    console.log(`  ${chalk.bold('Loan-to-Value:')} ${(leverage.loanToValue * 100).toFixed(1)}% ${chalk.gray(`(max ${(leverage.maxLoanToValue * 100).toFixed(1)}%, liquidation at ${(leverage.liquidationThreshold * 100).toFixed(1)}%)`)}`);
+    console.log(`  ${chalk.bold('Health Factor:')} ${chalk[healthColor](leverage.healthFactor.toFixed(2))}`);
+    console.log(`  ${chalk.bold('Liquidation Price:')} ${leverage.liquidationPrice
+      ? chalk.red(`ETH ${leverage.liquidationPriceDirection} $${leverage.liquidationPrice.toFixed(2)}`)
+      : chalk.gray('not driven by the ETH price')}`);
+  }
+
+  if (strategy.fiat) {
+    displayFiat(strategy.fiat, strategy.leverage);
+  }
+
+  if (strategy.monteCarlo) {
+    displayMonteCarlo(strategy.monteCarlo);
+  }
+
   console.log('\n' + chalk.bold('Strategy Insight:'));
   console.log(`  ${strategy.insight}`);
 
@@ -169,6 +889,11 @@ function displayStrategy(strategy) {
     console.log(`  ${strategy.marketInsight}`);
   }
 
+  // Per-protocol review by the plugins
+  if (strategy.pluginAnalysis?.protocols.length > 0) {
+    displayPluginAnalysis(strategy.pluginAnalysis);
+  }
+
   // Display warnings if any
   if (strategy.warnings && strategy.warnings.length > 0) {
     console.log('\n' + chalk.bold.yellow('⚠️  Warnings:'));
@@ -181,7 +906,7 @@ function displayStrategy(strategy) {
   if (strategy.dataSources) {
     console.log('\n' + chalk.bold('Data Source Reliability:'));
     Object.entries(strategy.dataSources).forEach(([key, value]) => {
-      const color = value === 'Real Data' ? chalk.green : chalk.yellow;
+      const color = value === 'Real Data' ? chalk.green : value === 'Mock Data' ? chalk.red : chalk.yellow;
       console.log(`  ${chalk.bold(key + ':')} ${color(value)}`);
     });
   }
@@ -199,6 +924,9 @@ function displayStrategy(strategy) {
 
   console.log('\n' + chalk.bold(`Judgment: ${chalk[judgmentColor](strategy.judgment)}`));
   console.log('\n' + chalk.gray('Use --json flag for machine-readable output'));
+  if (strategy.promptLogId) {
+    console.log(chalk.gray(`Prompt logged as ${strategy.promptLogId} (yield-pilot prompts show ${strategy.promptLogId})`));
+  }
 }
 
 program.parse();
@@ -0,0 +1,89 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SNAPSHOT_VERSION } from '../../snapshots/index.js';
+import { normalizeProtocolData } from '../../protocols/dataModel.js';
+
+const run = promisify(execFile);
+const cliPath = fileURLToPath(new URL('../index.js', import.meta.url));
+
+// Replayed protocol data, so the CLI runs without network access
+const protocolData = normalizeProtocolData({
+  lido: { stETHAPR: 3.2, tvl: 25000000000, fee: 0.1, source: 'Lido API' },
+  aave: {
+    supplyRates: { ETH: 1.9, wstETH: 0.1, USDC: 4.8 },
+    borrowRates: { ETH: 2.4, USDC: 6.1 },
+    ltvRatios: { ETH: 0.8, wstETH: 0.78, USDC: 0.75 },
+    liquidationThresholds: { ETH: 0.83, wstETH: 0.81, USDC: 0.78 },
+    source: 'Aave subgraph'
+  },
+  renzo: { apyBoost: 3.6, fee: 0.15, source: 'DefiLlama' },
+  gas: { current: { average: 10, baseFee: 8.5, priorityFee: 1.5 }, ethPrice: 3000 },
+  missingData: {}
+});
+
+describe('CLI', () => {
+  let directory;
+  let env;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'yield-pilot-cli-'));
+    await fs.writeFile(path.join(directory, 'snapshot.json'), JSON.stringify({
+      version: SNAPSHOT_VERSION,
+      recordedAt: '2026-10-01T12:00:00.000Z',
+      input: {},
+      protocolData,
+      quotes: { EUR: { currency: 'EUR', source: 'chainlink', ethPrice: 2760, usdRate: 0.92, observedAt: '2026-10-01T11:59:00.000Z' } },
+      responses: []
+    }));
+    env = {
+      ...process.env,
+      CACHE_BACKEND: 'memory',
+      PROMPT_LOG_DIR: path.join(directory, 'prompts'),
+      GAS_HISTORY_FILE: path.join(directory, 'gas-history.jsonl'),
+      DISABLED_PLUGINS: 'protocol-bittensor'
+    };
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should write nothing but the strategy JSON to stdout with --json', { timeout: 120000 }, async () => {
+    const { stdout, stderr } = await run(process.execPath, [
+      cliPath, 'simulate', '-i', 'grow ETH', '-a', 'ETH', '-v', '2', '-r', 'medium', '-t', '90',
+      '--replay', path.join(directory, 'snapshot.json'), '--json'
+    ], { env, cwd: directory, timeout: 110000 });
+
+    const strategy = JSON.parse(stdout);
+    assert.strictEqual(strategy.userInput.inputAsset, 'ETH');
+    assert.ok(strategy.proposedRoute.length > 0);
+    // The logs are still there, on stderr
+    assert.match(stderr, /Final Proposed Route/);
+  });
+
+  it('should report in the fiat quote of the snapshot without asking the price source', { timeout: 120000 }, async () => {
+    const { stdout } = await run(process.execPath, [
+      cliPath, 'simulate', '-i', 'grow ETH', '-a', 'ETH', '-v', '2', '-r', 'medium', '-t', '90', '--currency', 'EUR',
+      '--replay', path.join(directory, 'snapshot.json'), '--json'
+    ], { env: { ...env, PRICE_SOURCE: 'chainlink', ETH_RPC_URL: 'http://127.0.0.1:9' }, cwd: directory, timeout: 110000 });
+
+    const { fiat } = JSON.parse(stdout);
+    assert.strictEqual(fiat.source, 'chainlink');
+    assert.strictEqual(fiat.principal, 5520);
+  });
+
+  it('should write nothing but the comparison JSON to stdout with compare --json', { timeout: 120000 }, async () => {
+    const { stdout } = await run(process.execPath, [
+      cliPath, 'compare', '-a', 'ETH', '-v', '2', '-t', '90',
+      '--replay', path.join(directory, 'snapshot.json'), '--json'
+    ], { env, cwd: directory, timeout: 110000 });
+
+    assert.deepStrictEqual(JSON.parse(stdout).rows.map(row => row.label), ['low', 'medium', 'high']);
+  });
+});
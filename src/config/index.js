@@ -2,6 +2,7 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import os from 'os';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -10,12 +11,21 @@ try {
   const envPath = path.resolve(process.cwd(), '.env');
   if (fs.existsSync(envPath)) {
     dotenv.config({ path: envPath });
-    console.log('Loaded environment from .env file');
+    // On stderr, so it never mixes with --json or --csv output
+    console.error('Loaded environment from .env file');
   }
 } catch (err) {
   console.warn('Warning: Could not load .env file', err.message);
 }
 
+// Per-user config directory (XDG on Linux, Library/Preferences on macOS, AppData on Windows)
+function getUserConfigDir() {
+  const home = os.homedir();
+  if (process.platform === 'win32') return process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+  if (process.platform === 'darwin') return path.join(home, 'Library', 'Preferences');
+  return process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+}
+
 // Default configuration with fallbacks
 const config = {
   // Redis configuration
@@ -33,6 +43,11 @@ const config = {
       baseUrl: process.env.DEFILLAMA_API_URL || 'https://api.llama.fi',
       yieldsUrl: process.env.DEFILLAMA_YIELDS_API_URL || 'https://yields.llama.fi',
       stablecoinsUrl: process.env.DEFILLAMA_STABLECOINS_API_URL || 'https://stablecoins.llama.fi',
+      coinsUrl: process.env.DEFILLAMA_COINS_API_URL || 'https://coins.llama.fi',
+    },
+    gas: {
+      blocknativeUrl: process.env.BLOCKNATIVE_API_URL || 'https://api.blocknative.com/gasprices/blockprices',
+      etherscanUrl: process.env.ETHERSCAN_API_URL || 'https://api.etherscan.io/api',
     }
   },
 
@@ -40,6 +55,56 @@ const config = {
   cache: {
     protocolPrefix: process.env.PROTOCOL_DATA_CACHE_PREFIX || 'eigen-pilot:protocol:',
     enabled: process.env.PROTOCOL_CACHE_ENABLED !== 'false', // Default to true
+    // memory (in-process LRU), file (persists across runs without extra services) or redis
+    backend: process.env.CACHE_BACKEND || 'file',
+    directory: process.env.CACHE_DIR || path.join(getUserConfigDir(), 'yield-pilot', 'cache'),
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10), // memory backend only
+    // How long values are kept after their TTL, served while refreshing and as a fallback when the upstream fails
+    staleTtl: parseInt(process.env.CACHE_STALE_TTL || '86400', 10), // 1 day
+    gasTtl: parseInt(process.env.GAS_CACHE_TTL || '30', 10), // 30 seconds; roughly two blocks
+    gasStaleTtl: parseInt(process.env.GAS_CACHE_STALE_TTL || '300', 10), // 5 minutes
+    priceTtl: parseInt(process.env.PRICE_CACHE_TTL || '300', 10), // 5 minutes
+    priceStaleTtl: parseInt(process.env.PRICE_CACHE_STALE_TTL || '3600', 10), // 1 hour
+    historyTtl: parseInt(process.env.HISTORY_CACHE_TTL || '21600', 10), // 6 hours; past data only grows by a day
+  },
+
+  // Local rolling history of observed EIP-1559 fees, used to suggest cheaper execution windows
+  gas: {
+    historyFile: process.env.GAS_HISTORY_FILE || path.join(getUserConfigDir(), 'yield-pilot', 'gas-history.jsonl'),
+    historyDays: parseInt(process.env.GAS_HISTORY_DAYS || '14', 10),
+  },
+
+  // Fiat prices for reporting: defillama (coins API), chainlink (price feeds read over RPC) or file (static prices)
+  prices: {
+    source: process.env.PRICE_SOURCE || 'defillama',
+    currency: process.env.REPORT_CURRENCY || 'USD',
+    rpcUrl: process.env.ETH_RPC_URL || undefined, // chainlink source only
+    file: process.env.PRICE_FILE || path.join(getUserConfigDir(), 'yield-pilot', 'prices.json'),
+  },
+
+  // Plugin discovery
+  plugins: {
+    directory: process.env.PLUGINS_DIR || path.join(__dirname, '../../plugins'),
+    // Comma-separated plugin directory names to skip (e.g. "protocol-bittensor")
+    disabled: (process.env.DISABLED_PLUGINS || '').split(',').map(name => name.trim()).filter(Boolean),
+  },
+
+  // Strategy agent model
+  llm: {
+    // deterministic (rule-based route engine), openai (any OpenAI-compatible API) or local (Ollama model server)
+    provider: process.env.LLM_PROVIDER || 'deterministic',
+    baseUrl: process.env.LLM_BASE_URL || undefined, // Provider default when unset
+    model: process.env.LLM_MODEL || undefined, // Provider default when unset
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || undefined,
+    timeout: parseInt(process.env.LLM_TIMEOUT || '60000', 10), // 60 seconds
+  },
+
+  // Prompt templates and the append-only log of every prompt sent
+  prompts: {
+    directory: process.env.PROMPTS_DIR || path.join(__dirname, '../..'),
+    logDirectory: process.env.PROMPT_LOG_DIR || path.join(getUserConfigDir(), 'yield-pilot', 'prompts'),
+    // log.jsonl is rotated to log.1.jsonl at this size, so the log keeps at most about twice as much; 0 never rotates
+    maxLogBytes: parseInt(process.env.PROMPT_LOG_MAX_BYTES || '5242880', 10), // 5 MB
   },
 
   // Protocol configurations
@@ -0,0 +1,240 @@
+import { ethers } from 'ethers';
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+];
+
+// Balances change between identical reads, so the provider must not cache requests
+const PROVIDER_OPTIONS = { cacheTimeout: -1 };
+
+// Balance given to the sender on the fork when it cannot cover the plan's ETH value
+const FORK_FUNDING_ETH = '100';
+
+// Mainnet addresses of the tokens route steps can produce, so their balances show after each step
+const ROUTE_TOKENS = {
+  WETH: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+  stETH: '0xae7ab96520DE3A18E5e111B5EaAb095312D7fE84',
+  wstETH: '0x7f39C581F595B53c5cb19bD0b3f8dA6c935E2Ca0',
+  ezETH: '0xbf5495Efe5DB9ce00f80364C8B423567e58d2110',
+  rsETH: '0xA1290d69c65A6Fe4DF752f95823fae25cB99e5A7',
+  USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+  USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+  DAI: '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+};
+
+/**
+ * Pick the account to simulate with on a forked node
+ * Uses the first unlocked dev account (anvil/hardhat) when no address is given
+ *
+ * @param {string} rpcUrl RPC URL of the forked node
+ * @param {string} [from] Preferred sender address
+ * @returns {Promise<string>} Sender address
+ */
+export async function resolveForkSender(rpcUrl, from) {
+  if (from) return ethers.getAddress(from);
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, PROVIDER_OPTIONS);
+  try {
+    const accounts = await provider.send('eth_accounts', []);
+    if (!accounts || accounts.length === 0) {
+      throw new Error(`No unlocked accounts on ${rpcUrl}; pass --from to impersonate one`);
+    }
+    return ethers.getAddress(accounts[0]);
+  } finally {
+    provider.destroy();
+  }
+}
+
+/**
+ * Replay a transaction plan against a local forked node (anvil, hardhat)
+ * Each step is sent from the plan's sender (impersonated if needed) and the
+ * receipt, revert reason and resulting token balances are recorded.
+ *
+ * @param {Object} plan Plan from buildTransactionPlan()
+ * @param {string} rpcUrl RPC URL of the forked node
+ * @returns {Promise<Object>} Per-step execution results and gas accuracy summary
+ */
+export async function simulatePlanOnFork(plan, rpcUrl) {
+  const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, PROVIDER_OPTIONS);
+
+  try {
+    const sender = plan.sender;
+    if (sender === ethers.ZeroAddress) {
+      throw new Error('Fork simulation needs a sender address');
+    }
+
+    const network = await provider.getNetwork();
+    await prepareSender(provider, sender, plan);
+
+    const tokens = await loadTrackedTokens(provider, plan);
+    const steps = [];
+
+    for (const tx of plan.transactions) {
+      const request = {
+        from: sender,
+        to: tx.to,
+        data: tx.data,
+        value: ethers.toQuantity(BigInt(tx.value || '0'))
+      };
+
+      const result = {
+        index: tx.index,
+        routeStep: tx.routeStep,
+        protocol: tx.protocol,
+        description: tx.description,
+        status: 'success',
+        revertReason: null,
+        gasEstimate: tx.gasEstimate,
+        gasUsed: null,
+        gasDeviation: null,
+        balances: {}
+      };
+
+      try {
+        // Dry-run the call first so reverts surface with a decoded reason
+        await provider.call(request);
+        const hash = await provider.send('eth_sendTransaction', [request]);
+        const receipt = await provider.waitForTransaction(hash);
+
+        result.gasUsed = Number(receipt.gasUsed);
+        result.gasDeviation = tx.gasEstimate
+          ? (result.gasUsed - tx.gasEstimate) / tx.gasEstimate
+          : null;
+
+        if (receipt.status !== 1) {
+          result.status = 'reverted';
+          result.revertReason = 'Transaction reverted without a reason';
+        }
+      } catch (error) {
+        result.status = 'reverted';
+        result.revertReason = getRevertReason(error);
+      }
+
+      result.balances = await readBalances(provider, sender, tokens);
+      steps.push(result);
+    }
+
+    const executed = steps.filter(step => step.gasUsed !== null);
+
+    return {
+      rpcUrl,
+      chainId: Number(network.chainId),
+      sender,
+      steps,
+      succeeded: steps.every(step => step.status === 'success'),
+      totalGasEstimate: plan.totalGasEstimate,
+      totalGasUsed: executed.reduce((sum, step) => sum + step.gasUsed, 0),
+      gasAccuracy: summarizeGasAccuracy(executed)
+    };
+  } finally {
+    provider.destroy();
+  }
+}
+
+/**
+ * Make sure the sender can send transactions and pay for the plan on the fork
+ *
+ * @param {ethers.JsonRpcProvider} provider Fork provider
+ * @param {string} sender Sender address
+ * @param {Object} plan Transaction plan
+ */
+async function prepareSender(provider, sender, plan) {
+  const accounts = (await provider.send('eth_accounts', [])).map(account => account.toLowerCase());
+
+  if (!accounts.includes(sender.toLowerCase())) {
+    await sendDevMethod(provider, 'impersonateAccount', [sender]);
+  }
+
+  const required = plan.transactions.reduce((sum, tx) => sum + BigInt(tx.value || '0'), 0n);
+  const balance = await provider.getBalance(sender);
+  if (balance < required + ethers.parseEther('1')) {
+    const funding = ethers.parseEther(FORK_FUNDING_ETH) + required;
+    await sendDevMethod(provider, 'setBalance', [sender, ethers.toQuantity(funding)]);
+  }
+}
+
+// anvil and hardhat expose the same dev methods under different namespaces
+async function sendDevMethod(provider, method, params) {
+  try {
+    return await provider.send(`anvil_${method}`, params);
+  } catch (error) {
+    return provider.send(`hardhat_${method}`, params);
+  }
+}
+
+/**
+ * Collect the ERC20 tokens touched by the plan: approved, borrowed or
+ * produced by a route step (e.g. wstETH, ezETH, rsETH)
+ *
+ * @param {ethers.JsonRpcProvider} provider Fork provider
+ * @param {Object} plan Transaction plan
+ * @returns {Promise<Array<Object>>} Token contracts with symbol and decimals
+ */
+async function loadTrackedTokens(provider, plan) {
+  const addresses = new Set();
+
+  for (const tx of plan.transactions) {
+    if (tx.type === 'approval') addresses.add(ethers.getAddress(tx.to));
+    if (tx.method === 'borrow') addresses.add(ethers.getAddress(tx.params[0]));
+  }
+  for (const step of plan.route || []) {
+    if (ROUTE_TOKENS[step.assetOut]) addresses.add(ROUTE_TOKENS[step.assetOut]);
+  }
+
+  const tokens = [];
+  for (const address of addresses) {
+    const contract = new ethers.Contract(address, ERC20_ABI, provider);
+    try {
+      tokens.push({
+        contract,
+        symbol: await contract.symbol(),
+        decimals: Number(await contract.decimals())
+      });
+    } catch (error) {
+      // Not an ERC20 on this fork; skip it rather than failing the whole run
+    }
+  }
+
+  return tokens;
+}
+
+async function readBalances(provider, sender, tokens) {
+  const balances = {
+    ETH: ethers.formatEther(await provider.getBalance(sender))
+  };
+
+  for (const token of tokens) {
+    balances[token.symbol] = ethers.formatUnits(await token.contract.balanceOf(sender), token.decimals);
+  }
+
+  return balances;
+}
+
+function getRevertReason(error) {
+  return error.reason || error.revert?.args?.[0] || error.shortMessage || error.message;
+}
+
+/**
+ * Compare plugin gas estimates with gas actually used, per protocol
+ *
+ * @param {Array<Object>} steps Executed steps
+ * @returns {Object} Deviation per protocol as a ratio (0.1 = used 10% more than estimated)
+ */
+function summarizeGasAccuracy(steps) {
+  const byProtocol = {};
+
+  for (const step of steps) {
+    const entry = byProtocol[step.protocol] || { estimated: 0, used: 0 };
+    entry.estimated += step.gasEstimate || 0;
+    entry.used += step.gasUsed;
+    byProtocol[step.protocol] = entry;
+  }
+
+  for (const entry of Object.values(byProtocol)) {
+    entry.deviation = entry.estimated ? (entry.used - entry.estimated) / entry.estimated : null;
+  }
+
+  return byProtocol;
+}
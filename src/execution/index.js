@@ -0,0 +1,253 @@
+import fs from 'fs/promises';
+import { ethers } from 'ethers';
+import defiLlamaService from '../services/defiLlama.js';
+import { getPlugin } from '../plugins/index.js';
+import { normalizeRoute, formatStepLabel, getInputAsset, getPriceClass } from '../routes/index.js';
+
+// Share of the collateral value borrowed on a borrow step
+const DEFAULT_BORROW_RATIO = 0.5;
+// stETH per wstETH, deliberately above the on-chain rate so wrapped amounts are never overstated
+const DEFAULT_STETH_PER_WSTETH = 1.25;
+// Rebasing tokens may arrive a few wei short, so never spend the full received amount
+const DUST_BUFFER = 0.000001;
+
+/**
+ * Load a strategy saved from `simulate --json`
+ * Routes saved as strings by older versions are converted to typed steps.
+ *
+ * @param {string} filePath Path to the strategy JSON file
+ * @returns {Promise<Object>} Parsed strategy
+ */
+export async function loadStrategy(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  const strategy = JSON.parse(content);
+
+  if (!Array.isArray(strategy.proposedRoute) || strategy.proposedRoute.length === 0) {
+    throw new Error(`No proposedRoute found in ${filePath}`);
+  }
+
+  return { ...strategy, proposedRoute: normalizeRoute(strategy.proposedRoute) };
+}
+
+/**
+ * Build an ordered, fully-parameterized transaction plan for a strategy
+ * Walks the proposed route, asks the matching plugin for its required steps
+ * and ABI-encodes each call. Nothing is signed or sent. Planning stops at the
+ * first step that cannot be planned: the steps after it would spend funds the
+ * wallet never receives, so they are listed as unsupported too.
+ *
+ * @param {Object} strategy Strategy result from `simulate --json`
+ * @param {Object} options Plan options
+ * @param {string} [options.from] Address the transactions would be sent from
+ * @param {number} [options.amount] Amount of the input asset (defaults to the simulated amount)
+ * @param {number} [options.ethPrice] ETH price in USD (fetched from DefiLlama when needed and missing)
+ * @param {number} [options.borrowRatio] Share of the collateral value to borrow
+ * @returns {Promise<Object>} Transaction plan
+ */
+export async function buildTransactionPlan(strategy, options = {}) {
+  const route = normalizeRoute(strategy.proposedRoute);
+  const sender = options.from ? ethers.getAddress(options.from) : ethers.ZeroAddress;
+  const inputAsset = strategy.userInput?.inputAsset || getInputAsset(route);
+  const amount = parseFloat(options.amount ?? strategy.userInput?.amount);
+
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error('Strategy does not record an input amount; pass one explicitly');
+  }
+
+  const context = {
+    sender,
+    borrowRatio: options.borrowRatio || DEFAULT_BORROW_RATIO,
+    ethPrice: options.ethPrice || null,
+    holding: { asset: inputAsset, amount },
+    collateral: []
+  };
+
+  const transactions = [];
+  const unsupported = [];
+  const warnings = [];
+
+  if (sender === ethers.ZeroAddress) {
+    warnings.push('No sender address given; calldata uses the zero address as recipient');
+  }
+
+  // Every step spends what the steps before it produced, so nothing after an unplanned step can be planned
+  let unplanned = null;
+  const skipStep = (routeStep, reason) => {
+    unsupported.push({ routeStep, reason });
+    warnings.push(`Route step "${routeStep}" cannot be planned: ${reason}`);
+    unplanned = unplanned || routeStep;
+  };
+
+  for (const step of route) {
+    const routeStep = formatStepLabel(step, route);
+
+    if (unplanned) {
+      if (step.action !== 'hold') skipStep(routeStep, `depends on the unplanned step "${unplanned}"`);
+      continue;
+    }
+
+    const resolved = await resolveRouteStep(step, context);
+
+    if (resolved.skip) continue;
+
+    if (resolved.unsupported) {
+      skipStep(routeStep, resolved.unsupported);
+      continue;
+    }
+
+    const plugin = await getPlugin(resolved.protocol);
+    if (!plugin) {
+      skipStep(routeStep, `plugin "${resolved.protocol}" is not loaded`);
+      continue;
+    }
+
+    let stepTransactions;
+    try {
+      stepTransactions = plugin.module.getRequiredSteps({
+        ...resolved.options,
+        amount: formatAmount(resolved.options.amount),
+        onBehalfOf: sender
+      }).map(pluginStep => ({
+        routeStep,
+        protocol: resolved.protocol,
+        type: pluginStep.type,
+        description: pluginStep.description,
+        to: pluginStep.contract,
+        method: pluginStep.method,
+        params: pluginStep.params,
+        value: pluginStep.value || '0',
+        data: encodeStep(pluginStep),
+        gasEstimate: pluginStep.gasEstimate
+      }));
+    } catch (error) {
+      skipStep(routeStep, error.message);
+      continue;
+    }
+
+    for (const tx of stepTransactions) {
+      transactions.push({ index: transactions.length + 1, ...tx });
+    }
+  }
+
+  return {
+    sender,
+    inputAsset,
+    amount,
+    route,
+    transactions,
+    unsupported,
+    warnings,
+    totalGasEstimate: transactions.reduce((sum, tx) => sum + (tx.gasEstimate || 0), 0)
+  };
+}
+
+/**
+ * Map a route step onto a plugin action, updating the tracked holding
+ *
+ * @param {Object} step Typed route step (see src/routes/index.js)
+ * @param {Object} context Mutable plan context
+ * @returns {Promise<Object>} Resolved action, or a skip/unsupported marker
+ */
+async function resolveRouteStep(step, context) {
+  const { holding } = context;
+
+  if (step.action === 'hold') {
+    return { skip: true };
+  }
+
+  if (step.protocol === 'lido' && step.action === 'stake' && holding?.asset === 'ETH') {
+    const amount = holding.amount;
+    context.holding = { asset: 'stETH', amount: amount - DUST_BUFFER };
+    return { protocol: 'lido', options: { action: 'stake', amount } };
+  }
+
+  if (step.protocol === 'lido' && step.action === 'wrap' && holding?.asset === 'stETH') {
+    const amount = holding.amount;
+    context.holding = { asset: 'wstETH', amount: amount / DEFAULT_STETH_PER_WSTETH };
+    return { protocol: 'lido', options: { action: 'wrap', amount } };
+  }
+
+  if (step.protocol === 'aave' && step.action === 'supply') {
+    if (!holding) {
+      return { unsupported: 'nothing left to supply' };
+    }
+    context.collateral.push(holding);
+    context.holding = null;
+    return { protocol: 'aave', options: { action: 'supply', asset: holding.asset, amount: holding.amount } };
+  }
+
+  if (step.protocol === 'aave' && step.action === 'borrow') {
+    const asset = step.assetIn;
+    const collateralUsd = await sumUsdValue(context.collateral, context);
+    const price = await getUsdPrice(asset, context);
+    if (!collateralUsd || !price) {
+      return { unsupported: `cannot size a ${asset} borrow without collateral prices` };
+    }
+    const amount = (collateralUsd * context.borrowRatio) / price;
+    context.holding = { asset, amount };
+    return { protocol: 'aave', options: { action: 'borrow', asset, amount } };
+  }
+
+  if (step.action === 'swap') {
+    return { unsupported: 'no swap plugin is available' };
+  }
+
+  if (step.protocol === 'renzo' && step.action === 'restake' && holding?.asset === 'ETH') {
+    const amount = holding.amount;
+    context.holding = { asset: 'ezETH', amount: amount - DUST_BUFFER };
+    return { protocol: 'renzo', options: { action: 'stake', asset: 'ETH', amount } };
+  }
+
+  return { unsupported: 'no plugin handles this step' };
+}
+
+/**
+ * ABI-encode a plugin step
+ *
+ * @param {Object} step Step returned by a plugin's getRequiredSteps()
+ * @returns {string} Hex-encoded calldata
+ */
+function encodeStep(step) {
+  if (!step.abi) {
+    throw new Error(`Step "${step.description}" does not declare an ABI fragment`);
+  }
+  const iface = new ethers.Interface([step.abi]);
+  return iface.encodeFunctionData(step.method, step.params);
+}
+
+// Plugins expect at most 6 decimals so amounts fit every supported token
+function formatAmount(amount) {
+  return (Math.floor(amount * 1e6) / 1e6).toFixed(6);
+}
+
+// Returns null when any position has no known price
+async function sumUsdValue(positions, context) {
+  let total = 0;
+  for (const position of positions) {
+    const price = await getUsdPrice(position.asset, context);
+    if (price === null) return null;
+    total += position.amount * price;
+  }
+  return total;
+}
+
+async function getUsdPrice(asset, context) {
+  const priceClass = getPriceClass(asset);
+  if (priceClass === 'stable') return 1;
+  if (priceClass !== 'eth') return null;
+
+  if (!context.ethPrice) {
+    context.ethPrice = await fetchEthPrice();
+  }
+
+  return asset === 'wstETH' ? context.ethPrice * DEFAULT_STETH_PER_WSTETH : context.ethPrice;
+}
+
+async function fetchEthPrice() {
+  const data = await defiLlamaService.getCurrentPrices(['coingecko:ethereum']);
+  const price = data?.coins?.['coingecko:ethereum']?.price;
+  if (!price) {
+    throw new Error('Could not fetch the ETH price needed to size borrow steps');
+  }
+  return price;
+}
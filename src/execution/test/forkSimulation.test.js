@@ -0,0 +1,132 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { ethers } from 'ethers';
+import { simulatePlanOnFork, resolveForkSender } from '../forkSimulation.js';
+import { parseRoute } from '../../routes/index.js';
+
+const sender = '0x000000000000000000000000000000000000dEaD';
+const devAccount = ethers.getAddress('0x70997970c51812dc3a010c7d01b50e9d51d7c8c8');
+const renzoDeposit = '0x74a09653A083691711cF8215a6ab074BB4e99ef5';
+const ezETH = '0xbf5495Efe5DB9ce00f80364C8B423567e58d2110';
+const paused = '0x1111111111111111111111111111111111111111';
+
+const erc20 = new ethers.Interface([
+  'function balanceOf(address owner) view returns (uint256)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+]);
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+const plan = {
+  sender,
+  route: parseRoute(['ETH', 'Renzo']),
+  transactions: [
+    { index: 1, routeStep: 'Renzo', protocol: 'renzo', type: 'transaction', description: 'Restake ETH', to: renzoDeposit, method: 'depositETH', params: [], value: ethers.parseEther('2').toString(), data: '0xf6326fb3', gasEstimate: 100000 },
+    { index: 2, routeStep: 'Renzo', protocol: 'renzo', type: 'transaction', description: 'Deposit again', to: paused, method: 'depositETH', params: [], value: '0', data: '0xf6326fb3', gasEstimate: 100000 }
+  ],
+  totalGasEstimate: 200000
+};
+
+// Stub forked node: records the dev methods called and answers like anvil
+let calls = [];
+let balance = 0n;
+const handlers = {
+  eth_chainId: () => '0x1',
+  eth_blockNumber: () => '0x10',
+  eth_accounts: () => [devAccount.toLowerCase()],
+  anvil_impersonateAccount: () => null,
+  anvil_setBalance: ([, amount]) => { balance = BigInt(amount); return null; },
+  eth_getBalance: () => ethers.toQuantity(balance),
+  eth_call: ([{ to, data }]) => {
+    if (to.toLowerCase() === paused) {
+      throw { code: 3, message: 'execution reverted: Deposits paused', data: new ethers.Interface(['function Error(string)']).encodeFunctionData('Error', ['Deposits paused']) };
+    }
+    if (to.toLowerCase() === ezETH.toLowerCase()) {
+      const { name } = erc20.parseTransaction({ data });
+      if (name === 'symbol') return coder.encode(['string'], ['ezETH']);
+      if (name === 'decimals') return coder.encode(['uint8'], [18]);
+      return coder.encode(['uint256'], [ethers.parseEther('1.95')]);
+    }
+    return '0x';
+  },
+  eth_sendTransaction: () => ethers.id('tx'),
+  eth_getTransactionReceipt: ([hash]) => ({
+    transactionHash: hash,
+    transactionIndex: '0x0',
+    blockHash: ethers.id('block'),
+    blockNumber: '0x10',
+    from: sender,
+    to: renzoDeposit,
+    contractAddress: null,
+    gasUsed: ethers.toQuantity(110000),
+    cumulativeGasUsed: ethers.toQuantity(110000),
+    effectiveGasPrice: '0x1',
+    logsBloom: '0x' + '00'.repeat(256),
+    logs: [],
+    type: '0x2',
+    status: '0x1'
+  })
+};
+
+function answer(request) {
+  calls.push(request.method);
+  try {
+    return { jsonrpc: '2.0', id: request.id, result: handlers[request.method](request.params) };
+  } catch (error) {
+    return { jsonrpc: '2.0', id: request.id, error };
+  }
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+  });
+});
+
+let rpcUrl;
+
+describe('Fork simulation', () => {
+  before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    rpcUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('should default to the first dev account of the fork', async () => {
+    assert.strictEqual(await resolveForkSender(rpcUrl), devAccount);
+    assert.strictEqual(await resolveForkSender(rpcUrl, sender.toLowerCase()), sender);
+  });
+
+  it('should impersonate and fund the sender, then report gas used, reverts and balances', async () => {
+    calls = [];
+    balance = 0n;
+
+    const simulation = await simulatePlanOnFork(plan, rpcUrl);
+
+    // The sender is not a dev account and cannot pay the 2 ETH the plan sends
+    assert.ok(calls.includes('anvil_impersonateAccount'));
+    assert.strictEqual(balance, ethers.parseEther('102'));
+
+    const [restake, reverted] = simulation.steps;
+    assert.strictEqual(restake.status, 'success');
+    assert.strictEqual(restake.gasUsed, 110000);
+    assert.strictEqual(restake.gasDeviation, 0.1);
+    // ezETH is the route's output, tracked even though nothing approves or borrows it
+    assert.strictEqual(restake.balances.ezETH, '1.95');
+
+    assert.strictEqual(reverted.status, 'reverted');
+    assert.strictEqual(reverted.revertReason, 'Deposits paused');
+    assert.strictEqual(reverted.gasUsed, null);
+
+    assert.strictEqual(simulation.chainId, 1);
+    assert.strictEqual(simulation.succeeded, false);
+    assert.strictEqual(simulation.totalGasUsed, 110000);
+    assert.deepStrictEqual(simulation.gasAccuracy.renzo, { estimated: 100000, used: 110000, deviation: 0.1 });
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildTransactionPlan } from '../index.js';
+
+const sender = '0x000000000000000000000000000000000000dEaD';
+
+describe('Transaction plan builder', () => {
+  it('should plan a single Lido stake for the low risk route', async () => {
+    const plan = await buildTransactionPlan(
+      { proposedRoute: ['ETH', 'stETH'], userInput: { inputAsset: 'ETH', amount: 1 } },
+      { from: sender }
+    );
+
+    assert.strictEqual(plan.transactions.length, 1);
+    assert.strictEqual(plan.transactions[0].method, 'submit');
+    assert.strictEqual(plan.transactions[0].value, '1000000000000000000');
+    assert.ok(plan.transactions[0].data.startsWith('0xa1903eab'));
+  });
+
+  it('should order approvals before supplies and size borrows from collateral', async () => {
+    const plan = await buildTransactionPlan(
+      { proposedRoute: ['ETH', 'stETH', 'wstETH', 'Aave', 'borrow USDC'], userInput: { inputAsset: 'ETH', amount: 2 } },
+      { from: sender, ethPrice: 3000 }
+    );
+
+    const methods = plan.transactions.map(tx => tx.method);
+    assert.deepStrictEqual(methods, ['submit', 'approve', 'wrap', 'approve', 'supply', 'borrow']);
+
+    const borrow = plan.transactions.find(tx => tx.method === 'borrow');
+    assert.strictEqual(borrow.params[4], sender);
+    assert.ok(Number(borrow.params[1]) > 0);
+    assert.deepStrictEqual(plan.unsupported, []);
+  });
+
+  it('should plan nothing after a swap it cannot plan', async () => {
+    const plan = await buildTransactionPlan(
+      { proposedRoute: ['ETH', 'stETH', 'wstETH', 'Aave', 'borrow USDC', 'swap to ETH', 'Renzo'], userInput: { inputAsset: 'ETH', amount: 2 } },
+      { from: sender, ethPrice: 3000 }
+    );
+
+    assert.deepStrictEqual(plan.transactions.map(tx => tx.method), ['submit', 'approve', 'wrap', 'approve', 'supply', 'borrow']);
+    assert.deepStrictEqual(plan.unsupported, [
+      { routeStep: 'swap to ETH', reason: 'no swap plugin is available' },
+      { routeStep: 'Renzo', reason: 'depends on the unplanned step "swap to ETH"' }
+    ]);
+
+    // Nothing is spent that the swap would have produced
+    const stablecoin = await buildTransactionPlan(
+      { proposedRoute: ['USDC', 'swap to ETH', 'stETH'], userInput: { inputAsset: 'USDC', amount: 1000 } },
+      { from: sender, ethPrice: 3000 }
+    );
+    assert.deepStrictEqual(stablecoin.transactions, []);
+    assert.deepStrictEqual(stablecoin.unsupported.map(step => step.routeStep), ['swap to ETH', 'stETH']);
+  });
+
+  it('should return a partial plan when a plugin cannot plan a step', async () => {
+    const plan = await buildTransactionPlan(
+      { proposedRoute: ['ETH', 'Renzo', 'Aave', 'borrow ETH'], userInput: { inputAsset: 'ETH', amount: 1 } },
+      { from: sender, ethPrice: 3000 }
+    );
+
+    assert.deepStrictEqual(plan.transactions.map(tx => tx.method), ['depositETH']);
+    assert.deepStrictEqual(plan.unsupported, [
+      { routeStep: 'Aave', reason: 'No Aave token address for ezETH' },
+      { routeStep: 'borrow ETH', reason: 'depends on the unplanned step "Aave"' }
+    ]);
+  });
+});
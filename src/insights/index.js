@@ -1,3 +1,5 @@
+import { normalizeRoute, getInputAsset } from '../routes/index.js';
+
 /**
  * Generate additional market insights for the strategy
  * In production, this would call a real AI model with market data
@@ -22,7 +24,7 @@ export async function generateInsights(strategy, protocolData) {
   };
 
   // Determine which insight to return based on asset and risk
-  const asset = strategy.proposedRoute[0] || "ETH";
+  const asset = getInputAsset(normalizeRoute(strategy.proposedRoute)) || "ETH";
   let riskLevel = "medium";
 
   if (strategy.riskScore <= 3) {
@@ -0,0 +1,217 @@
+import { ethers } from 'ethers';
+import { validateSchema, formatSchemaErrors } from '../validation/index.js';
+import { parseRoute } from '../routes/index.js';
+
+// Exports each plugin type must provide (see plugins/README.md)
+export const REQUIRED_EXPORTS = {
+  protocol: ['getProtocolData', 'analyzeStrategy', 'getRequiredSteps'],
+  risk: ['assessRisk', 'getMaxLTV'],
+  data: ['getMarketData', 'getPriceHistory'],
+  gas: ['estimateGasCosts', 'optimizeTransactions']
+};
+
+const STEP_TYPES = ['approval', 'transaction'];
+// Placeholder many APIs use for native ETH; it is not a contract, so it can neither be called nor approved or supplied
+const NATIVE_ETH_PLACEHOLDER = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+const TOKEN_METHODS = ['approve', 'supply'];
+const YIELD_IMPACTS = ['positive', 'neutral', 'negative', 'variable', 'unknown'];
+
+// Option sets used to exercise getRequiredSteps() without knowing a plugin's actions
+const SAMPLE_ACTIONS = ['stake', 'unstake', 'wrap', 'supply', 'borrow'];
+
+// Routes used to exercise analyzeStrategy(), one using most protocols and one using none
+export const SAMPLE_STRATEGIES = [
+  { proposedRoute: parseRoute(['ETH', 'stETH', 'wstETH', 'Aave', 'borrow USDC', 'swap to ETH', 'Renzo']) },
+  { proposedRoute: parseRoute(['USDC', 'Hold']) }
+];
+
+const metadataSchema = {
+  type: 'object',
+  required: ['name', 'type', 'version', 'description'],
+  properties: {
+    name: { type: 'string' },
+    type: { type: 'string', enum: Object.keys(REQUIRED_EXPORTS) },
+    version: { type: 'string' },
+    description: { type: 'string' },
+    key: { type: 'string' },
+    supportedAssets: { type: 'array', items: { type: 'string' } },
+    supportsLeverage: { type: 'boolean' },
+    officialUrl: { type: 'string' },
+    officialDocs: { type: 'string' }
+  }
+};
+
+const analysisSchema = {
+  type: 'object',
+  required: ['analysis', 'recommendations', 'insight'],
+  properties: {
+    analysis: {
+      type: 'object',
+      required: ['summary', 'riskFactors', 'yieldImpact', 'confidenceScore'],
+      properties: {
+        summary: { type: 'string' },
+        riskFactors: { type: 'array', items: { type: 'string' } },
+        yieldImpact: { type: 'string', enum: YIELD_IMPACTS },
+        confidenceScore: { type: 'number', minimum: 0, maximum: 10 }
+      }
+    },
+    recommendations: {
+      type: 'object',
+      required: ['action', 'adjustments', 'alternatives'],
+      properties: {
+        action: { type: 'string' },
+        adjustments: { type: 'array', items: { type: 'string' } },
+        alternatives: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    insight: { type: 'string' }
+  }
+};
+
+/**
+ * Check a plugin's metadata export
+ *
+ * @param {Object} metadata Plugin metadata
+ * @returns {Array<string>} Problems found, empty when valid
+ */
+export function checkMetadata(metadata) {
+  const problems = formatSchemaErrors(validateSchema(metadata, metadataSchema, 'metadata'));
+  if (metadata?.type === 'protocol' && !Array.isArray(metadata.supportedAssets)) {
+    problems.push('metadata.supportedAssets: is required for protocol plugins');
+  }
+  return problems;
+}
+
+/**
+ * Check that a plugin exports what its type requires
+ *
+ * @param {Object} pluginModule Imported plugin module
+ * @returns {Array<string>} Problems found, empty when valid
+ */
+export function checkExports(pluginModule) {
+  const required = REQUIRED_EXPORTS[pluginModule.metadata?.type] || [];
+  const problems = required
+    .filter(name => typeof pluginModule[name] !== 'function')
+    .map(name => `missing ${name}() export`);
+
+  if (pluginModule.metadata?.type === 'protocol' && !isPlainObject(pluginModule.dataSchema)) {
+    problems.push('missing dataSchema export describing getProtocolData() output');
+  }
+
+  return problems;
+}
+
+/**
+ * Check getProtocolData() output against the plugin's declared dataSchema
+ *
+ * @param {Object} data Output of getProtocolData()
+ * @param {Object} dataSchema Schema exported by the plugin
+ * @returns {Array<string>} Problems found, empty when valid
+ */
+export function checkProtocolData(data, dataSchema) {
+  return formatSchemaErrors(validateSchema(data, dataSchema, 'data'));
+}
+
+/**
+ * Check analyzeStrategy() output has the { analysis, recommendations, insight } envelope
+ *
+ * @param {Object} result Output of analyzeStrategy()
+ * @returns {Array<string>} Problems found, empty when valid
+ */
+export function checkAnalysis(result) {
+  return formatSchemaErrors(validateSchema(result, analysisSchema, 'result'));
+}
+
+/**
+ * Check getRequiredSteps() output is a list of well-formed, encodable steps
+ *
+ * @param {Array<Object>} steps Output of getRequiredSteps()
+ * @returns {Array<string>} Problems found, empty when valid
+ */
+export function checkRequiredSteps(steps) {
+  if (!Array.isArray(steps)) {
+    return ['steps: expected array'];
+  }
+
+  const problems = [];
+  steps.forEach((step, index) => {
+    const label = `steps[${index}]`;
+
+    if (!STEP_TYPES.includes(step.type)) problems.push(`${label}.type: must be one of ${STEP_TYPES.join(', ')}`);
+    if (typeof step.description !== 'string') problems.push(`${label}.description: expected string`);
+    if (!ethers.isAddress(step.contract)) problems.push(`${label}.contract: "${step.contract}" is not a valid address`);
+    if (!Number.isInteger(step.gasEstimate) || step.gasEstimate <= 0) problems.push(`${label}.gasEstimate: expected a positive integer`);
+    if (step.value !== undefined && !/^\d+$/.test(String(step.value))) problems.push(`${label}.value: expected an integer amount in wei`);
+    if (!Array.isArray(step.params)) problems.push(`${label}.params: expected array`);
+
+    if (isNativePlaceholder(step.contract)) {
+      problems.push(`${label}.contract: the native ETH placeholder cannot be called; wrap ETH into WETH first`);
+    }
+    if (TOKEN_METHODS.includes(step.method) && Array.isArray(step.params) && step.params.some(isNativePlaceholder)) {
+      problems.push(`${label}.params: ${step.method}() cannot take the native ETH placeholder; wrap ETH into WETH first`);
+    }
+
+    try {
+      new ethers.Interface([step.abi]).encodeFunctionData(step.method, step.params);
+    } catch (error) {
+      problems.push(`${label}: cannot encode ${step.method}() with its abi and params (${error.shortMessage || error.message})`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Exercise getRequiredSteps() with every sample action and supported asset
+ *
+ * @param {Object} pluginModule Imported protocol plugin module
+ * @returns {Array<string>} Problems found, empty when valid
+ */
+export function checkAllRequiredSteps(pluginModule) {
+  const assets = pluginModule.metadata.supportedAssets || [];
+  const problems = [];
+
+  for (const action of SAMPLE_ACTIONS) {
+    for (const asset of assets) {
+      let steps;
+      try {
+        steps = pluginModule.getRequiredSteps({ action, asset, amount: '1.0' });
+      } catch (error) {
+        problems.push(`getRequiredSteps({ action: '${action}', asset: '${asset}' }) threw: ${error.message}`);
+        continue;
+      }
+      problems.push(...checkRequiredSteps(steps).map(problem => `${action} ${asset}: ${problem}`));
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Run the checks that need no network access
+ * Used by the registry to refuse non-conforming plugins at load time
+ *
+ * @param {Object} pluginModule Imported plugin module
+ * @returns {Array<string>} Problems found, empty when the plugin conforms
+ */
+export function checkPluginConformance(pluginModule) {
+  const problems = checkMetadata(pluginModule.metadata);
+  if (problems.length > 0) return problems;
+
+  problems.push(...checkExports(pluginModule));
+  if (problems.length > 0) return problems;
+
+  if (pluginModule.metadata.type === 'protocol') {
+    problems.push(...checkAllRequiredSteps(pluginModule));
+  }
+
+  return problems;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNativePlaceholder(value) {
+  return typeof value === 'string' && value.toLowerCase() === NATIVE_ETH_PLACEHOLDER;
+}
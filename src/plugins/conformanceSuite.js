@@ -0,0 +1,87 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  SAMPLE_STRATEGIES,
+  checkMetadata,
+  checkExports,
+  checkProtocolData,
+  checkAnalysis,
+  checkAllRequiredSteps
+} from './conformance.js';
+
+/**
+ * Register the plugin conformance suite with node:test
+ * Call it from a plugin's test file so `node --test` checks the plugin contract:
+ *
+ *   import { describePluginConformance } from '../../../src/plugins/conformanceSuite.js';
+ *   describePluginConformance(new URL('..', import.meta.url));
+ *
+ * getProtocolData() needs live upstream APIs, so the data and analysis checks
+ * only run with PLUGIN_LIVE_TESTS=1 in the environment; even then they are
+ * skipped rather than failed when getProtocolData() throws.
+ *
+ * @param {string|URL} pluginDir Plugin directory (containing package.json)
+ * @param {Object} [options] Suite options
+ * @param {number} [options.timeout] Timeout in ms for getProtocolData()
+ * @param {boolean} [options.live] Run the live data checks, defaults to PLUGIN_LIVE_TESTS=1
+ */
+export function describePluginConformance(pluginDir, options = {}) {
+  const directory = pluginDir instanceof URL ? fileURLToPath(pluginDir) : pluginDir;
+  const timeout = options.timeout || 30000;
+  const live = options.live ?? process.env.PLUGIN_LIVE_TESTS === '1';
+
+  describe(`${path.basename(directory)} plugin conformance`, () => {
+    let plugin;
+    let protocolData = null;
+    let dataUnavailable = live ? 'getProtocolData() was not run' : 'live data checks are off';
+
+    before(async () => {
+      const packageJson = JSON.parse(await fs.readFile(path.join(directory, 'package.json'), 'utf-8'));
+      plugin = await import(pathToFileURL(path.join(directory, packageJson.main || 'index.js')).href);
+    });
+
+    it('should export valid metadata', () => {
+      assertNoProblems(checkMetadata(plugin.metadata));
+    });
+
+    it('should export the methods its type requires', () => {
+      assertNoProblems(checkExports(plugin));
+    });
+
+    it('should return protocol data matching its declared schema', { timeout }, async (t) => {
+      if (plugin.metadata.type !== 'protocol') return t.skip('not a protocol plugin');
+      if (!live) return t.skip('live data checks are off; set PLUGIN_LIVE_TESTS=1 to run them');
+
+      try {
+        protocolData = await plugin.getProtocolData();
+      } catch (error) {
+        dataUnavailable = error.message;
+        return t.skip(`upstream unavailable: ${error.message}`);
+      }
+      assertNoProblems(checkProtocolData(protocolData, plugin.dataSchema));
+    });
+
+    it('should return the analysis envelope from analyzeStrategy()', async (t) => {
+      if (plugin.metadata.type !== 'protocol') return t.skip('not a protocol plugin');
+      if (!protocolData) return t.skip(`no protocol data: ${dataUnavailable}`);
+
+      const key = plugin.metadata.key || path.basename(directory).replace(`${plugin.metadata.type}-`, '');
+      for (const strategy of SAMPLE_STRATEGIES) {
+        const result = await plugin.analyzeStrategy(strategy, { [key]: protocolData });
+        assertNoProblems(checkAnalysis(result));
+      }
+    });
+
+    it('should return well-formed steps from getRequiredSteps()', (t) => {
+      if (plugin.metadata.type !== 'protocol') return t.skip('not a protocol plugin');
+      assertNoProblems(checkAllRequiredSteps(plugin));
+    });
+  });
+}
+
+function assertNoProblems(problems) {
+  assert.deepStrictEqual(problems, [], `Plugin does not conform:\n  ${problems.join('\n  ')}`);
+}
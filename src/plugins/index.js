@@ -0,0 +1,91 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import config from '../config/index.js';
+import { checkPluginConformance } from './conformance.js';
+
+let registryPromise = null;
+
+/**
+ * Load every plugin found under plugins/<name>/package.json
+ * Plugins are imported once per process and cached
+ *
+ * @returns {Promise<Map<string, Object>>} Registry of plugins by key
+ */
+export function loadPlugins() {
+  if (!registryPromise) {
+    registryPromise = discoverPlugins(config.plugins.directory);
+  }
+  return registryPromise;
+}
+
+/**
+ * Get a loaded plugin by key (e.g. "aave" for plugins/protocol-aave)
+ *
+ * @param {string} key Plugin key
+ * @returns {Promise<Object|null>} Registry entry or null if not loaded
+ */
+export async function getPlugin(key) {
+  const registry = await loadPlugins();
+  return registry.get(key) || null;
+}
+
+/**
+ * Get all loaded plugins of a given type
+ *
+ * @param {string} type Plugin type (protocol, risk, data, gas)
+ * @returns {Promise<Array<Object>>} Registry entries
+ */
+export async function getPluginsByType(type) {
+  const registry = await loadPlugins();
+  return [...registry.values()].filter(plugin => plugin.metadata.type === type);
+}
+
+/**
+ * Scan a directory for plugin packages and import the valid ones
+ *
+ * @param {string} pluginsDir Directory containing plugin packages
+ * @returns {Promise<Map<string, Object>>} Registry of plugins by key
+ */
+export async function discoverPlugins(pluginsDir) {
+  const registry = new Map();
+  const entries = await fs.readdir(pluginsDir, { withFileTypes: true });
+
+  for (const entry of entries.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    const directory = path.join(pluginsDir, entry.name);
+
+    let packageJson;
+    try {
+      packageJson = JSON.parse(await fs.readFile(path.join(directory, 'package.json'), 'utf-8'));
+    } catch (error) {
+      continue; // Not a plugin package
+    }
+
+    if (config.plugins.disabled.includes(entry.name)) {
+      continue;
+    }
+
+    try {
+      const pluginModule = await import(pathToFileURL(path.join(directory, packageJson.main || 'index.js')).href);
+      // Refuse plugins that break the plugin contract
+      const problems = checkPluginConformance(pluginModule);
+      if (problems.length > 0) {
+        console.warn(`Skipping plugin ${entry.name}: ${problems.join('; ')}`);
+        continue;
+      }
+
+      const key = pluginModule.metadata.key || entry.name.replace(`${pluginModule.metadata.type}-`, '');
+      registry.set(key, {
+        key,
+        packageName: packageJson.name,
+        directory,
+        metadata: pluginModule.metadata,
+        module: pluginModule
+      });
+    } catch (error) {
+      console.warn(`Failed to load plugin ${entry.name}:`, error.message);
+    }
+  }
+
+  return registry;
+}
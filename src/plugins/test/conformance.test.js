@@ -0,0 +1,11 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { describePluginConformance } from '../conformanceSuite.js';
+import config from '../../config/index.js';
+
+// Run the conformance suite against every plugin shipped in plugins/
+const entries = await fs.readdir(config.plugins.directory, { withFileTypes: true });
+
+for (const entry of entries.filter(e => e.isDirectory())) {
+  describePluginConformance(path.join(config.plugins.directory, entry.name));
+}
@@ -0,0 +1,77 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { discoverPlugins, loadPlugins } from '../index.js';
+import { checkRequiredSteps } from '../conformance.js';
+
+const validPlugin = `
+export const metadata = { name: 'Example', type: 'protocol', version: '0.1.0', description: 'Example protocol', supportedAssets: ['ETH'] };
+export const dataSchema = { type: 'object', properties: { apr: { type: 'number' } } };
+export async function getProtocolData() { return { apr: 1.5, source: 'example' }; }
+export async function analyzeStrategy() { return { analysis: {}, recommendations: {}, insight: '' }; }
+export function getRequiredSteps() { return []; }
+`;
+
+const invalidStepsPlugin = validPlugin.replace(
+  'return [];',
+  "return [{ type: 'transaction', description: 'Deposit', contract: '0xREPLACE_ME', method: 'deposit', abi: 'function deposit()', params: [], gasEstimate: 100000 }];"
+);
+
+const incompletePlugin = `
+export const metadata = { name: 'Broken', type: 'protocol', version: '0.1.0', description: 'Missing exports' };
+export async function getProtocolData() { return {}; }
+`;
+
+async function writePlugin(root, dirName, source) {
+  const dir = path.join(root, dirName);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ name: `@eigen-pilot/${dirName}`, type: 'module', main: 'index.js' }));
+  await fs.writeFile(path.join(dir, 'index.js'), source);
+}
+
+describe('Plugin registry', () => {
+  let pluginsDir;
+
+  before(async () => {
+    pluginsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'yield-pilot-plugins-'));
+    await writePlugin(pluginsDir, 'protocol-example', validPlugin);
+    await writePlugin(pluginsDir, 'protocol-broken', incompletePlugin);
+    await writePlugin(pluginsDir, 'protocol-placeholder', invalidStepsPlugin);
+  });
+
+  after(async () => {
+    await fs.rm(pluginsDir, { recursive: true, force: true });
+  });
+
+  it('should register plugins under their key and refuse non-conforming ones', async () => {
+    const registry = await discoverPlugins(pluginsDir);
+
+    assert.deepStrictEqual([...registry.keys()], ['example']);
+    assert.strictEqual(registry.get('example').packageName, '@eigen-pilot/protocol-example');
+  });
+
+  it('should load the bundled protocol plugins', async () => {
+    const registry = await loadPlugins();
+
+    for (const key of ['aave', 'lido', 'renzo']) {
+      assert.strictEqual(registry.get(key)?.metadata.type, 'protocol');
+    }
+  });
+});
+
+describe('Required step checks', () => {
+  const NATIVE_ETH = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+  const POOL = '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2';
+
+  it('should refuse steps that approve or supply the native ETH placeholder', () => {
+    const problems = checkRequiredSteps([
+      { type: 'approval', description: 'Approve', contract: NATIVE_ETH, method: 'approve', abi: 'function approve(address spender, uint256 amount) returns (bool)', params: [POOL, '1'], gasEstimate: 100000 },
+      { type: 'transaction', description: 'Supply', contract: POOL, method: 'supply', abi: 'function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)', params: [NATIVE_ETH, '1', POOL, 0], gasEstimate: 250000 }
+    ]);
+
+    assert.match(problems[0], /steps\[0\]\.contract: the native ETH placeholder cannot be called/);
+    assert.match(problems[1], /steps\[1\]\.params: supply\(\) cannot take the native ETH placeholder/);
+  });
+});
@@ -0,0 +1,211 @@
+import { rankRoutes, evaluateRouteSteps, toRouteSteps, RISK_TIERS } from '../analyzer/routeEngine.js';
+import { normalizeRoute, parseRoute, getRouteLabels, getPriceClass } from '../routes/index.js';
+import { estimateRouteGas, estimateExitGas, loadStepGas } from './gas.js';
+
+/**
+ * Break-even and minimum position size analysis
+ * Gas is paid once to enter a route and once more to leave it, while the net
+ * yield accrues with the position size, so small positions can spend their
+ * whole return on gas. For the chosen route, the best route of every risk tier
+ * and simple Lido staking this works out how many days of net yield cover the
+ * entry and exit gas, and the smallest amount at which the route both earns
+ * back its gas and returns more than Lido staking over the time horizon. Net
+ * yields are the route engine's, with swap costs spread over the time horizon.
+ *
+ * Result shape:
+ *   {
+ *     horizonDays,
+ *     route: string[],             // Route labels of the chosen strategy
+ *     netYield,                    // Yearly net yield in %
+ *     entryGasEth, exitGasEth,
+ *     breakEvenDays,               // Days of net yield that cover the gas, null when it never does
+ *     periodNetReturnEth,          // Net return over the time horizon after entry and exit gas
+ *     minimumAmount,               // In units of the input asset, null when no amount is enough
+ *     coversGas: boolean,          // Gas is covered within the time horizon
+ *     beatsBaseline: boolean|null, // Returns at least as much as Lido staking at this amount, null for Lido staking itself
+ *     baseline: { ...route values } | null,   // Simple Lido staking from the input asset
+ *     tiers: [{ tier, ...route values }],     // Best route of each risk tier, route null when none qualifies
+ *     recommendedTier                          // Tier with the highest period net return, null when none is positive
+ *   }
+ */
+
+/**
+ * Analyze the break-even point and minimum position size of a strategy
+ *
+ * @param {Object} strategy Strategy with its proposedRoute, netYield and gasBreakdown
+ * @param {Object} userInput User input (inputAsset, amount, riskTolerance, timeHorizonDays, gasLimitEth)
+ * @param {Object} protocolData Protocol data
+ * @param {Object} [options] Options
+ * @param {Function} [options.getPlugin] Plugin lookup to use instead of the loaded plugins
+ * @returns {Promise<Object|null>} Break-even analysis, null when the input asset cannot be priced in ETH
+ */
+export async function analyzeBreakEven(strategy, userInput, protocolData, { getPlugin } = {}) {
+  const principalEth = getPrincipalEth(userInput, protocolData.gas?.ethPrice);
+  if (principalEth === null) return null;
+
+  const horizonDays = userInput.timeHorizonDays || 30;
+  const toAmount = ethAmount => fromEth(ethAmount, userInput.inputAsset, protocolData.gas?.ethPrice);
+  const valueRoute = async (steps, netYield, fallbackGasEth, entryGas) => {
+    const gas = entryGas || await estimateRouteGas(steps, protocolData, { getPlugin });
+    return describeRoute(steps, netYield, getRoundTripGas(steps, gas, fallbackGasEth), principalEth, horizonDays);
+  };
+
+  const route = normalizeRoute(strategy.proposedRoute);
+  const chosen = await valueRoute(route, getNetYield(route, strategy, userInput, protocolData), parseFloat(strategy.gasEstimateEth) || 0, strategy.gasBreakdown);
+
+  const baselineEvaluation = evaluateBaseline(userInput, protocolData);
+  const baseline = baselineEvaluation
+    ? await valueRoute(baselineEvaluation.steps, baselineEvaluation.netYield, baselineEvaluation.gasEstimateEth)
+    : null;
+
+  const stepGas = await loadStepGas({ getPlugin });
+  const tiers = [];
+  for (const tier of RISK_TIERS) {
+    const tierInput = { ...userInput, riskTolerance: tier };
+    const [best] = rankRoutes(tierInput, protocolData, { maxDepth: userInput.maxRouteDepth, stepGas }).ranked;
+    tiers.push(best
+      ? { tier, ...await valueRoute(toRouteSteps(best, tierInput, protocolData), best.netYield, best.gasEstimateEth) }
+      : { tier, route: null });
+  }
+
+  const withMinimum = entry => ({
+    ...entry,
+    minimumAmount: baseline ? toAmount(getMinimumAmountEth(entry, baseline, horizonDays)) : null
+  });
+  const result = withMinimum(chosen);
+  const isBaseline = baseline !== null && result.route.join() === baseline.route.join();
+  const recommended = tiers
+    .filter(entry => entry.route && entry.periodNetReturnEth > 0)
+    .reduce((best, entry) => !best || entry.periodNetReturnEth > best.periodNetReturnEth ? entry : best, null);
+
+  return {
+    horizonDays,
+    ...result,
+    coversGas: result.breakEvenDays !== null && result.breakEvenDays <= horizonDays,
+    beatsBaseline: isBaseline || !baseline ? null : result.periodNetReturnEth >= baseline.periodNetReturnEth,
+    baseline: baseline && withMinimum(baseline),
+    tiers: tiers.map(entry => entry.route ? withMinimum(entry) : entry),
+    recommendedTier: recommended ? recommended.tier : null
+  };
+}
+
+/**
+ * Review a strategy's judgment against its break-even analysis
+ * A route that does not earn back its gas within the time horizon is not
+ * recommended; one that returns less than Lido staking at this amount calls
+ * for caution.
+ *
+ * @param {Object} breakEven Analysis from analyzeBreakEven()
+ * @param {string} judgment Judgment from the risk score
+ * @param {Object} userInput User input (inputAsset, amount)
+ * @returns {Object} { judgment, warnings }
+ */
+export function reviewBreakEven(breakEven, judgment, userInput) {
+  const gasEth = breakEven.entryGasEth + breakEven.exitGasEth;
+
+  if (!breakEven.coversGas) {
+    return {
+      judgment: 'Not Recommended - Gas Exceeds Return',
+      warnings: [breakEven.breakEvenDays === null
+        ? `Net yield never covers the ${gasEth.toFixed(4)} ETH of gas to enter and exit this route`
+        : `Entering and exiting this route costs ${gasEth.toFixed(4)} ETH of gas, which takes ${breakEven.breakEvenDays} days of net yield to earn back: longer than the ${breakEven.horizonDays}-day time horizon`]
+    };
+  }
+
+  if (breakEven.beatsBaseline === false) {
+    return {
+      judgment: 'Proceed with Caution - Lido Staking Earns More at This Size',
+      warnings: [`Simple Lido staking returns more than this route over ${breakEven.horizonDays} days at ${userInput.amount} ${userInput.inputAsset}; ` +
+        (breakEven.minimumAmount === null ? 'it does at any amount' : `the route needs at least ${breakEven.minimumAmount} ${userInput.inputAsset}`)]
+    };
+  }
+
+  return { judgment, warnings: [] };
+}
+
+// Unrounded net yield of the route from the route engine, the strategy's own when the engine cannot value it
+function getNetYield(route, strategy, userInput, protocolData) {
+  try {
+    return evaluateRouteSteps(route, userInput, protocolData)?.netYield ?? 0;
+  } catch {
+    return parseFloat(strategy.netYield) || 0;
+  }
+}
+
+// Simple Lido staking from the input asset, swapping into ETH first when needed
+function evaluateBaseline(userInput, protocolData) {
+  const inputAsset = userInput.inputAsset || 'ETH';
+  const steps = parseRoute(inputAsset === 'ETH' ? ['ETH', 'stETH'] : [inputAsset, 'swap to ETH', 'stETH']);
+
+  try {
+    const evaluation = evaluateRouteSteps(steps, { ...userInput, riskTolerance: 'low' }, protocolData);
+    return evaluation && { steps, netYield: evaluation.netYield, gasEstimateEth: evaluation.gasEstimateEth };
+  } catch {
+    // No staking or swap data to value it with
+    return null;
+  }
+}
+
+// Entry gas from the route's transactions, exit gas from unwinding every step
+function getRoundTripGas(steps, entryGas, fallbackEntryEth) {
+  const entryEth = entryGas.totalEth ?? fallbackEntryEth;
+  return { entryEth, exitEth: estimateExitGas(steps, entryGas, entryEth).totalEth };
+}
+
+function describeRoute(steps, netYield, { entryEth, exitEth }, principalEth, horizonDays) {
+  const gasEth = entryEth + exitEth;
+  const dailyReturnEth = principalEth * (netYield / 100) / 365;
+
+  let breakEvenDays = null;
+  if (gasEth === 0) {
+    breakEvenDays = 0;
+  } else if (dailyReturnEth > 0) {
+    breakEvenDays = Math.ceil(gasEth / dailyReturnEth);
+  }
+
+  return {
+    route: getRouteLabels(steps),
+    netYield: round(netYield, 2),
+    entryGasEth: round(entryEth, 6),
+    exitGasEth: round(exitEth, 6),
+    breakEvenDays,
+    periodNetReturnEth: round(dailyReturnEth * horizonDays - gasEth, 6)
+  };
+}
+
+// Smallest principal in ETH at which a route earns back its gas and returns more than the baseline over the horizon
+function getMinimumAmountEth(entry, baseline, horizonDays) {
+  const years = horizonDays / 365;
+  const gasEth = entry.entryGasEth + entry.exitGasEth;
+  if (entry.netYield <= 0) return null;
+
+  const coversGas = gasEth / (entry.netYield / 100 * years);
+  if (entry.route.join() === baseline.route.join()) return coversGas;
+
+  const yieldGap = (entry.netYield - baseline.netYield) / 100 * years;
+  const gasGap = gasEth - baseline.entryGasEth - baseline.exitGasEth;
+  if (yieldGap > 0) return Math.max(coversGas, gasGap / yieldGap);
+
+  // A lower yield is only made up for by cheaper gas, up to the amount where the yield gap outweighs it
+  if (gasGap < 0 && (yieldGap === 0 || coversGas < gasGap / yieldGap)) return coversGas;
+  return null;
+}
+
+function getPrincipalEth(userInput, ethPrice) {
+  const priceClass = getPriceClass(userInput.inputAsset);
+  if (priceClass === 'eth') return userInput.amount;
+  if (priceClass === 'stable' && ethPrice) return userInput.amount / ethPrice;
+  return null;
+}
+
+// Amount of the input asset worth an amount of ETH, rounded up to 4 decimals
+function fromEth(ethAmount, inputAsset, ethPrice) {
+  if (ethAmount === null) return null;
+  const amount = getPriceClass(inputAsset) === 'eth' ? ethAmount : ethAmount * ethPrice;
+  return Math.ceil(amount * 1e4) / 1e4;
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
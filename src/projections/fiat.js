@@ -0,0 +1,64 @@
+import { getPriceClass } from '../routes/index.js';
+
+/**
+ * Fiat reporting
+ * Expresses the money figures of a strategy in a fiat currency, at the quote
+ * of the price service (see src/services/prices.js): ETH-class amounts at the
+ * ETH price, stablecoins at their USD peg.
+ *
+ * Result shape:
+ *   {
+ *     currency, source, ethPrice, observedAt,   // The quote used
+ *     principal,                                // The amount invested
+ *     periodNetReturn,                          // Net return over the time horizon, null without a projection
+ *     gas: { entry, exit },                     // Gas to enter and to leave the route
+ *     liquidationPrice                          // ETH price that liquidates the position, null without one
+ *   }
+ */
+
+/**
+ * Report a strategy's principal, return, gas and liquidation price in a fiat currency
+ *
+ * @param {Object} strategy Strategy with its projection, gasBreakdown and leverage
+ * @param {Object} userInput User input (inputAsset, amount)
+ * @param {Object} quote Quote from priceService.getQuote()
+ * @returns {Object|null} Fiat report, null when the input asset cannot be priced
+ */
+export function reportInFiat(strategy, userInput, quote) {
+  const unitPrice = getUnitPrice(userInput.inputAsset, quote);
+  if (unitPrice === null) return null;
+
+  const principal = userInput.amount * unitPrice;
+  const periodReturn = strategy.projection
+    ? strategy.projection.netReturn
+    : parseFloat(strategy.periodNetReturn) / 100;
+  const entryGasEth = strategy.gasBreakdown?.totalEth ?? (parseFloat(strategy.gasEstimateEth) || 0);
+  const liquidationPrice = strategy.leverage?.liquidationPrice;
+
+  return {
+    currency: quote.currency,
+    source: quote.source,
+    ethPrice: quote.ethPrice,
+    observedAt: quote.observedAt,
+    principal: round(principal),
+    periodNetReturn: Number.isFinite(periodReturn) ? round(principal * periodReturn) : null,
+    gas: {
+      entry: round(entryGasEth * quote.ethPrice),
+      exit: round((strategy.projection?.gasEth.exit || 0) * quote.ethPrice)
+    },
+    // Liquidation prices are ETH prices in USD
+    liquidationPrice: liquidationPrice ? round(liquidationPrice * quote.usdRate) : null
+  };
+}
+
+// Price of one unit of the input asset in the quote currency, null for assets without a price
+function getUnitPrice(asset, quote) {
+  const priceClass = getPriceClass(asset);
+  if (priceClass === 'eth') return quote.ethPrice;
+  if (priceClass === 'stable') return quote.usdRate;
+  return null;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
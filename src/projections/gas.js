@@ -0,0 +1,275 @@
+import chalk from 'chalk';
+import { getPlugin, getPluginsByType } from '../plugins/index.js';
+import { formatStepLabel, getPriceClass } from '../routes/index.js';
+import gasService from '../services/gas.js';
+
+/**
+ * Per-step gas estimation
+ * Prices a route by the concrete transactions its plugins would send: every
+ * route step is mapped onto a plugin action as in buildTransactionPlan() and
+ * the gasEstimate of each step the plugin's getRequiredSteps() returns,
+ * approvals included, is summed. Gas does not depend on the position size.
+ *
+ * Result shape:
+ *   {
+ *     steps: [{
+ *       routeStep,            // Route label, e.g. "wstETH"
+ *       protocol,
+ *       type,                 // 'approval' | 'transaction'
+ *       description,
+ *       gas,                  // Gas units
+ *       costEth,              // null when no fee is known
+ *       source                // 'plugin', or 'default' when no plugin covers the step
+ *     }],
+ *     totalGas: number,
+ *     feePerGas: { gwei, baseFee, priorityFee } | null,
+ *     totalEth: number|null
+ *   }
+ *
+ * Gas plugins (see plugins/README.md) then price these transactions at several
+ * confidence levels and suggest a cheaper execution window from the local fee
+ * history; their result is kept in the strategy's gasTiming.
+ */
+
+// Gas units assumed for route steps no plugin can plan (e.g. swaps)
+export const DEFAULT_GAS_UNITS = {
+  stake: 100000,
+  wrap: 100000,
+  restake: 100000,
+  swap: 150000,
+  supply: 120000,
+  borrow: 180000
+};
+
+// Unwinding a staked or restaked position sells the token back to ETH; unwrapping,
+// withdrawing and repaying cost about as much as wrapping, supplying and borrowing
+const EXIT_GAS_ACTION = { stake: 'swap', restake: 'swap', wrap: 'wrap', supply: 'supply', borrow: 'borrow', swap: 'swap' };
+
+// Protocols whose plugins plan route steps (see toPluginAction())
+const PLANNED_PROTOCOLS = ['lido', 'aave', 'renzo'];
+
+/**
+ * Estimate the gas of a route from its plugin transaction steps
+ *
+ * @param {Array<Object>} route Typed route steps
+ * @param {Object} protocolData Protocol data (gas.current holds the fees in gwei)
+ * @param {Object} [options] Options
+ * @param {Function} [options.getPlugin] Plugin lookup to use instead of the loaded plugins
+ * @returns {Promise<Object>} Gas breakdown
+ */
+export async function estimateRouteGas(route, protocolData, { getPlugin: findPlugin = getPlugin } = {}) {
+  const feePerGas = getFeePerGas(protocolData.gas);
+  const steps = [];
+
+  for (const step of route) {
+    if (step.action === 'hold' || step.action === 'unknown') continue;
+
+    const routeStep = formatStepLabel(step, route);
+    const pluginSteps = await getPluginSteps(step, findPlugin);
+
+    if (pluginSteps.length > 0) {
+      pluginSteps.forEach(pluginStep => steps.push({
+        routeStep,
+        protocol: step.protocol,
+        type: pluginStep.type,
+        description: pluginStep.description,
+        gas: pluginStep.gasEstimate,
+        source: 'plugin'
+      }));
+    } else {
+      steps.push({
+        routeStep,
+        protocol: step.protocol,
+        type: 'transaction',
+        description: `${capitalize(step.action)} ${step.assetIn}`,
+        gas: DEFAULT_GAS_UNITS[step.action],
+        source: 'default'
+      });
+    }
+  }
+
+  const toEth = gas => feePerGas ? gas * feePerGas.gwei / 1e9 : null;
+  const totalGas = steps.reduce((total, step) => total + step.gas, 0);
+
+  return {
+    steps: steps.map(step => ({ ...step, costEth: toEth(step.gas) })),
+    totalGas,
+    feePerGas,
+    totalEth: toEth(totalGas)
+  };
+}
+
+/**
+ * Load the gas units of route steps for synchronous pricing
+ * Route ranking cannot await plugin lookups, so the plugins that plan route
+ * steps are looked up once here. The returned function gives the gas units of
+ * a step exactly as estimateRouteGas() counts them, remembered per protocol,
+ * action and input asset.
+ *
+ * @param {Object} [options] Options
+ * @param {Function} [options.getPlugin] Plugin lookup to use instead of the loaded plugins
+ * @returns {Promise<Function>} (step) => { gas, plugin } with the plugin name, null for default gas
+ */
+export async function loadStepGas({ getPlugin: findPlugin = getPlugin } = {}) {
+  const plugins = {};
+  for (const protocol of PLANNED_PROTOCOLS) {
+    plugins[protocol] = await findPlugin(protocol);
+  }
+
+  const known = new Map();
+  return step => {
+    const key = `${step.protocol}:${step.action}:${step.assetIn}`;
+    if (!known.has(key)) {
+      const action = toPluginAction(step);
+      const plugin = action ? plugins[action.protocol] : null;
+      const pluginSteps = action ? listPluginSteps({ ...step, amount: null }, action, plugin) : [];
+      known.set(key, pluginSteps.length > 0
+        ? { gas: pluginSteps.reduce((total, pluginStep) => total + pluginStep.gasEstimate, 0), plugin: plugin.metadata.name }
+        : getDefaultStepGas(step));
+    }
+    return known.get(key);
+  };
+}
+
+/**
+ * Gas units of a route step without plugins
+ *
+ * @param {Object} step Typed route step
+ * @returns {Object} { gas, plugin: null }
+ */
+export function getDefaultStepGas(step) {
+  return { gas: DEFAULT_GAS_UNITS[step.action] || 0, plugin: null };
+}
+
+/**
+ * Estimate the gas to leave a route
+ * Every step is unwound with one transaction of the default gas units of its
+ * exit action, priced at the fee of the entry breakdown.
+ *
+ * @param {Array<Object>} route Typed route steps
+ * @param {Object} entryGas Gas breakdown of the route from estimateRouteGas()
+ * @param {number} [fallbackEntryEth] Entry gas in ETH when the breakdown has no fee; the exit is then priced at the gas price it implies
+ * @returns {Object} { totalGas, totalEth }
+ */
+export function estimateExitGas(route, entryGas, fallbackEntryEth = 0) {
+  const totalGas = route
+    .filter(step => EXIT_GAS_ACTION[step.action])
+    .reduce((total, step) => total + DEFAULT_GAS_UNITS[EXIT_GAS_ACTION[step.action]], 0);
+
+  let totalEth = 0;
+  if (entryGas.feePerGas) {
+    totalEth = totalGas * entryGas.feePerGas.gwei / 1e9;
+  } else if (entryGas.totalGas > 0) {
+    totalEth = fallbackEntryEth * totalGas / entryGas.totalGas;
+  }
+
+  return { totalGas, totalEth };
+}
+
+/**
+ * Price a strategy's transactions with the loaded gas plugin
+ *
+ * @param {Object} strategy Strategy with its gasBreakdown and projection (or periodNetReturn)
+ * @param {Object} userInput User input (inputAsset, amount)
+ * @param {Object} protocolData Protocol data
+ * @param {Object} [options] Options
+ * @param {Array<Object>} [options.plugins] Registry entries to use instead of the loaded gas plugins
+ * @param {Array<Object>} [options.history] Observed fees to use instead of the local fee history
+ * @returns {Promise<Object|null>} Plugin estimates with its key and name, null without a gas plugin or transactions
+ */
+export async function runGasPlugin(strategy, userInput, protocolData, { plugins, history } = {}) {
+  const [plugin] = plugins || await getPluginsByType('gas');
+  const steps = strategy.gasBreakdown?.steps || [];
+  if (!plugin || steps.length === 0) return null;
+
+  try {
+    const result = await plugin.module.estimateGasCosts(
+      steps.map(step => ({ type: step.type, description: step.description, gasEstimate: step.gas })),
+      {
+        gas: protocolData.gas,
+        history: history || await gasService.getFeeHistory(),
+        expectedReturnEth: getExpectedReturnEth(strategy, userInput, protocolData.gas?.ethPrice)
+      }
+    );
+    return { plugin: plugin.key, name: plugin.metadata.name, ...result };
+  } catch (error) {
+    console.warn(chalk.yellow(`${plugin.metadata.name} plugin could not estimate gas:`), error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the fee paid per unit of gas
+ * Uses the base fee plus the priority fee when both are known, and the
+ * average legacy gas price otherwise.
+ *
+ * @param {Object} [gas] Gas data from the protocol data
+ * @returns {Object|null} { gwei, baseFee, priorityFee }, null when no fee is known
+ */
+export function getFeePerGas(gas = {}) {
+  const { baseFee, priorityFee, average } = gas.current || {};
+
+  if (isNumber(baseFee)) {
+    const tip = isNumber(priorityFee) ? priorityFee : 0;
+    return { gwei: baseFee + tip, baseFee, priorityFee: isNumber(priorityFee) ? priorityFee : null };
+  }
+  if (isNumber(average)) {
+    return { gwei: average, baseFee: null, priorityFee: null };
+  }
+  return null;
+}
+
+// Net return over the time horizon before gas in ETH, null when the input asset cannot be priced in ETH
+function getExpectedReturnEth(strategy, userInput, ethPrice) {
+  const periodReturn = strategy.projection
+    ? strategy.projection.netReturn + strategy.projection.costs.gas
+    : parseFloat(strategy.periodNetReturn) / 100;
+  const priceClass = getPriceClass(userInput.inputAsset);
+  if (!Number.isFinite(periodReturn)) return null;
+  if (priceClass === 'eth') return periodReturn * userInput.amount;
+  if (priceClass === 'stable' && ethPrice) return periodReturn * userInput.amount / ethPrice;
+  return null;
+}
+
+// Ask the plugin of a step for its transactions; the amount only shows in their descriptions, never in their gas
+async function getPluginSteps(step, findPlugin) {
+  const action = toPluginAction(step);
+  if (!action) return [];
+
+  return listPluginSteps(step, action, await findPlugin(action.protocol));
+}
+
+function listPluginSteps(step, action, plugin) {
+  if (!plugin) return [];
+
+  try {
+    const amount = step.amount > 0 ? (Math.floor(step.amount * 1e6) / 1e6).toFixed(6) : '1.0';
+    return plugin.module.getRequiredSteps({ ...action.options, amount })
+      .filter(pluginStep => Number.isInteger(pluginStep.gasEstimate) && pluginStep.gasEstimate > 0);
+  } catch (error) {
+    console.warn(chalk.yellow(`${plugin.metadata.name} plugin could not list its steps; using default gas:`), error.message);
+    return [];
+  }
+}
+
+// Plugin action of a route step, as mapped by buildTransactionPlan()
+function toPluginAction(step) {
+  if (step.protocol === 'lido' && (step.action === 'stake' || step.action === 'wrap')) {
+    return { protocol: 'lido', options: { action: step.action } };
+  }
+  if (step.protocol === 'aave' && (step.action === 'supply' || step.action === 'borrow')) {
+    return { protocol: 'aave', options: { action: step.action, asset: step.assetIn } };
+  }
+  if (step.protocol === 'renzo' && step.action === 'restake' && step.assetIn === 'ETH') {
+    return { protocol: 'renzo', options: { action: 'stake', asset: 'ETH' } };
+  }
+  return null;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
@@ -1,80 +1,58 @@
 import { getProtocolData } from '../protocols/index.js';
+import { normalizeRoute } from '../routes/index.js';
+import { estimateRouteGas } from './gas.js';
+import { projectReturns } from './returns.js';
+import { analyzeBreakEven, reviewBreakEven } from './breakEven.js';
 
 /**
  * Calculate more precise yield projections based on strategy and current data
  *
  * @param {Object} strategy The strategy object from AI
  * @param {Object} userInput The original user input
+ * @param {Object} [data] Protocol data the strategy was built from, fetched when omitted
  * @returns {Promise<Object>} Enhanced strategy with refined calculations
  */
-export async function calculateYield(strategy, userInput) {
+export async function calculateYield(strategy, userInput, data) {
   // Get latest protocol data
-  const protocolData = await getProtocolData();
+  const protocolData = data || await getProtocolData();
 
   // Clone the strategy to avoid modifying the original
   const enhancedStrategy = { ...strategy };
 
-  // Apply time horizon to yield calculations
-  if (userInput.timeHorizonDays) {
-    const annualMultiplier = userInput.timeHorizonDays / 365;
-
-    // Convert APR percentages to numerical values
-    const grossAPRValue = parseFloat(enhancedStrategy.grossAPR.replace('%', '')) / 100;
-    const netYieldValue = parseFloat(enhancedStrategy.netYield.replace('%', '')) / 100;
-
-    // Calculate time-adjusted returns
-    const timeAdjustedGross = grossAPRValue * annualMultiplier;
-    const timeAdjustedNet = netYieldValue * annualMultiplier;
-
-    // Add these as additional fields
-    enhancedStrategy.periodGrossReturn = `${(timeAdjustedGross * 100).toFixed(2)}%`;
-    enhancedStrategy.periodNetReturn = `${(timeAdjustedNet * 100).toFixed(2)}%`;
-    enhancedStrategy.absoluteReturn = `${(timeAdjustedNet * userInput.amount).toFixed(4)} ${userInput.inputAsset}`;
-  }
-
-  // Make gas estimate more precise based on current gas prices
-  if (protocolData.gas) {
-    const txCount = estimateTransactionCount(enhancedStrategy.proposedRoute);
-    const avgGasPerTx = 200000; // Average gas per tx as fallback
-    const gasPrice = protocolData.gas.current.average; // Gwei
+  // Price the transactions each plugin would send at the current base and priority fee
+  const gas = await estimateRouteGas(normalizeRoute(enhancedStrategy.proposedRoute), protocolData);
+  enhancedStrategy.gasBreakdown = gas;
 
-    // Convert to ETH: gas * gasPrice (Gwei) * txCount / 10^9
-    const gasEstimate = (avgGasPerTx * gasPrice * txCount) / 1000000000;
-    enhancedStrategy.gasEstimateEth = gasEstimate.toFixed(4);
+  if (gas.totalEth !== null) {
+    enhancedStrategy.gasEstimateEth = gas.totalEth.toFixed(4);
 
     // Check if gas cost exceeds user limit
-    if (gasEstimate > userInput.gasLimitEth) {
+    if (gas.totalEth > userInput.gasLimitEth) {
       enhancedStrategy.warnings = enhancedStrategy.warnings || [];
-      enhancedStrategy.warnings.push(`Gas estimate (${gasEstimate.toFixed(4)} ETH) exceeds your limit of ${userInput.gasLimitEth} ETH`);
+      enhancedStrategy.warnings.push(`Gas estimate (${gas.totalEth.toFixed(4)} ETH) exceeds your limit of ${userInput.gasLimitEth} ETH`);
     }
   }
 
-  return enhancedStrategy;
-}
-
-/**
- * Estimate the number of transactions required for a strategy
- *
- * @param {Array<string>} route The strategy route steps
- * @returns {number} Estimated transaction count
- */
-function estimateTransactionCount(route) {
-  // Simple heuristic: most steps require a transaction
-  // But some steps might be combined or be informational only
-
-  // Count distinct operations that typically require transactions
-  const txOperations = [
-    'stETH', 'wstETH', 'Aave', 'borrow', 'swap', 'stake', 'supply', 'Renzo', 'Kelp'
-  ];
+  // Compound every position over the time horizon and charge the costs of getting in and out
+  if (userInput.timeHorizonDays) {
+    const projection = projectReturns(enhancedStrategy, userInput, protocolData);
 
-  let txCount = 0;
+    enhancedStrategy.projection = projection;
+    enhancedStrategy.periodGrossReturn = `${(projection.grossReturn * 100).toFixed(2)}%`;
+    enhancedStrategy.periodNetReturn = `${(projection.netReturn * 100).toFixed(2)}%`;
+    enhancedStrategy.absoluteReturn = `${(projection.netReturn * userInput.amount).toFixed(4)} ${userInput.inputAsset}`;
+  }
 
-  for (const step of route) {
-    // Check if this step contains a transaction operation
-    if (txOperations.some(op => step.includes(op))) {
-      txCount++;
+  // Check how long the net yield takes to earn back the gas, and whether simple staking does better at this amount
+  const breakEven = await analyzeBreakEven(enhancedStrategy, userInput, protocolData);
+  if (breakEven) {
+    const review = reviewBreakEven(breakEven, enhancedStrategy.judgment, userInput);
+    enhancedStrategy.breakEven = breakEven;
+    enhancedStrategy.judgment = review.judgment;
+    if (review.warnings.length > 0) {
+      enhancedStrategy.warnings = [...(enhancedStrategy.warnings || []), ...review.warnings];
     }
   }
 
-  return Math.max(1, txCount); // At least 1 transaction
+  return enhancedStrategy;
 }
@@ -0,0 +1,172 @@
+import {
+  LIQUIDATION_PENALTY,
+  openPositions,
+  accrue,
+  computeOpenHealthFactor,
+  computeEquity,
+  getGasShare
+} from './positions.js';
+
+/**
+ * Monte Carlo simulation of a strategy's net return and liquidation risk
+ * Each run samples a daily ETH price path (geometric Brownian motion), lets
+ * staking, supply and borrow rates drift, accrues every position of the
+ * strategy's positionModel and checks the Aave health factor each day.
+ * A run whose health factor drops below 1 is liquidated: the position is
+ * closed at that point and the liquidation penalty is charged on the debt.
+ * Returns are measured in units of the input asset, net of gas.
+ */
+
+// Annualized volatility of the ETH price
+const DEFAULT_ETH_VOLATILITY = 0.65;
+// Annualized volatility of staking and supply rates, relative to the rate
+const DEFAULT_APR_VOLATILITY = 0.3;
+// Annualized volatility of borrow rates, relative to the rate
+const DEFAULT_BORROW_RATE_VOLATILITY = 0.5;
+// Longer horizons are simulated with coarser steps to bound the work per run
+const MAX_STEPS = 365;
+
+export const DEFAULT_RUNS = 1000;
+
+/**
+ * Run the Monte Carlo simulation
+ *
+ * @param {Object} strategy Strategy with positionModel and gasEstimateEth
+ * @param {Object} userInput User input (inputAsset, amount, timeHorizonDays)
+ * @param {Object} protocolData Protocol data (Aave liquidation thresholds and ETH price)
+ * @param {Object} [options] Simulation options
+ * @param {number} [options.runs] Number of runs
+ * @param {number} [options.seed] Seed for reproducible runs
+ * @param {number} [options.ethVolatility] Annualized ETH price volatility
+ * @param {number} [options.aprVolatility] Annualized relative volatility of yield rates
+ * @param {number} [options.borrowRateVolatility] Annualized relative volatility of borrow rates
+ * @returns {Object} Net return percentiles, liquidation probability and the assumptions used
+ */
+export function runMonteCarlo(strategy, userInput, protocolData, options = {}) {
+  const model = strategy.positionModel;
+  if (!model) {
+    throw new Error('Strategy has no positionModel to simulate');
+  }
+
+  const runs = options.runs || DEFAULT_RUNS;
+  const horizonDays = userInput.timeHorizonDays || 30;
+  const steps = Math.min(horizonDays, MAX_STEPS);
+  const dt = horizonDays / 365 / steps;
+  const assumptions = {
+    ethVolatility: options.ethVolatility ?? DEFAULT_ETH_VOLATILITY,
+    aprVolatility: options.aprVolatility ?? DEFAULT_APR_VOLATILITY,
+    borrowRateVolatility: options.borrowRateVolatility ?? DEFAULT_BORROW_RATE_VOLATILITY,
+    liquidationPenalty: LIQUIDATION_PENALTY,
+    seed: options.seed ?? null
+  };
+
+  const aave = protocolData.aave || {};
+  const gasShare = getGasShare(strategy.gasEstimateEth, userInput, protocolData.gas?.ethPrice);
+  const random = createNormalSampler(options.seed ?? Date.now());
+
+  const returns = [];
+  const minHealthFactors = [];
+  let liquidations = 0;
+
+  for (let run = 0; run < runs; run++) {
+    const result = simulateRun(model, aave, { steps, dt, assumptions, random });
+    returns.push((result.equity - 1 - gasShare) * 100);
+    if (result.minHealthFactor !== null) minHealthFactors.push(result.minHealthFactor);
+    if (result.liquidated) liquidations++;
+  }
+
+  returns.sort((a, b) => a - b);
+  minHealthFactors.sort((a, b) => a - b);
+
+  return {
+    runs,
+    horizonDays,
+    netReturn: {
+      p5: roundTo(percentile(returns, 0.05), 2),
+      p50: roundTo(percentile(returns, 0.5), 2),
+      p95: roundTo(percentile(returns, 0.95), 2),
+      mean: roundTo(returns.reduce((total, value) => total + value, 0) / runs, 2)
+    },
+    liquidationProbability: roundTo(liquidations / runs, 4),
+    minHealthFactor: minHealthFactors.length > 0
+      ? { p5: roundTo(percentile(minHealthFactors, 0.05), 3), p50: roundTo(percentile(minHealthFactors, 0.5), 3) }
+      : null,
+    gasIncluded: gasShare > 0,
+    assumptions
+  };
+}
+
+// Simulate one price and rate path; returns equity as a multiple of the principal, in input asset terms
+function simulateRun(model, aave, { steps, dt, assumptions, random }) {
+  const open = openPositions(model);
+  for (const position of open.positions) {
+    position.yieldRate = position.stakingAPR * (1 - position.protocolFee);
+  }
+  for (const position of open.debt) {
+    position.rate = position.borrowRate;
+  }
+
+  const priceShock = assumptions.ethVolatility * Math.sqrt(dt);
+  const priceDrift = -0.5 * assumptions.ethVolatility ** 2 * dt;
+  const aprShock = assumptions.aprVolatility * Math.sqrt(dt);
+  const borrowShock = assumptions.borrowRateVolatility * Math.sqrt(dt);
+
+  let priceRatio = 1;
+  let minHealthFactor = null;
+
+  for (let step = 0; step < steps; step++) {
+    priceRatio *= Math.exp(priceDrift + priceShock * random());
+
+    for (const position of open.positions) {
+      position.yieldRate *= Math.exp(aprShock * random() - 0.5 * aprShock ** 2);
+      position.supplyRate *= Math.exp(aprShock * random() - 0.5 * aprShock ** 2);
+      accrue(position, position.yieldRate + position.supplyRate, dt);
+    }
+    for (const position of open.debt) {
+      position.rate *= Math.exp(borrowShock * random() - 0.5 * borrowShock ** 2);
+      accrue(position, position.rate, dt);
+    }
+
+    const healthFactor = computeOpenHealthFactor(open.positions, open.debt, aave, priceRatio);
+    if (healthFactor !== null) {
+      minHealthFactor = minHealthFactor === null ? healthFactor : Math.min(minHealthFactor, healthFactor);
+
+      if (healthFactor < 1) {
+        return {
+          equity: computeEquity(open, model.inputAsset, priceRatio, { liquidated: true }),
+          liquidated: true,
+          minHealthFactor
+        };
+      }
+    }
+  }
+
+  return { equity: computeEquity(open, model.inputAsset, priceRatio), liquidated: false, minHealthFactor };
+}
+
+// Seeded normal sampler (mulberry32 + Box-Muller) so runs can be reproduced
+function createNormalSampler(seed) {
+  let state = seed >>> 0;
+  const uniform = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return () => {
+    const u = uniform() || Number.MIN_VALUE;
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * uniform());
+  };
+}
+
+function percentile(sorted, p) {
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))));
+  return sorted[index];
+}
+
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
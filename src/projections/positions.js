@@ -0,0 +1,107 @@
+import { getPriceClass } from '../routes/index.js';
+import { getLiquidationThreshold } from '../analyzer/leverage.js';
+
+/**
+ * Position accounting shared by the Monte Carlo simulation and the backtest
+ * A strategy's positionModel lists positions and debt as shares of the
+ * principal at today's prices. Here they are opened as units that accrue
+ * interest, and valued against the ETH price as a ratio to its starting value.
+ */
+
+// Share of the repaid debt paid to liquidators
+export const LIQUIDATION_PENALTY = 0.05;
+
+/**
+ * Open the positions of a position model
+ *
+ * @param {Object} model Position model with positions and debt
+ * @returns {Object} { positions, debt } with mutable `units`
+ */
+export function openPositions(model) {
+  return {
+    positions: model.positions.map(position => ({ ...position, units: position.value })),
+    debt: model.debt.map(position => ({ ...position, units: position.value }))
+  };
+}
+
+/**
+ * Accrue interest on a position
+ *
+ * @param {Object} position Open position
+ * @param {number} rate Annual rate as a percentage
+ * @param {number} dt Elapsed time in years
+ */
+export function accrue(position, rate, dt) {
+  position.units *= 1 + (rate / 100) * dt;
+}
+
+/**
+ * Value positions at a price ratio
+ * ETH-pegged assets scale with the ETH price ratio; everything else is valued at today's price.
+ *
+ * @param {Array<Object>} positions Open positions
+ * @param {number} priceRatio ETH price as a ratio to its starting value
+ * @returns {number} Value as a share of the principal at today's prices
+ */
+export function valuePositions(positions, priceRatio) {
+  return positions.reduce((total, position) => total + scaleByPrice(position, priceRatio), 0);
+}
+
+/**
+ * Compute the health factor of open positions at a price ratio
+ *
+ * @param {Array<Object>} positions Open positions (only supplied ones count as collateral)
+ * @param {Array<Object>} debt Open debt
+ * @param {Object} aave Aave protocol data (liquidation thresholds)
+ * @param {number} priceRatio ETH price as a ratio to its starting value
+ * @returns {number|null} Health factor, null when there is no debt
+ */
+export function computeOpenHealthFactor(positions, debt, aave, priceRatio) {
+  const debtValue = valuePositions(debt, priceRatio);
+  if (debtValue <= 0) return null;
+
+  const collateral = positions
+    .filter(position => position.supplied)
+    .reduce((total, position) => total + scaleByPrice(position, priceRatio) * getLiquidationThreshold(aave, position.asset), 0);
+  return collateral / debtValue;
+}
+
+/**
+ * Equity of open positions in units of the input asset, as a multiple of the principal
+ * Inputs that are neither ETH-pegged nor stablecoins are measured in USD.
+ *
+ * @param {Object} open Open positions and debt
+ * @param {string} inputAsset Asset the strategy started from
+ * @param {number} priceRatio ETH price as a ratio to its starting value
+ * @param {Object} [options] Options
+ * @param {boolean} [options.liquidated] Charge the liquidation penalty on the debt
+ * @returns {number} Equity, never below 0 after a liquidation
+ */
+export function computeEquity(open, inputAsset, priceRatio, { liquidated = false } = {}) {
+  const debtValue = valuePositions(open.debt, priceRatio) * (liquidated ? 1 + LIQUIDATION_PENALTY : 1);
+  const equityUsd = valuePositions(open.positions, priceRatio) - debtValue;
+  const equity = getPriceClass(inputAsset) === 'eth' ? equityUsd / priceRatio : equityUsd;
+  return liquidated ? Math.max(0, equity) : equity;
+}
+
+/**
+ * Gas cost as a share of the principal
+ *
+ * @param {number|string} gasEstimateEth Gas cost in ETH
+ * @param {Object} userInput User input (inputAsset, amount)
+ * @param {number} [ethPrice] ETH price in USD, needed for stablecoin inputs
+ * @returns {number} Gas share, 0 when it cannot be expressed in the input asset
+ */
+export function getGasShare(gasEstimateEth, userInput, ethPrice) {
+  const gasEth = parseFloat(gasEstimateEth) || 0;
+  const amount = userInput.amount || 1;
+  const inputClass = getPriceClass(userInput.inputAsset);
+
+  if (inputClass === 'eth') return gasEth / amount;
+  if (inputClass === 'stable' && ethPrice) return (gasEth * ethPrice) / amount;
+  return 0;
+}
+
+function scaleByPrice(position, priceRatio) {
+  return getPriceClass(position.asset) === 'eth' ? position.units * priceRatio : position.units;
+}
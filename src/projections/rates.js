@@ -0,0 +1,83 @@
+/**
+ * Rate units and compounding
+ * Sources report rates either as APRs (Lido's subgraph, Aave's ray rates) or
+ * as APYs (every DefiLlama apyBase), declared by the rateUnit of the protocol
+ * data. The canonical protocol data holds APRs only; an APY is converted back
+ * with the compounding of the protocol that earns it:
+ *
+ *   - lido: stETH rebases once a day (wstETH holds the same rebases in its exchange rate)
+ *   - renzo, kelp: restaking rewards accrue in the ezETH and rsETH exchange rate, about daily
+ *   - eigenLayer, yearn: rewards accrue in the share price, about daily
+ *   - aave: supply and borrow interest accrue continuously through the reserve indexes
+ *
+ * Rates are percentages, as everywhere in the protocol data (3.2 means 3.2%).
+ */
+
+export const RATE_UNITS = ['apr', 'apy'];
+
+// Compounding periods per year of each protocol's yield; Infinity compounds continuously
+export const COMPOUNDING = {
+  lido: { model: 'rebase', periodsPerYear: 365 },
+  renzo: { model: 'exchangeRate', periodsPerYear: 365 },
+  kelp: { model: 'exchangeRate', periodsPerYear: 365 },
+  eigenLayer: { model: 'exchangeRate', periodsPerYear: 365 },
+  yearn: { model: 'exchangeRate', periodsPerYear: 365 },
+  aave: { model: 'interestIndex', periodsPerYear: Infinity }
+};
+
+// Used for protocols without a known compounding
+const DEFAULT_PERIODS_PER_YEAR = 365;
+
+/**
+ * Convert a rate to an APR
+ *
+ * @param {number|null} rate Rate as a percentage
+ * @param {string} [unit] Unit the rate was reported in; anything but 'apy' is taken as an APR
+ * @param {string} [protocol] Protocol earning the rate, for its compounding
+ * @returns {number|null} APR as a percentage, null when the rate is unknown
+ */
+export function toAPR(rate, unit, protocol) {
+  if (typeof rate !== 'number' || !Number.isFinite(rate)) return null;
+  if (unit !== 'apy') return rate;
+
+  const periods = getPeriodsPerYear(protocol);
+  const apy = rate / 100;
+  const apr = periods === Infinity ? Math.log1p(apy) : periods * (Math.pow(1 + apy, 1 / periods) - 1);
+  return round(apr * 100);
+}
+
+/**
+ * Convert an APR to the APY it compounds to
+ *
+ * @param {number|null} apr APR as a percentage
+ * @param {string} [protocol] Protocol earning the rate, for its compounding
+ * @returns {number|null} APY as a percentage, null when the APR is unknown
+ */
+export function toAPY(apr, protocol) {
+  if (typeof apr !== 'number' || !Number.isFinite(apr)) return null;
+  return round((getGrowth(apr, protocol, 365) - 1) * 100);
+}
+
+/**
+ * Growth factor of a balance earning an APR over a number of days
+ *
+ * @param {number} apr APR as a percentage (negative for a shrinking balance)
+ * @param {string} [protocol] Protocol earning the rate, for its compounding
+ * @param {number} days Days the balance earns for
+ * @returns {number} Balance at the end as a multiple of the starting balance
+ */
+export function getGrowth(apr, protocol, days) {
+  const rate = (apr || 0) / 100;
+  const years = Math.max(0, days) / 365;
+  const periods = getPeriodsPerYear(protocol);
+  return periods === Infinity ? Math.exp(rate * years) : Math.pow(1 + rate / periods, periods * years);
+}
+
+function getPeriodsPerYear(protocol) {
+  return COMPOUNDING[protocol]?.periodsPerYear ?? DEFAULT_PERIODS_PER_YEAR;
+}
+
+// Rates keep 6 decimals, well below what any source reports
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
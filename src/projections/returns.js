@@ -0,0 +1,152 @@
+import { SWAP_SLIPPAGE } from '../analyzer/routeEngine.js';
+import { normalizeRoute, getPriceClass } from '../routes/index.js';
+import { estimateExitGas } from './gas.js';
+import { getGasShare } from './positions.js';
+import { getGrowth } from './rates.js';
+
+/**
+ * Period return projection
+ * Compounds every position of a strategy's positionModel over the time horizon
+ * with the compounding of the protocol it earns from (see rates.js): staking
+ * yield net of the protocol fee, Aave supply interest on supplied positions and
+ * Aave borrow interest on the debt. Getting in and out of the route is charged
+ * as well:
+ *
+ *   - gas to enter and to unwind every step (see estimateExitGas())
+ *   - swap slippage lost on the way in, and on positions sold back on the way out
+ *   - the withdrawal queue wait of staked and restaked positions, which earn
+ *     nothing while they wait; they are swapped out instead when that costs less
+ *
+ * Positions in the input asset or in an asset the strategy owes leave as they
+ * are. Returns are shares of the principal at today's prices.
+ *
+ * Result shape:
+ *   {
+ *     horizonDays,
+ *     grossReturn,            // Yield before protocol fees, borrow interest and costs
+ *     yieldReturn,            // Yield after protocol fees and borrow interest
+ *     costs: { entrySlippage, exitSlippage, withdrawalQueue, gas },
+ *     gasEth: { entry, exit },
+ *     exits: [{ asset, method: 'queue' | 'swap' | 'none', days, cost }],
+ *     netReturn               // yieldReturn minus every cost
+ *   }
+ */
+
+// Typical wait of each protocol's withdrawal queue, in days
+export const WITHDRAWAL_QUEUE_DAYS = { lido: 5, renzo: 7, kelp: 7 };
+
+/**
+ * Project the return of a strategy over the time horizon
+ * Strategies without a positionModel (e.g. routes proposed by a model) compound
+ * their gross APR and net yield instead, with no slippage or queue costs.
+ *
+ * @param {Object} strategy Strategy with its positionModel, proposedRoute and gasBreakdown
+ * @param {Object} userInput User input (inputAsset, amount, timeHorizonDays)
+ * @param {Object} protocolData Protocol data (used for the ETH price)
+ * @returns {Object} Projection as described above
+ */
+export function projectReturns(strategy, userInput, protocolData) {
+  const horizonDays = userInput.timeHorizonDays || 30;
+  const gasEth = getGasEth(strategy);
+  const gas = getGasShare(gasEth.entry + gasEth.exit, userInput, protocolData.gas?.ethPrice);
+  const model = strategy.positionModel;
+
+  if (!model) {
+    const yieldReturn = getGrowth(parseFloat(strategy.netYield) || 0, null, horizonDays) - 1;
+    return {
+      horizonDays,
+      grossReturn: round(getGrowth(parseFloat(strategy.grossAPR) || 0, null, horizonDays) - 1),
+      yieldReturn: round(yieldReturn),
+      costs: { entrySlippage: 0, exitSlippage: 0, withdrawalQueue: 0, gas: round(gas) },
+      gasEth,
+      exits: [],
+      netReturn: round(yieldReturn - gas)
+    };
+  }
+
+  const inputAsset = userInput.inputAsset || model.inputAsset;
+  const owed = new Set(model.debt.map(position => position.asset));
+  let grossReturn = 0;
+  let yieldReturn = 0;
+  let exitSlippage = 0;
+  let withdrawalQueue = 0;
+  const exits = [];
+
+  for (const position of model.positions) {
+    const grossValue = position.value * getPositionGrowth(position, horizonDays, { gross: true });
+    const value = position.value * getPositionGrowth(position, horizonDays);
+    grossReturn += grossValue - position.value;
+    yieldReturn += value - position.value;
+
+    const exit = getExit(position, value, horizonDays, { inputAsset, owed });
+    exitSlippage += exit.slippage;
+    withdrawalQueue += exit.queueCost;
+    exits.push({ asset: position.asset, method: exit.method, days: exit.days, cost: round(exit.slippage + exit.queueCost) });
+  }
+
+  for (const position of model.debt) {
+    yieldReturn -= position.value * (getGrowth(position.borrowRate, 'aave', horizonDays) - 1);
+  }
+
+  // Whatever the positions are worth below the principal at the start was lost to swaps on the way in
+  const equity = model.positions.reduce((total, position) => total + position.value, 0) -
+    model.debt.reduce((total, position) => total + position.value, 0);
+  const entrySlippage = Math.max(0, 1 - equity);
+
+  return {
+    horizonDays,
+    grossReturn: round(grossReturn),
+    yieldReturn: round(yieldReturn),
+    costs: {
+      entrySlippage: round(entrySlippage),
+      exitSlippage: round(exitSlippage),
+      withdrawalQueue: round(withdrawalQueue),
+      gas: round(gas)
+    },
+    gasEth,
+    exits,
+    netReturn: round(yieldReturn - entrySlippage - exitSlippage - withdrawalQueue - gas)
+  };
+}
+
+// Entry gas from the breakdown of the route's transactions, exit gas from unwinding every step
+function getGasEth(strategy) {
+  const entry = strategy.gasBreakdown?.totalEth ?? (parseFloat(strategy.gasEstimateEth) || 0);
+  const exit = strategy.gasBreakdown
+    ? estimateExitGas(normalizeRoute(strategy.proposedRoute), strategy.gasBreakdown, entry).totalEth
+    : 0;
+  return { entry: round(entry), exit: round(exit) };
+}
+
+// Growth of a position over a number of days: staking yield in its token, Aave interest on top when supplied
+function getPositionGrowth(position, days, { gross = false } = {}) {
+  const stakingAPR = gross ? position.stakingAPR : position.stakingAPR * (1 - position.protocolFee);
+  const staking = getGrowth(stakingAPR, position.yieldProtocol, days);
+  const supply = position.supplied ? getGrowth(position.supplyRate, 'aave', days) : 1;
+  return staking * supply;
+}
+
+// The cheaper way out of a position: through the withdrawal queue, by a swap, or as it is
+function getExit(position, value, horizonDays, { inputAsset, owed }) {
+  if (position.asset === inputAsset || owed.has(position.asset)) {
+    return { method: 'none', days: 0, slippage: 0, queueCost: 0 };
+  }
+
+  const swap = { method: 'swap', days: 0, slippage: value * SWAP_SLIPPAGE, queueCost: 0 };
+  const queueDays = Math.min(WITHDRAWAL_QUEUE_DAYS[position.yieldProtocol] || 0, horizonDays);
+  if (!queueDays) return swap;
+
+  // Queued withdrawals pay out ETH, which still has to be swapped into any other input asset
+  const earlyValue = position.value * getPositionGrowth(position, horizonDays - queueDays);
+  const queue = {
+    method: 'queue',
+    days: queueDays,
+    slippage: getPriceClass(inputAsset) === 'eth' || owed.has('ETH') ? 0 : earlyValue * SWAP_SLIPPAGE,
+    queueCost: value - earlyValue
+  };
+  return queue.slippage + queue.queueCost < swap.slippage ? queue : swap;
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
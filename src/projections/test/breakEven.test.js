@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { analyzeBreakEven, reviewBreakEven } from '../breakEven.js';
+import { normalizeProtocolData } from '../../protocols/dataModel.js';
+import { parseRoute } from '../../routes/index.js';
+
+// 10 gwei per gas, so every 100,000 gas costs 0.001 ETH
+const protocolData = normalizeProtocolData({
+  lido: { stETHAPR: 3.2, fee: 0.1 },
+  aave: {
+    supplyRates: { WETH: 1.9, wstETH: 0.1, USDC: 4.8 },
+    borrowRates: { WETH: 2.4, USDC: 6.1 },
+    ltvRatios: { WETH: 0.8, wstETH: 0.78, USDC: 0.75 }
+  },
+  renzo: { apyBoost: 3.6, fee: 0.15 },
+  gas: { current: { baseFee: 10, priorityFee: 0 }, ethPrice: 3000 }
+});
+
+// No plugins, so every step uses the default gas units
+const getPlugin = async () => null;
+const renzo = { proposedRoute: parseRoute(['ETH', 'Renzo']), netYield: '3.1%', gasEstimateEth: '0.0010' };
+const userInput = { inputAsset: 'ETH', amount: 1, riskTolerance: 'medium', timeHorizonDays: 90, gasLimitEth: 0.015 };
+
+describe('Break-even analysis', () => {
+  it('should count the days of net yield that cover entry and exit gas', async () => {
+    const breakEven = await analyzeBreakEven(renzo, userInput, protocolData, { getPlugin });
+
+    // Restaking takes 100,000 gas in and a 150,000 gas swap out; 3.06% on 1 ETH earns 0.0000838 ETH a day
+    assert.strictEqual(breakEven.entryGasEth, 0.001);
+    assert.strictEqual(breakEven.exitGasEth, 0.0015);
+    assert.strictEqual(breakEven.breakEvenDays, 30);
+    assert.strictEqual(breakEven.coversGas, true);
+    assert.deepStrictEqual(breakEven.baseline.route, ['ETH', 'stETH']);
+    assert.strictEqual(breakEven.baseline.breakEvenDays, 32);
+  });
+
+  it('should find the smallest amount that beats Lido staking and the best tier for the amount', async () => {
+    const breakEven = await analyzeBreakEven(renzo, userInput, protocolData, { getPlugin });
+
+    // Same gas as Lido staking at a higher yield: the amount that earns back the gas is enough
+    assert.strictEqual(breakEven.minimumAmount, 0.3314);
+    assert.strictEqual(breakEven.beatsBaseline, true);
+    assert.strictEqual(breakEven.baseline.minimumAmount, 0.3521);
+    assert.deepStrictEqual(breakEven.tiers.map(tier => tier.tier), ['low', 'medium', 'high']);
+    const best = Math.max(...breakEven.tiers.map(tier => tier.periodNetReturnEth));
+    assert.strictEqual(breakEven.tiers.find(tier => tier.tier === breakEven.recommendedTier).periodNetReturnEth, best);
+
+    const small = await analyzeBreakEven(renzo, { ...userInput, amount: 0.1 }, protocolData, { getPlugin });
+    assert.strictEqual(small.coversGas, false);
+    assert.strictEqual(small.recommendedTier, null);
+  });
+
+  it('should turn the judgment down when gas is not earned back or Lido staking earns more', async () => {
+    const small = await analyzeBreakEven(renzo, { ...userInput, amount: 0.1 }, protocolData, { getPlugin });
+    const review = reviewBreakEven(small, 'Proceed with Caution', userInput);
+    assert.strictEqual(review.judgment, 'Not Recommended - Gas Exceeds Return');
+    assert.match(review.warnings[0], /takes 299 days of net yield to earn back: longer than the 90-day time horizon/);
+
+    const hold = await analyzeBreakEven({ proposedRoute: parseRoute(['ETH', 'hold']), netYield: '0.0%', gasEstimateEth: '0.0000' }, userInput, protocolData, { getPlugin });
+    assert.strictEqual(hold.breakEvenDays, 0);
+    assert.strictEqual(hold.beatsBaseline, false);
+    assert.strictEqual(reviewBreakEven(hold, 'Optimal for low risk', userInput).judgment, 'Proceed with Caution - Lido Staking Earns More at This Size');
+
+    const large = await analyzeBreakEven(renzo, { ...userInput, amount: 10 }, protocolData, { getPlugin });
+    assert.deepStrictEqual(reviewBreakEven(large, 'Proceed with Caution', userInput), { judgment: 'Proceed with Caution', warnings: [] });
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { reportInFiat } from '../fiat.js';
+
+const quote = { currency: 'EUR', source: 'file', ethPrice: 2760, usdRate: 0.92, observedAt: null };
+const strategy = {
+  gasBreakdown: { totalEth: 0.002 },
+  projection: { netReturn: 0.01, gasEth: { entry: 0.002, exit: 0.0015 } },
+  leverage: { liquidationPrice: 2000 }
+};
+
+describe('Fiat reporting', () => {
+  it('should price ETH amounts at the ETH price and stablecoins at their USD peg', () => {
+    const eth = reportInFiat(strategy, { inputAsset: 'ETH', amount: 2 }, quote);
+    assert.strictEqual(eth.principal, 5520);
+    assert.strictEqual(eth.periodNetReturn, 55.2);
+    assert.deepStrictEqual(eth.gas, { entry: 5.52, exit: 4.14 });
+    // Liquidation prices are in USD
+    assert.strictEqual(eth.liquidationPrice, 1840);
+
+    const usdc = reportInFiat(strategy, { inputAsset: 'USDC', amount: 1000 }, quote);
+    assert.strictEqual(usdc.principal, 920);
+    assert.strictEqual(usdc.periodNetReturn, 9.2);
+  });
+
+  it('should leave out assets without a price', () => {
+    assert.strictEqual(reportInFiat(strategy, { inputAsset: 'wBTC', amount: 1 }, quote), null);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { estimateRouteGas, getFeePerGas } from '../gas.js';
+import { parseRoute } from '../../routes/index.js';
+
+// Plugin lookup answering with the registry entries below
+const plugins = {
+  lido: {
+    metadata: { name: 'Lido' },
+    module: {
+      getRequiredSteps: ({ action }) => action === 'wrap'
+        ? [{ type: 'approval', description: 'Approve', gasEstimate: 50000 }, { type: 'transaction', description: 'Wrap', gasEstimate: 120000 }]
+        : [{ type: 'transaction', description: 'Stake', gasEstimate: 180000 }]
+    }
+  }
+};
+const getPlugin = async key => plugins[key] || null;
+
+describe('Gas estimation', () => {
+  it('should sum the plugin steps of a route, approvals included, at base plus priority fee', async () => {
+    const route = parseRoute(['ETH', 'stETH', 'wstETH', 'swap to ETH']);
+    const gas = await estimateRouteGas(route, { gas: { current: { average: 30, baseFee: 8, priorityFee: 2 } } }, { getPlugin });
+
+    assert.deepStrictEqual(gas.steps.map(step => [step.routeStep, step.type, step.gas, step.source]), [
+      ['stETH', 'transaction', 180000, 'plugin'],
+      ['wstETH', 'approval', 50000, 'plugin'],
+      ['wstETH', 'transaction', 120000, 'plugin'],
+      // No plugin plans swaps
+      ['swap to ETH', 'transaction', 150000, 'default']
+    ]);
+    assert.strictEqual(gas.totalGas, 500000);
+    assert.strictEqual(gas.feePerGas.gwei, 10);
+    assert.strictEqual(gas.totalEth, 0.005);
+    assert.strictEqual(gas.steps[0].costEth, 0.0018);
+  });
+
+  it('should not scale with the amount and leave the cost unknown without fees', async () => {
+    const small = await estimateRouteGas(parseRoute(['ETH', 'stETH']).map(step => ({ ...step, amount: 0.1 })), { gas: { current: { average: 10 } } }, { getPlugin });
+    const large = await estimateRouteGas(parseRoute(['ETH', 'stETH']).map(step => ({ ...step, amount: 500 })), { gas: { current: { average: 10 } } }, { getPlugin });
+    assert.strictEqual(small.totalEth, large.totalEth);
+
+    const unpriced = await estimateRouteGas(parseRoute(['ETH', 'stETH']), { gas: { current: {} } }, { getPlugin });
+    assert.strictEqual(unpriced.totalGas, 180000);
+    assert.strictEqual(unpriced.totalEth, null);
+    assert.strictEqual(getFeePerGas({ current: { average: 12 } }).gwei, 12);
+  });
+});
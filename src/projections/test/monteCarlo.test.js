@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { runMonteCarlo } from '../monteCarlo.js';
+
+const protocolData = {
+  aave: { liquidationThresholds: { wstETH: 0.8, USDC: 0.78, WETH: 0.83 } },
+  gas: { ethPrice: 3000 }
+};
+
+const userInput = { inputAsset: 'ETH', amount: 1, timeHorizonDays: 90 };
+
+const stakedStrategy = {
+  gasEstimateEth: '0.001',
+  positionModel: {
+    inputAsset: 'ETH',
+    positions: [{ asset: 'stETH', value: 1, supplied: false, stakingAPR: 3.5, protocolFee: 0.1, supplyRate: 0 }],
+    debt: []
+  }
+};
+
+const leveragedStrategy = {
+  gasEstimateEth: '0.003',
+  positionModel: {
+    inputAsset: 'ETH',
+    positions: [
+      { asset: 'wstETH', value: 1, supplied: true, stakingAPR: 3.5, protocolFee: 0.1, supplyRate: 0.1 },
+      { asset: 'ETH', value: 0.7, supplied: false, stakingAPR: 0, protocolFee: 0, supplyRate: 0 }
+    ],
+    debt: [{ asset: 'USDC', value: 0.7, borrowRate: 5 }]
+  }
+};
+
+describe('Monte Carlo simulation', () => {
+  it('should reproduce the same results for the same seed', () => {
+    const first = runMonteCarlo(leveragedStrategy, userInput, protocolData, { runs: 200, seed: 42 });
+    const second = runMonteCarlo(leveragedStrategy, userInput, protocolData, { runs: 200, seed: 42 });
+
+    assert.deepStrictEqual(first, second);
+  });
+
+  it('should never liquidate a route without debt', () => {
+    const result = runMonteCarlo(stakedStrategy, userInput, protocolData, { runs: 200, seed: 1 });
+
+    assert.strictEqual(result.liquidationProbability, 0);
+    assert.strictEqual(result.minHealthFactor, null);
+    assert.ok(result.netReturn.p5 <= result.netReturn.p50 && result.netReturn.p50 <= result.netReturn.p95);
+    assert.ok(result.gasIncluded);
+  });
+
+  it('should liquidate some runs of a high LTV stablecoin loan', () => {
+    const result = runMonteCarlo(leveragedStrategy, userInput, protocolData, { runs: 500, seed: 7, ethVolatility: 1.2 });
+
+    assert.ok(result.liquidationProbability > 0);
+    assert.ok(result.minHealthFactor.p5 < 1);
+    assert.ok(result.netReturn.p5 < result.netReturn.p95);
+  });
+
+  it('should require a position model', () => {
+    assert.throws(() => runMonteCarlo({}, userInput, protocolData), /positionModel/);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { toAPR, toAPY, getGrowth } from '../rates.js';
+import { normalizeProtocolData } from '../../protocols/dataModel.js';
+
+describe('Rate units', () => {
+  it('should convert APYs to APRs with the compounding of the protocol and back', () => {
+    // Daily rebases compound 3.440305% to 3.5% a year
+    assert.strictEqual(toAPR(3.5, 'apy', 'lido'), 3.440305);
+    assert.strictEqual(toAPY(3.440305, 'lido'), 3.5);
+    // Aave interest compounds continuously, so the same APY takes a slightly lower APR
+    assert.strictEqual(toAPR(3.5, 'apy', 'aave'), 3.440143);
+    assert.strictEqual(getGrowth(5, 'aave', 365), Math.exp(0.05));
+
+    // APRs and unknown rates are left as they are
+    assert.strictEqual(toAPR(3.5, 'apr', 'lido'), 3.5);
+    assert.strictEqual(toAPR(3.5, undefined, 'lido'), 3.5);
+    assert.strictEqual(toAPR(null, 'apy', 'lido'), null);
+  });
+
+  it('should store the rates of protocol data reported as APYs as APRs', () => {
+    const data = normalizeProtocolData({
+      lido: { stETHAPR: 3.5, rateUnit: 'apy' },
+      aave: { supplyRates: { WETH: 3.5 }, borrowRates: {}, ltvRatios: {}, rateUnit: 'apy' },
+      renzo: { apyBoost: 3.5 }
+    });
+
+    assert.strictEqual(data.lido.stETHAPR, 3.440305);
+    assert.strictEqual(data.lido.rateUnit, 'apr');
+    assert.strictEqual(data.aave.supplyRates.ETH, 3.440143);
+    assert.strictEqual(data.renzo.apyBoost, 3.5);
+
+    // Normalizing again leaves the APRs alone
+    assert.strictEqual(normalizeProtocolData(data).lido.stETHAPR, 3.440305);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { projectReturns } from '../returns.js';
+import { parseRoute } from '../../routes/index.js';
+
+// 100,000 gas in at 10 gwei; the exit swap takes 150,000 more
+const gasBreakdown = { totalGas: 100000, totalEth: 0.001, feePerGas: { gwei: 10 }, steps: [] };
+const ezETH = { asset: 'ezETH', value: 1, supplied: false, yieldProtocol: 'renzo', stakingAPR: 3.6, protocolFee: 0.15, supplyRate: 0 };
+const renzo = {
+  proposedRoute: parseRoute(['ETH', 'Renzo']),
+  gasBreakdown,
+  positionModel: { inputAsset: 'ETH', positions: [ezETH], debt: [] }
+};
+const protocolData = { gas: { ethPrice: 3000 } };
+
+describe('Return projection', () => {
+  it('should compound the net yield and charge the withdrawal queue and round-trip gas', () => {
+    const projection = projectReturns(renzo, { inputAsset: 'ETH', amount: 1, timeHorizonDays: 365 }, protocolData);
+
+    // 3.06% net of Renzo's fee, compounded daily
+    assert.strictEqual(projection.yieldReturn, 0.031072);
+    assert.ok(projection.grossReturn > projection.yieldReturn);
+    assert.deepStrictEqual(projection.gasEth, { entry: 0.001, exit: 0.0015 });
+    assert.deepStrictEqual(projection.exits, [{ asset: 'ezETH', method: 'queue', days: 7, cost: 0.000605 }]);
+    assert.strictEqual(projection.costs.gas, 0.0025);
+    assert.strictEqual(projection.netReturn, 0.027967);
+  });
+
+  it('should swap out when the queue would also need a swap into the input asset', () => {
+    const fromUSDC = { ...renzo, positionModel: { inputAsset: 'USDC', positions: [{ ...ezETH, value: 0.997 }], debt: [] } };
+    const projection = projectReturns(fromUSDC, { inputAsset: 'USDC', amount: 3000, timeHorizonDays: 365 }, protocolData);
+
+    assert.strictEqual(projection.exits[0].method, 'swap');
+    assert.strictEqual(projection.costs.entrySlippage, 0.003);
+    assert.strictEqual(projection.costs.withdrawalQueue, 0);
+    assert.ok(projection.costs.exitSlippage > 0.003);
+  });
+});
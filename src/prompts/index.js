@@ -0,0 +1,255 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import YAML from 'yaml';
+import config from '../config/index.js';
+
+/**
+ * Prompt engine
+ * Renders the versioned prompt templates and keeps an append-only log of every
+ * prompt sent to a strategy model, so any past simulation can be audited.
+ *
+ * A template is a text file starting with a YAML header naming it and its
+ * version; the body may reference variables as {{name}}:
+ *
+ *   ---
+ *   name: strategyAgent
+ *   version: 1.0.0
+ *   ---
+ *   You are YieldPilot ...
+ *   {{input}}
+ *
+ * Objects are rendered as YAML, strings as they are. Bump the version with
+ * every change to a template; the hash of the body is logged as well, so an
+ * edit without a version bump still shows up.
+ *
+ * The log lives in config.prompts.logDirectory: log.jsonl holds one line per
+ * run (template name, version and hash, rendered variables, prompt hash,
+ * provider, raw model output, parsed result and rejection errors) and
+ * templates/<hash>.txt holds each template body once, so the exact prompt of a
+ * run can be rebuilt. Once log.jsonl reaches config.prompts.maxLogBytes it is
+ * moved to log.1.jsonl, replacing the one before, so the log keeps at most
+ * about twice that size.
+ */
+
+// Prompt templates by name
+export const PROMPT_TEMPLATES = {
+  strategyAgent: 'strategyAgentPrompt.txt',
+  plugin: 'pluginPrompt.txt'
+};
+
+const LOG_FILE = 'log.jsonl';
+const ROTATED_LOG_FILE = 'log.1.jsonl';
+const TEMPLATES_DIR = 'templates';
+
+/**
+ * Load a prompt template
+ *
+ * @param {string} name Template name from PROMPT_TEMPLATES
+ * @param {Object} [options] Options
+ * @param {string} [options.directory] Directory holding the template files
+ * @returns {Promise<Object>} Template as { name, version, hash, body }
+ */
+export async function loadPromptTemplate(name, { directory = config.prompts.directory } = {}) {
+  const file = PROMPT_TEMPLATES[name];
+  if (!file) {
+    throw new Error(`Unknown prompt template "${name}" (expected ${Object.keys(PROMPT_TEMPLATES).join(', ')})`);
+  }
+
+  const content = await fs.readFile(path.join(directory, file), 'utf-8');
+  const match = content.match(/^---\n([\s\S]*?)\n---\n/);
+  const header = match ? YAML.parse(match[1]) : {};
+  if (!header?.version) {
+    throw new Error(`Prompt template ${file} has no version header`);
+  }
+
+  const body = content.slice(match[0].length);
+  return { name, version: String(header.version), hash: hashText(body), body };
+}
+
+/**
+ * Render a template body with variables
+ *
+ * @param {string} body Template body
+ * @param {Object} variables Variable values; strings are inserted as they are, anything else as YAML
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(body, variables) {
+  return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => {
+    if (variables[key] === undefined) {
+      throw new Error(`Missing prompt variable "${key}"`);
+    }
+    return formatVariable(variables[key]);
+  });
+}
+
+/**
+ * Render a prompt template
+ *
+ * @param {string} name Template name from PROMPT_TEMPLATES
+ * @param {Object} variables Variable values
+ * @param {Object} [options] Options passed to loadPromptTemplate()
+ * @returns {Promise<Object>} Prompt as { name, version, templateHash, hash, text, body, variables }, variables rendered to strings
+ */
+export async function renderPrompt(name, variables, options = {}) {
+  const template = await loadPromptTemplate(name, options);
+  const rendered = Object.fromEntries(Object.entries(variables).map(([key, value]) => [key, formatVariable(value)]));
+  const text = renderTemplate(template.body, rendered);
+
+  return {
+    name,
+    version: template.version,
+    templateHash: template.hash,
+    hash: hashText(text),
+    text,
+    body: template.body,
+    variables: rendered
+  };
+}
+
+/**
+ * Append a prompt run to the log
+ *
+ * @param {Object} run Run to record
+ * @param {Object} run.prompt Prompt from renderPrompt()
+ * @param {string} run.provider Provider name
+ * @param {string|null} run.model Model name
+ * @param {string|null} run.rawOutput Raw model output, null for the deterministic builder
+ * @param {Object|null} run.parsed Parsed result in the Output Format, null when rejected
+ * @param {Array<string>} [run.errors] Why the output was rejected
+ * @param {Object} [options] Options
+ * @param {string} [options.directory] Log directory
+ * @param {number} [options.maxLogBytes] Size at which the log is rotated
+ * @returns {Promise<string>} Id of the logged run
+ */
+export async function logPromptRun({ prompt, provider, model, rawOutput, parsed, errors = [] }, { directory = config.prompts.logDirectory, maxLogBytes = config.prompts.maxLogBytes } = {}) {
+  await fs.mkdir(path.join(directory, TEMPLATES_DIR), { recursive: true });
+
+  // Each template body is stored once, named by its hash
+  try {
+    await fs.writeFile(path.join(directory, TEMPLATES_DIR, `${prompt.templateHash}.txt`), prompt.body, { flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+
+  const entry = {
+    id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+    timestamp: new Date().toISOString(),
+    template: { name: prompt.name, version: prompt.version, hash: prompt.templateHash },
+    promptHash: prompt.hash,
+    variables: prompt.variables,
+    provider,
+    model,
+    rawOutput,
+    parsed,
+    errors
+  };
+  await rotateLog(directory, maxLogBytes);
+  await fs.appendFile(path.join(directory, LOG_FILE), `${JSON.stringify(entry)}\n`);
+  return entry.id;
+}
+
+/**
+ * Read the prompt log
+ *
+ * @param {Object} [options] Options
+ * @param {string} [options.directory] Log directory
+ * @returns {Promise<Array<Object>>} Logged runs, oldest first, rotated ones included; empty when nothing was logged
+ */
+export async function readPromptLog({ directory = config.prompts.logDirectory } = {}) {
+  const runs = [];
+  for (const file of [ROTATED_LOG_FILE, LOG_FILE]) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(directory, file), 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+    runs.push(...content.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line)));
+  }
+  return runs;
+}
+
+// Move a full log aside, replacing the previously rotated one
+async function rotateLog(directory, maxLogBytes) {
+  if (!(maxLogBytes > 0)) return;
+
+  try {
+    const { size } = await fs.stat(path.join(directory, LOG_FILE));
+    if (size < maxLogBytes) return;
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  await fs.rename(path.join(directory, LOG_FILE), path.join(directory, ROTATED_LOG_FILE));
+}
+
+/**
+ * Get a logged run with the exact prompt that was sent
+ *
+ * @param {string} [id] Run id or a unique prefix of one, the latest run when omitted
+ * @param {Object} [options] Options
+ * @param {string} [options.directory] Log directory
+ * @returns {Promise<Object>} Logged run with prompt (the rebuilt text) and verified (whether it matches promptHash)
+ */
+export async function getPromptRun(id, { directory = config.prompts.logDirectory } = {}) {
+  const runs = await readPromptLog({ directory });
+  const matches = id ? runs.filter(run => run.id.startsWith(id)) : runs.slice(-1);
+  if (matches.length === 0) {
+    throw new Error(id ? `No logged prompt with id ${id}` : 'No prompts logged yet');
+  }
+  if (matches.length > 1) {
+    throw new Error(`Prompt id ${id} is ambiguous (${matches.map(run => run.id).join(', ')})`);
+  }
+
+  const run = matches[0];
+  const body = await fs.readFile(path.join(directory, TEMPLATES_DIR, `${run.template.hash}.txt`), 'utf-8');
+  const prompt = renderTemplate(body, run.variables);
+  return { ...run, prompt, verified: hashText(prompt) === run.promptHash };
+}
+
+/**
+ * Diff two texts line by line
+ *
+ * @param {string} from Old text
+ * @param {string} to New text
+ * @returns {Array<Object>} Lines as { type: ' ' | '-' | '+', line }
+ */
+export function diffLines(from, to) {
+  const a = from.split('\n');
+  const b = to.split('\n');
+
+  // Longest common subsequence lengths of every pair of suffixes
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: '-', line: a[i++] });
+    } else {
+      lines.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: '-', line: a[i++] });
+  while (j < b.length) lines.push({ type: '+', line: b[j++] });
+  return lines;
+}
+
+function formatVariable(value) {
+  return typeof value === 'string' ? value : YAML.stringify(value).trim();
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { renderPrompt, renderTemplate, logPromptRun, readPromptLog, getPromptRun, diffLines } from '../index.js';
+
+async function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'yield-pilot-prompts-'));
+}
+
+describe('Prompt engine', () => {
+  it('should render the versioned strategy prompt with the input as YAML', async () => {
+    const prompt = await renderPrompt('strategyAgent', { input: { userInput: { inputAsset: 'ETH', amount: 2 } } });
+
+    assert.strictEqual(prompt.version, '1.0.0');
+    assert.match(prompt.text, /^You are YieldPilot/);
+    assert.match(prompt.text, /## Simulation Input:\n\nuserInput:\n {2}inputAsset: ETH\n {2}amount: 2\n/);
+    assert.strictEqual(prompt.hash.length, 64);
+    assert.throws(() => renderTemplate('Route: {{route}}', {}), /Missing prompt variable "route"/);
+  });
+
+  it('should log runs and rebuild the exact prompt that was sent', async () => {
+    const directory = await tempDir();
+    const first = await renderPrompt('strategyAgent', { input: { userInput: { amount: 1 } } });
+    const second = await renderPrompt('strategyAgent', { input: { userInput: { amount: 3 } } });
+
+    const firstId = await logPromptRun({ prompt: first, provider: 'deterministic', model: null, rawOutput: null, parsed: { netYield: '3.1%' } }, { directory });
+    const secondId = await logPromptRun({ prompt: second, provider: 'openai', model: 'stub', rawOutput: 'nope', parsed: null, errors: ['response is not JSON'] }, { directory });
+
+    const runs = await readPromptLog({ directory });
+    assert.deepStrictEqual(runs.map(run => run.id), [firstId, secondId]);
+    // The template body is stored once for both runs
+    assert.strictEqual((await fs.readdir(path.join(directory, 'templates'))).length, 1);
+
+    const run = await getPromptRun(firstId.slice(0, 12), { directory });
+    assert.strictEqual(run.prompt, first.text);
+    assert.strictEqual(run.verified, true);
+    assert.strictEqual((await getPromptRun(undefined, { directory })).rawOutput, 'nope');
+    await assert.rejects(getPromptRun('missing', { directory }), /No logged prompt with id missing/);
+  });
+
+  it('should rotate a full log and keep reading the rotated runs', async () => {
+    const directory = await tempDir();
+    const prompt = await renderPrompt('strategyAgent', { input: { userInput: { inputAsset: 'ETH' } } });
+    const log = () => logPromptRun({ prompt, provider: 'deterministic', model: null, rawOutput: null, parsed: {} }, { directory, maxLogBytes: 1 });
+
+    const ids = [await log(), await log(), await log()];
+
+    // Every run fills the log, so the first one was dropped with the second rotation
+    assert.deepStrictEqual((await readPromptLog({ directory })).map(run => run.id), ids.slice(1));
+    assert.deepStrictEqual((await fs.readdir(directory)).sort(), ['log.1.jsonl', 'log.jsonl', 'templates']);
+  });
+
+  it('should diff prompts line by line', () => {
+    const lines = diffLines('a\nb\nc', 'a\nB\nc\nd');
+
+    assert.deepStrictEqual(lines.map(({ type, line }) => `${type}${line}`), [' a', '-b', '+B', ' c', '+d']);
+  });
+});
@@ -0,0 +1,244 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateSchema } from '../validation/index.js';
+import { toAPR } from '../projections/rates.js';
+
+/**
+ * Canonical protocol data model
+ * Plugins and the DefiLlama fallbacks report protocol data in different
+ * shapes and units. normalizeProtocolData() converts them to one model,
+ * described by protocolData in simulationPromptSchema.json, before anything
+ * downstream reads them:
+ *
+ *   - rates are APRs as percentages (3.2 means 3.2%); APYs, declared by the
+ *     protocol's rateUnit, are converted with its compounding (see
+ *     src/projections/rates.js) and rateUnit then reads apr
+ *   - TVLs and the ETH price are in USD
+ *   - fees, LTVs and liquidation thresholds are ratios between 0 and 1
+ *   - unknown values are null, never undefined, NaN or strings
+ *   - Aave maps are keyed by our asset symbols (ETH, wBTC rather than WETH, WBTC)
+ *   - every protocol carries `source`, the provider its data came from
+ *   - provenance records the source, fetch time and mock flag of every known
+ *     metric, keyed by its path (e.g. "aave.borrowRates.USDC")
+ *
+ * Values that still fail the schema after conversion are dropped and reported
+ * in missingData, so an out-of-range LTV or a negative rate is treated like a
+ * failed fetch instead of reaching the route engine.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const schemaPath = path.join(__dirname, '../../simulationPromptSchema.json');
+export const protocolDataSchema = JSON.parse(await fs.readFile(schemaPath, 'utf8')).properties.protocolData;
+
+const NO_DATA = 'No Data Available';
+
+// Metrics that carry provenance; "*" stands for every key of a map
+const METRIC_PATHS = [
+  'lido.stETHAPR', 'lido.tvl',
+  'aave.supplyRates.*', 'aave.borrowRates.*', 'aave.ltvRatios.*', 'aave.liquidationThresholds.*',
+  'eigenLayer.baseAPR', 'eigenLayer.tvl',
+  'renzo.apyBoost', 'renzo.tvl',
+  'kelp.apyBoost', 'kelp.tvl',
+  'yearn.tvl', 'yearn.vaultAPYs.*',
+  'gas.current.*', 'gas.priorityFees.*', 'gas.estimation.*', 'gas.ethPrice'
+];
+
+// Aave reports wrapped tokens under their own symbols
+const AAVE_SYMBOLS = { WETH: 'ETH', WBTC: 'wBTC' };
+
+/**
+ * Convert protocol data to the canonical model and validate it
+ * Fields outside the model (e.g. plugin-specific ones) are kept as reported.
+ * Origins describe where data came from, either for a whole protocol ("aave")
+ * or for one field ("lido.tvl"); every known metric gets the origin of its
+ * field, or else of its protocol, in provenance.
+ *
+ * @param {Object} data Protocol data as assembled by getProtocolData()
+ * @param {Object} [origins] Origins as { source, fetchedAt, mock }, keyed by protocol or field path
+ * @returns {Object} Canonical protocol data; invalid values are nulled or removed and listed in missingData
+ */
+export function normalizeProtocolData(data, origins = {}) {
+  const lido = objectOrEmpty(data.lido);
+  const aave = objectOrEmpty(data.aave);
+  const eigenLayer = objectOrEmpty(data.eigenLayer);
+  const renzo = objectOrEmpty(data.renzo);
+  const kelp = objectOrEmpty(data.kelp);
+  const yearn = objectOrEmpty(data.yearn);
+  const gas = objectOrEmpty(data.gas);
+
+  const normalized = {
+    ...data,
+    lido: {
+      ...lido,
+      stETHAPR: toRate(lido, 'lido')(lido.stETHAPR),
+      tvl: toNumber(lido.tvl),
+      fee: toNumber(lido.fee),
+      source: toSource(lido.source),
+      ...toRateUnit(lido)
+    },
+    aave: {
+      ...aave,
+      supplyRates: toAaveMap(aave.supplyRates, { convert: toRate(aave, 'aave') }),
+      borrowRates: toAaveMap(aave.borrowRates, { convert: toRate(aave, 'aave') }),
+      ltvRatios: toAaveMap(aave.ltvRatios, { dropUnknown: true }),
+      liquidationThresholds: toAaveMap(aave.liquidationThresholds, { dropUnknown: true }),
+      reserveFactors: toAaveMap(aave.reserveFactors, { dropUnknown: true }),
+      source: toSource(aave.source),
+      ...toRateUnit(aave)
+    },
+    eigenLayer: {
+      ...eigenLayer,
+      baseAPR: toRate(eigenLayer, 'eigenLayer')(eigenLayer.baseAPR),
+      tvl: toNumber(eigenLayer.tvl),
+      source: toSource(eigenLayer.source),
+      ...toRateUnit(eigenLayer)
+    },
+    renzo: {
+      ...renzo,
+      apyBoost: toRate(renzo, 'renzo')(renzo.apyBoost),
+      tvl: toNumber(renzo.tvl),
+      fee: toNumber(renzo.fee),
+      source: toSource(renzo.source),
+      ...toRateUnit(renzo)
+    },
+    kelp: {
+      ...kelp,
+      apyBoost: toRate(kelp, 'kelp')(kelp.apyBoost),
+      tvl: toNumber(kelp.tvl),
+      fee: toNumber(kelp.fee),
+      source: toSource(kelp.source),
+      ...toRateUnit(kelp)
+    },
+    yearn: {
+      ...yearn,
+      tvl: toNumber(yearn.tvl),
+      vaultAPYs: mapValues(objectOrEmpty(yearn.vaultAPYs), toRate(yearn, 'yearn')),
+      source: toSource(yearn.source),
+      ...toRateUnit(yearn)
+    },
+    uniswap: {
+      pools: {},
+      ...objectOrEmpty(data.uniswap)
+    },
+    gas: {
+      ...gas,
+      current: pickNumbers(gas.current, ['slow', 'average', 'fast', 'baseFee', 'priorityFee']),
+      priorityFees: mapValues(objectOrEmpty(gas.priorityFees), toNumber),
+      estimation: pickNumbers(gas.estimation, ['stake', 'swap', 'supply', 'borrow']),
+      ethPrice: toNumber(gas.ethPrice)
+    },
+    missingData: { ...objectOrEmpty(data.missingData) },
+    staleData: { ...objectOrEmpty(data.staleData) },
+    dataSources: { ...objectOrEmpty(data.dataSources) },
+    provenance: {}
+  };
+
+  for (const error of validateSchema(normalized, protocolDataSchema)) {
+    const value = dropInvalidValue(normalized, error.path.split('.'));
+    normalized.missingData[error.path] = `Invalid value ${JSON.stringify(value)}: ${error.message}`;
+  }
+
+  // Only values that survived validation get provenance
+  for (const metricPath of expandMetricPaths(normalized)) {
+    const origin = origins[metricPath] || origins[metricPath.split('.')[0]];
+    if (origin) {
+      normalized.provenance[metricPath] = {
+        source: origin.source || NO_DATA,
+        fetchedAt: origin.fetchedAt || null,
+        mock: origin.mock === true
+      };
+    }
+  }
+
+  return normalized;
+}
+
+// Paths of the metrics in the data that have a value
+function expandMetricPaths(data) {
+  return METRIC_PATHS.flatMap(metricPath => {
+    const keys = metricPath.split('.');
+    if (keys[keys.length - 1] !== '*') {
+      return typeof getPath(data, keys) === 'number' ? [metricPath] : [];
+    }
+    const map = objectOrEmpty(getPath(data, keys.slice(0, -1)));
+    return Object.keys(map)
+      .filter(key => typeof map[key] === 'number')
+      .map(key => [...keys.slice(0, -1), key].join('.'));
+  });
+}
+
+function getPath(data, keys) {
+  return keys.reduce((node, key) => node?.[key], data);
+}
+
+// Null the value at a path, or remove it when the schema does not allow null (entries of rate maps)
+function dropInvalidValue(data, keys) {
+  const parent = getPath(data, keys.slice(0, -1));
+  const key = keys[keys.length - 1];
+  if (!parent || typeof parent !== 'object') return undefined;
+
+  const value = parent[key];
+  if (allowsNull(keys)) {
+    parent[key] = null;
+  } else {
+    delete parent[key];
+  }
+  return value;
+}
+
+function allowsNull(keys) {
+  const schema = keys.reduce((node, key) => node?.properties?.[key] || node?.additionalProperties, protocolDataSchema);
+  const types = schema?.type;
+  return Array.isArray(types) ? types.includes('null') : types === 'null';
+}
+
+// Numbers and numeric strings become numbers; anything else is unknown
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  return null;
+}
+
+function toSource(source) {
+  return typeof source === 'string' && source !== '' ? source : NO_DATA;
+}
+
+// Converter of a protocol's rates to APRs from the unit it declares; undeclared rates are taken as APRs
+function toRate(protocolData, protocol) {
+  return value => toAPR(toNumber(value), protocolData.rateUnit, protocol);
+}
+
+// Converted rates are APRs; protocols that declared no unit stay undeclared
+function toRateUnit(protocolData) {
+  return protocolData.rateUnit ? { rateUnit: 'apr' } : {};
+}
+
+function toAaveMap(values, { dropUnknown = false, convert = toNumber } = {}) {
+  const result = {};
+  for (const [symbol, value] of Object.entries(objectOrEmpty(values))) {
+    const asset = AAVE_SYMBOLS[symbol] || symbol;
+    const number = convert(value);
+    // Keep a known value when both the wrapped and the plain symbol are reported
+    if (number === null && (dropUnknown || typeof result[asset] === 'number')) continue;
+    result[asset] = number;
+  }
+  return result;
+}
+
+function pickNumbers(values, keys) {
+  const source = objectOrEmpty(values);
+  return Object.fromEntries(keys.map(key => [key, toNumber(source[key])]));
+}
+
+function mapValues(values, convert) {
+  return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, convert(value)]));
+}
+
+function objectOrEmpty(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
@@ -2,19 +2,12 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
-import defillama from 'defillama-api';
-// Import protocol plugins
-import * as protocolLido from '../../plugins/protocol-lido/index.js';
-import * as protocolAave from '../../plugins/protocol-aave/index.js';
-import * as protocolRenzo from '../../plugins/protocol-renzo/index.js';
-
-// Try to import other protocol plugins if they exist
-let protocolBittensor = null;
-try {
-  protocolBittensor = await import('../../plugins/protocol-bittensor/index.js');
-} catch (error) {
-  console.log('Bittensor plugin not available:', error.message);
-}
+import defiLlamaService from '../services/defiLlama.js';
+import gasService from '../services/gas.js';
+import { getPluginsByType } from '../plugins/index.js';
+import { checkProtocolData } from '../plugins/conformance.js';
+import { captureProtocolData, getReplayedProtocolData, isReplaying } from '../snapshots/index.js';
+import { normalizeProtocolData } from './dataModel.js';
 
 // Helper function to safely extract data
 const safeGet = (obj, path, defaultValue = null) => {
@@ -28,181 +21,117 @@ const safeGet = (obj, path, defaultValue = null) => {
 
 /**
  * Get current data for supported DeFi protocols
- * Fetches real-time data from protocol plugins or fallback to DefiLlama API
+ * Fetches real-time data from protocol plugins or fallback to DefiLlama API.
+ * While a snapshot is replayed the recorded data is returned instead, and
+ * while one is recorded the result is kept for it.
  *
  * @returns {Promise<Object>} Current protocol data
  */
 export async function getProtocolData() {
-  console.log("Fetching protocol data...");
-  const missingData = {};
-
-  try {
-    // Initialize protocol data objects
-    let lidoData = null;
-    let aaveData = null;
-    let renzoDataFromPlugin = null;
-    let kelpData = null;
-    let eigenLayerData = null;
-    let yearnData = null;
-    let gasData = null;
-
-    // Fetch data from protocol plugins in parallel
-    const pluginPromises = [];
+  if (isReplaying()) {
+    console.error("Using protocol data from snapshot");
+    return getReplayedProtocolData();
+  }
 
-    // Lido data from protocol-lido plugin
-    pluginPromises.push(
-      protocolLido.getProtocolData()
-        .then(data => {
-          console.log("Fetched Lido data from protocol plugin");
-          lidoData = {
-            stETHAPR: data.apr,
-            tvl: data.totalStaked,
-            fee: 0.1
-          };
-        })
-        .catch(error => {
-          console.warn("Failed to fetch Lido data from plugin:", error.message);
-          missingData.lidoPlugin = `Failed to fetch from plugin: ${error.message}`;
-        })
-    );
+  const protocolData = await fetchProtocolData();
+  captureProtocolData(protocolData);
+  return protocolData;
+}
 
-    // Aave data from protocol-aave plugin
-    pluginPromises.push(
-      protocolAave.getProtocolData()
-        .then(data => {
-          console.log("Fetched Aave data from protocol plugin");
-          aaveData = {
-            supplyRates: data.supplyRates,
-            borrowRates: data.borrowRates,
-            ltv: data.ltvRatios,
-            liquidationThresholds: data.liquidationThresholds,
-            totalSupply: data.totalSupply,
-            totalBorrow: data.totalBorrow,
-            totalLiquidityUSD: data.totalLiquidityUSD,
-            totalBorrowsUSD: data.totalBorrowsUSD,
-            source: data.source
-          };
-        })
-        .catch(error => {
-          console.warn("Failed to fetch Aave data from plugin:", error.message);
-          missingData.aavePlugin = `Failed to fetch from plugin: ${error.message}`;
-        })
-    );
+/**
+ * Fetch protocol data from plugins and upstream APIs
+ *
+ * @returns {Promise<Object>} Current protocol data in the canonical model (see dataModel.js)
+ */
+async function fetchProtocolData() {
+  console.error("Fetching protocol data...");
+  const missingData = {};
 
-    // Renzo data from protocol-renzo plugin
-    pluginPromises.push(
-      protocolRenzo.getProtocolData()
+  try {
+    // Protocol data fetched from plugins, keyed by plugin key (e.g. "lido" for protocol-lido)
+    const pluginData = {};
+    // When each plugin's data was fetched, unless the plugin reports it
+    const pluginFetchedAt = {};
+
+    // Fetch data from every registered protocol plugin in parallel
+    const protocolPlugins = await getPluginsByType('protocol');
+    // Plugins share the cached DefiLlama service so the pools payload is fetched once per run
+    const pluginPromises = protocolPlugins.map(plugin =>
+      plugin.module.getProtocolData({ defiLlama: defiLlamaService })
         .then(data => {
-          console.log("Fetched Renzo data from protocol plugin");
-          renzoDataFromPlugin = {
-            apyBoost: data.apyBoost,
-            tvl: data.tvl,
-            source: data.source
-          };
+          // Data that does not match the plugin's declared schema is treated as a failed fetch
+          const problems = checkProtocolData(data, plugin.module.dataSchema);
+          if (problems.length > 0) {
+            throw new Error(`Data does not match declared schema: ${problems.join('; ')}`);
+          }
+          console.error(`Fetched ${plugin.metadata.name} data from protocol plugin`);
+          pluginData[plugin.key] = data;
+          pluginFetchedAt[plugin.key] = new Date().toISOString();
         })
         .catch(error => {
-          console.warn("Failed to fetch Renzo data from plugin:", error.message);
-          missingData.renzoPlugin = `Failed to fetch from plugin: ${error.message}`;
+          console.warn(`Failed to fetch ${plugin.metadata.name} data from plugin:`, error.message);
+          missingData[`${plugin.key}Plugin`] = `Failed to fetch from plugin: ${error.message}`;
         })
     );
 
-    // Fetch data from DefiLlama for protocols without plugins
+    // Fetch data from DefiLlama for protocols without plugins, through the cached service
     const [
       protocolTvls,
       ethPriceData,
-      yieldPoolsData,
-      yearnDefiLlamaData
-    ] = await Promise.allSettled([
+      yieldPools,
+      yearnTvlData
+    ] = await Promise.all([
       // Fetch TVL for relevant protocols
-      Promise.all([
-        defillama.tvl.protocol('lido'),
-        defillama.tvl.protocol('eigenlayer'),
-        defillama.tvl.protocol('renzoprotocol'),
-        defillama.tvl.protocol('kelp-dao')
-      ]),
+      Promise.all(['lido', 'eigenlayer', 'renzoprotocol', 'kelp-dao'].map(id => defiLlamaService.getProtocolTvl(id))),
       // Fetch current ETH price (using coingecko identifier)
-      defillama.coins.pricesCurrent(['coingecko:ethereum']),
-      // Fetch yield pools data
-      defillama.yields.pools(),
-      // Fetch Yearn Finance data
-      defillama.tvl.protocol('yearn-finance')
+      defiLlamaService.getCurrentPrices(['coingecko:ethereum']),
+      // Fetch yield pools of the protocols we read rates from
+      Promise.all(['lido', 'aave-v3', 'eigenlayer', 'renzoprotocol', 'kelp-dao', 'yearn-finance']
+        .map(id => defiLlamaService.getProtocolYields(id)))
+        .then(poolsByProtocol => poolsByProtocol.flat()),
+      // Fetch Yearn Finance TVL
+      defiLlamaService.getProtocolTvl('yearn-finance')
     ]);
 
     // --- Fetch Gas Data from Blocknative and Etherscan as fallback ---
-    let blocknativeGasData = { status: 'rejected', reason: 'Not fetched' };
-    let etherscanGasData = { status: 'rejected', reason: 'Not fetched' };
-    try {
-      // Blocknative API for gas estimation
-      const blocknativeResponse = await fetch('https://api.blocknative.com/gasprices/blockprices', {
-        headers: {
-          'Authorization': process.env.BLOCKNATIVE_API_KEY || ''
-        }
-      });
-      blocknativeGasData = { status: 'fulfilled', value: await blocknativeResponse.json() };
-    } catch (error) {
-      console.warn("Failed to fetch Blocknative gas data:", error.message);
-      blocknativeGasData = { status: 'rejected', reason: error.message };
-    }
+    const blocknativeGasData = await gasService.getBlocknativePrices();
+    const etherscanGasData = blocknativeGasData ? null : await gasService.getEtherscanGasOracle();
 
-    if (blocknativeGasData.status === 'rejected') {
-      try {
-        // Fallback to Etherscan Gas Tracker API
-        const etherscanResponse = await fetch(`https://api.etherscan.io/api?module=gastracker&action=gasoracle&apikey=${process.env.ETHERSCAN_API_KEY || ''}`);
-        etherscanGasData = { status: 'fulfilled', value: await etherscanResponse.json() };
-      } catch (error) {
-        console.warn("Failed to fetch Etherscan gas data:", error.message);
-        etherscanGasData = { status: 'rejected', reason: error.message };
-      }
-    }
+    // Wait for all plugin promises to complete before deciding which fallbacks are needed
+    await Promise.allSettled(pluginPromises);
+    const lidoData = pluginData.lido || null;
+    const aaveData = pluginData.aave || null;
+    const renzoDataFromPlugin = pluginData.renzo || null;
 
     // --- Process Protocol TVLs ---
-    const lidoTvl = protocolTvls.status === 'fulfilled' && protocolTvls.value[0]
-      ? safeGet(protocolTvls.value[0], 'tvl', null) // Use the main tvl field
-      : null;
-    const eigenLayerTvl = protocolTvls.status === 'fulfilled' && protocolTvls.value[1]
-      ? safeGet(protocolTvls.value[1], 'tvl', null)
-      : null;
-    const renzoTvl = protocolTvls.status === 'fulfilled' && protocolTvls.value[2]
-      ? safeGet(protocolTvls.value[2], 'tvl', null)
-      : null;
-    const kelpTvl = protocolTvls.status === 'fulfilled' && protocolTvls.value[3]
-      ? safeGet(protocolTvls.value[3], 'tvl', null)
-      : null;
+    const [lidoTvl, eigenLayerTvl, renzoTvl, kelpTvl] = protocolTvls.map(tvl => typeof tvl === 'number' ? tvl : null);
+    if (protocolTvls.some(tvl => tvl === null)) {
+      console.warn("Failed to fetch some protocol TVLs");
+    }
 
     // --- Process Yearn Finance Data ---
-    const yearnTvl = yearnDefiLlamaData.status === 'fulfilled'
-      ? safeGet(yearnDefiLlamaData.value, 'tvl', null)
-      : null;
+    const yearnTvl = typeof yearnTvlData === 'number' ? yearnTvlData : null;
 
-    if (yearnDefiLlamaData.status === 'rejected') {
-      console.warn("Failed to fetch Yearn Finance data:", yearnDefiLlamaData.reason);
+    if (yearnTvl === null) {
+      console.warn("Failed to fetch Yearn Finance data");
     }
 
     // --- Process Yearn Vault APYs from Yield Pools ---
     const yearnVaultAPYs = {};
-    if (yieldPoolsData.status === 'fulfilled' && yieldPoolsData.value?.data) {
-      const pools = yieldPoolsData.value.data;
-      const yearnPools = pools.filter(p =>
-        p.project === 'yearn-finance' &&
-        p.chain === 'Ethereum'
-      );
-      yearnPools.forEach(pool => {
-        const symbol = pool.symbol || 'unknown';
-        yearnVaultAPYs[symbol] = safeGet(pool, 'apyBase', null);
-      });
-    }
-
-    if (protocolTvls.status === 'rejected') {
-      console.warn("Failed to fetch some protocol TVLs:", protocolTvls.reason);
-    }
+    const yearnPools = yieldPools.filter(p =>
+      p.project === 'yearn-finance' &&
+      p.chain === 'Ethereum'
+    );
+    yearnPools.forEach(pool => {
+      const symbol = pool.symbol || 'unknown';
+      yearnVaultAPYs[symbol] = safeGet(pool, 'apyBase', null);
+    });
 
     // --- Process ETH Price ---
-    const ethPrice = ethPriceData.status === 'fulfilled'
-      ? safeGet(ethPriceData.value, 'coins.coingecko:ethereum.price', null)
-      : null;
+    const ethPrice = safeGet(ethPriceData, 'coins.coingecko:ethereum.price', null);
 
-    if (ethPriceData.status === 'rejected') {
-      console.warn("Failed to fetch ETH price:", ethPriceData.reason);
+    if (ethPrice === null) {
+      console.warn("Failed to fetch ETH price");
     }
 
     // --- Process Yield Pools (Complex Mapping) ---
@@ -214,8 +143,8 @@ export async function getProtocolData() {
     let renzoApyBoostDefillama = null;
     let kelpApyBoost = null;
 
-    if (yieldPoolsData.status === 'fulfilled' && yieldPoolsData.value?.data) {
-      const pools = yieldPoolsData.value.data;
+    if (yieldPools.length > 0) {
+      const pools = yieldPools;
 
       // Only fetch Lido data from DefiLlama if plugin failed
       if (!lidoData) {
@@ -283,22 +212,27 @@ export async function getProtocolData() {
       kelpApyBoost = kelpPool ? safeGet(kelpPool, 'apyBase', null) : null;
       if (!kelpApyBoost) missingData.kelpApyBoost = 'Kelp APY boost not found';
 
-    } else if (yieldPoolsData.status === 'rejected') {
-      console.warn("Failed to fetch yield pools data:", yieldPoolsData.reason);
+    } else {
+      console.warn("Failed to fetch yield pools data");
       missingData.yieldPools = 'Yield pools data fetch failed';
     }
 
     // --- Process Gas Data from Blocknative or Etherscan ---
-    let gasCurrent = { slow: null, average: null, fast: null };
+    let gasCurrent = { slow: null, average: null, fast: null, baseFee: null, priorityFee: null };
     let gasEstimation = { stake: null, swap: null, supply: null, borrow: null };
+    // Priority fee by confidence (%) of inclusion in the next block
+    let gasPriorityFees = {};
 
-    if (blocknativeGasData.status === 'fulfilled' && blocknativeGasData.value?.blockPrices?.length > 0) {
-      const gasPrices = blocknativeGasData.value.blockPrices[0].estimatedPrices;
+    if (blocknativeGasData) {
+      const gasPrices = blocknativeGasData.blockPrices[0].estimatedPrices;
       gasCurrent = {
         slow: gasPrices.find(p => p.confidence === 70)?.price || null,
         average: gasPrices.find(p => p.confidence === 80)?.price || null,
-        fast: gasPrices.find(p => p.confidence === 90)?.price || null
+        fast: gasPrices.find(p => p.confidence === 90)?.price || null,
+        baseFee: blocknativeGasData.blockPrices[0].baseFeePerGas ?? null,
+        priorityFee: gasPrices.find(p => p.confidence === 80)?.maxPriorityFeePerGas ?? null
       };
+      gasPriorityFees = Object.fromEntries(gasPrices.map(p => [p.confidence, p.maxPriorityFeePerGas ?? null]));
       // Rough estimation for common DeFi actions (multiplier based on typical gas usage)
       gasEstimation = {
         stake: gasCurrent.average ? gasCurrent.average * 100000 * 0.000000001 : null, // Approx 100k gas
@@ -306,14 +240,24 @@ export async function getProtocolData() {
         supply: gasCurrent.average ? gasCurrent.average * 120000 * 0.000000001 : null, // Approx 120k gas
         borrow: gasCurrent.average ? gasCurrent.average * 180000 * 0.000000001 : null // Approx 180k gas
       };
-      console.log("Fetched gas data from Blocknative.");
-    } else if (etherscanGasData.status === 'fulfilled' && etherscanGasData.value?.result) {
-      const result = etherscanGasData.value.result;
+      console.error("Fetched gas data from Blocknative.");
+    } else if (etherscanGasData) {
+      const result = etherscanGasData;
       gasCurrent = {
         slow: result.SafeGasPrice ? parseInt(result.SafeGasPrice) : null,
         average: result.ProposeGasPrice ? parseInt(result.ProposeGasPrice) : null,
-        fast: result.FastGasPrice ? parseInt(result.FastGasPrice) : null
+        fast: result.FastGasPrice ? parseInt(result.FastGasPrice) : null,
+        baseFee: result.suggestBaseFee ? parseFloat(result.suggestBaseFee) : null,
+        // The proposed price is the base fee plus the tip a block producer expects
+        priorityFee: result.suggestBaseFee && result.ProposeGasPrice
+          ? Math.max(0, parseFloat(result.ProposeGasPrice) - parseFloat(result.suggestBaseFee))
+          : null
       };
+      // Etherscan's safe, proposed and fast prices stand for the 70, 80 and 90% confidence levels
+      if (gasCurrent.baseFee !== null) {
+        gasPriorityFees = Object.fromEntries([[70, gasCurrent.slow], [80, gasCurrent.average], [90, gasCurrent.fast]]
+          .map(([confidence, price]) => [confidence, price === null ? null : Math.max(0, price - gasCurrent.baseFee)]));
+      }
       // Rough estimation for common DeFi actions
       gasEstimation = {
         stake: gasCurrent.average ? gasCurrent.average * 100000 * 0.000000001 : null,
@@ -321,78 +265,142 @@ export async function getProtocolData() {
         supply: gasCurrent.average ? gasCurrent.average * 120000 * 0.000000001 : null,
         borrow: gasCurrent.average ? gasCurrent.average * 180000 * 0.000000001 : null
       };
-      console.log("Fetched gas data from Etherscan (fallback).");
+      console.error("Fetched gas data from Etherscan (fallback).");
     } else {
       console.warn("No gas data available from Blocknative or Etherscan.");
       missingData.gasData = 'Gas data not available from any source';
     }
 
-    // Wait for all plugin promises to complete
-    await Promise.allSettled(pluginPromises);
+    // Keep the observed fees to learn when gas is cheap
+    if (gasCurrent.baseFee !== null) {
+      await gasService.recordFees({
+        observedAt: gasService.getFetchedAt(blocknativeGasData ? 'blocknative' : 'etherscan') || new Date().toISOString(),
+        baseFee: gasCurrent.baseFee,
+        priorityFee: gasCurrent.priorityFee
+      });
+    }
+
+    console.error("Finished fetching protocol data.");
 
-    console.log("Finished fetching protocol data.");
+    // --- Record Where Each Value Came From ---
+    const pluginOrigin = key => {
+      const data = pluginData[key];
+      const mock = data.mock === true || /mock/i.test(data.source || '');
+      if (mock) {
+        console.warn(`${key} plugin returned mock data; its values are not live`);
+      }
+      return { source: data.source, fetchedAt: mock ? null : data.fetchedAt || pluginFetchedAt[key], mock };
+    };
+    const defiLlamaOrigin = (protocolId, dataType, source = 'DefiLlama') => ({
+      source,
+      fetchedAt: defiLlamaService.getFetchedAt(protocolId, dataType),
+      mock: false
+    });
+    const gasSource = blocknativeGasData ? 'blocknative' : 'etherscan';
+    const origins = {
+      ...Object.fromEntries(Object.keys(pluginData).map(key => [key, pluginOrigin(key)])),
+      ...(!lidoData && { lido: defiLlamaOrigin('lido', 'yields') }),
+      'lido.tvl': defiLlamaOrigin('lido', 'tvl'),
+      ...(!aaveData && { aave: defiLlamaOrigin('aave-v3', 'yields', 'DefiLlama (fallback)') }),
+      eigenLayer: defiLlamaOrigin('eigenlayer', 'yields'),
+      'eigenLayer.tvl': defiLlamaOrigin('eigenlayer', 'tvl'),
+      ...(!renzoDataFromPlugin && {
+        renzo: defiLlamaOrigin('renzoprotocol', 'yields', 'DefiLlama (fallback)'),
+        'renzo.tvl': defiLlamaOrigin('renzoprotocol', 'tvl')
+      }),
+      kelp: defiLlamaOrigin('kelp-dao', 'yields'),
+      'kelp.tvl': defiLlamaOrigin('kelp-dao', 'tvl'),
+      yearn: defiLlamaOrigin('yearn-finance', 'yields'),
+      'yearn.tvl': defiLlamaOrigin('yearn-finance', 'tvl'),
+      gas: {
+        source: blocknativeGasData ? 'Blocknative' : 'Etherscan',
+        fetchedAt: gasService.getFetchedAt(gasSource),
+        mock: false
+      },
+      'gas.ethPrice': defiLlamaOrigin('coingecko:ethereum', 'prices')
+    };
 
     // --- Construct Final Data Object ---
-    return {
-      lido: lidoData || {
+    // Plugins without a built-in fallback are merged as-is under their key
+    return normalizeProtocolData({
+      ...pluginData,
+      // The Lido subgraph has no USD TVL, so it always comes from DefiLlama
+      lido: lidoData ? { ...lidoData, tvl: lidoTvl } : {
         stETHAPR: lidoStEthApr,
         tvl: lidoTvl,
-        fee: 0.1
+        fee: 0.1,
+        source: lidoStEthApr ? 'DefiLlama' : 'No Data Available',
+        // DefiLlama's apyBase is an APY
+        rateUnit: 'apy'
       },
       aave: aaveData || {
         supplyRates: aaveSupplyRates,
         borrowRates: aaveBorrowRates,
-        ltv: {},
+        ltvRatios: {},
         liquidationThresholds: {},
         totalSupply: {},
         totalBorrow: {},
-        source: Object.keys(aaveSupplyRates).length > 0 ? 'DefiLlama (fallback)' : 'No Data Available'
+        source: Object.keys(aaveSupplyRates).length > 0 ? 'DefiLlama (fallback)' : 'No Data Available',
+        rateUnit: 'apy'
       },
       eigenLayer: {
         baseAPR: eigenLayerBaseApr,
-        tvl: eigenLayerTvl
+        tvl: eigenLayerTvl,
+        source: eigenLayerBaseApr ? 'DefiLlama' : 'No Data Available',
+        rateUnit: 'apy'
       },
       renzo: renzoDataFromPlugin || {
         apyBoost: renzoApyBoostDefillama,
         tvl: renzoTvl,
         fee: 0.15,
-        source: renzoApyBoostDefillama ? 'DefiLlama (fallback)' : 'No Data Available'
+        source: renzoApyBoostDefillama ? 'DefiLlama (fallback)' : 'No Data Available',
+        rateUnit: 'apy'
       },
       kelp: {
         apyBoost: kelpApyBoost,
         tvl: kelpTvl,
-        fee: 0.10
+        fee: 0.10,
+        source: kelpApyBoost ? 'DefiLlama' : 'No Data Available',
+        rateUnit: 'apy'
       },
       yearn: {
         tvl: yearnTvl,
-        vaultAPYs: yearnVaultAPYs
+        vaultAPYs: yearnVaultAPYs,
+        source: yearnTvl !== null ? 'DefiLlama' : 'No Data Available',
+        rateUnit: 'apy'
       },
       uniswap: {
         pools: {}
       },
       gas: {
         current: gasCurrent,
+        priorityFees: gasPriorityFees,
         estimation: gasEstimation,
         ethPrice: ethPrice
       },
       missingData,
+      // Upstream data served from the cache after its TTL, with the time it was fetched
+      staleData: defiLlamaService.getStaleData(),
       dataSources: {
+        ...Object.fromEntries(
+          Object.entries(pluginData).map(([key, data]) => [key, data?.source || 'Plugin'])
+        ),
         lido: lidoData?.source || (lidoStEthApr ? 'DefiLlama' : 'No Data Available'),
         aave: aaveData?.source || (Object.keys(aaveSupplyRates).length > 0 ? 'DefiLlama (fallback)' : 'No Data Available'),
         renzo: renzoDataFromPlugin?.source || (renzoApyBoostDefillama ? 'DefiLlama (fallback)' : 'No Data Available'),
         eigenLayer: eigenLayerBaseApr ? 'DefiLlama' : 'No Data Available',
         kelp: kelpApyBoost ? 'DefiLlama' : 'No Data Available',
-        gas: gasCurrent.average ? (blocknativeGasData.status === 'fulfilled' && blocknativeGasData.value?.blockPrices?.length > 0 ? 'Blocknative' : (etherscanGasData.status === 'fulfilled' && etherscanGasData.value?.result ? 'Etherscan' : 'No Data Available')) : 'No Data Available'
+        gas: gasCurrent.average ? (blocknativeGasData ? 'Blocknative' : (etherscanGasData ? 'Etherscan' : 'No Data Available')) : 'No Data Available'
       }
-    };
+    }, origins);
   } catch (error) {
     console.error("Critical error in getProtocolData:", error);
     // Return an empty structure with error information
-    return {
+    return normalizeProtocolData({
       error: error.message,
       missingData: {
         critical: 'Failed to fetch protocol data due to critical error'
       }
-    };
+    });
   }
 }
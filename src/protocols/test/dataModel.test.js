@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { normalizeProtocolData } from '../dataModel.js';
+import { rankRoutes } from '../../analyzer/routeEngine.js';
+
+describe('Protocol data model', () => {
+  it('should convert plugin shapes to the canonical model', () => {
+    const data = normalizeProtocolData({
+      lido: { apr: '3.1', stETHAPR: '3.1', tvl: '25000000000', fee: 0.1, source: 'thegraph-decentralized' },
+      aave: {
+        supplyRates: { WETH: 2.1, wstETH: 0.05 },
+        borrowRates: { WETH: 2.8, USDC: 5.2 },
+        ltvRatios: { WETH: 0.805, wstETH: 0.785 },
+        liquidationThresholds: { WETH: 0.83, wstETH: 0.81 },
+        source: 'thegraph-aave-v3'
+      },
+      missingData: {}
+    });
+
+    assert.strictEqual(data.lido.stETHAPR, 3.1);
+    assert.strictEqual(data.lido.tvl, 25000000000);
+    // Plugin-specific fields are kept as reported
+    assert.strictEqual(data.lido.apr, '3.1');
+    assert.deepStrictEqual(data.aave.supplyRates, { ETH: 2.1, wstETH: 0.05 });
+    assert.deepStrictEqual(data.aave.ltvRatios, { ETH: 0.805, wstETH: 0.785 });
+    assert.deepStrictEqual(data.missingData, {});
+  });
+
+  it('should fill protocols that failed with nulls and a source', () => {
+    const data = normalizeProtocolData({ error: 'boom', missingData: { critical: 'Failed' } });
+
+    assert.deepStrictEqual(data.renzo, { apyBoost: null, tvl: null, fee: null, source: 'No Data Available' });
+    assert.deepStrictEqual(data.aave.supplyRates, {});
+    assert.strictEqual(data.gas.current.average, null);
+    assert.strictEqual(data.missingData.critical, 'Failed');
+  });
+
+  it('should drop values outside the schema and report them in missingData', () => {
+    const data = normalizeProtocolData({
+      lido: { stETHAPR: -2, fee: 10 },
+      aave: { supplyRates: { ETH: 'n/a' }, borrowRates: {}, ltvRatios: { ETH: 80, stETH: 0.7 } }
+    });
+
+    assert.strictEqual(data.lido.stETHAPR, null);
+    assert.strictEqual(data.lido.fee, null);
+    assert.strictEqual(data.aave.supplyRates.ETH, null);
+    assert.deepStrictEqual(data.aave.ltvRatios, { stETH: 0.7 });
+    assert.match(data.missingData['lido.stETHAPR'], /must be >= 0/);
+    assert.match(data.missingData['aave.ltvRatios.ETH'], /must be <= 1/);
+  });
+
+  it('should record provenance for every known metric', () => {
+    const graph = { source: 'thegraph-decentralized', fetchedAt: '2026-01-01T00:00:00.000Z', mock: false };
+    const llama = { source: 'DefiLlama', fetchedAt: '2025-12-31T00:00:00.000Z', mock: false };
+    const data = normalizeProtocolData({
+      lido: { stETHAPR: 3.1, tvl: 25000000000, fee: 0.1 },
+      aave: { supplyRates: { WETH: 2.1, USDC: null }, borrowRates: {} }
+    }, {
+      lido: graph,
+      'lido.tvl': llama,
+      aave: { source: 'mock-data-fallback', mock: true }
+    });
+
+    assert.deepStrictEqual(data.provenance['lido.stETHAPR'], graph);
+    assert.deepStrictEqual(data.provenance['lido.tvl'], llama);
+    assert.deepStrictEqual(data.provenance['aave.supplyRates.ETH'], { source: 'mock-data-fallback', fetchedAt: null, mock: true });
+    // Unknown values have no provenance
+    assert.strictEqual(data.provenance['aave.supplyRates.USDC'], undefined);
+  });
+
+  it('should never produce NaN in ranked routes from malformed data', () => {
+    const data = normalizeProtocolData({
+      lido: { stETHAPR: '3.2', fee: '0.1' },
+      aave: { supplyRates: { stETH: '0.1', WETH: 'NaN' }, borrowRates: { WETH: '2.4', USDC: undefined } },
+      gas: { current: { average: 'fast' }, estimation: { stake: '0.002' }, ethPrice: '3000' }
+    });
+
+    const { ranked } = rankRoutes({ inputAsset: 'ETH', amount: 1, riskTolerance: 'high', timeHorizonDays: 30 }, data);
+    assert.ok(ranked.length > 0);
+    for (const route of ranked) {
+      assert.ok(Number.isFinite(route.netYield));
+      assert.ok(Number.isFinite(route.gasEstimateEth));
+    }
+  });
+});
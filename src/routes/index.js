@@ -0,0 +1,231 @@
+/**
+ * Typed route steps
+ * A strategy route is an ordered list of steps, each describing one protocol
+ * action. Every module reads these objects; the arrow view shown in the CLI is
+ * derived from them with formatRoute(), and routes saved by older versions as
+ * strings ("borrow USDC", "swap to ETH") are converted with parseRoute().
+ *
+ * Step shape:
+ *   {
+ *     protocol: 'lido' | 'aave' | 'renzo' | 'kelp' | 'uniswap' | null,
+ *     action: 'stake' | 'wrap' | 'restake' | 'supply' | 'borrow' | 'swap' | 'hold' | 'unknown',
+ *     assetIn: string,       // Asset the step consumes (for borrows, the asset borrowed)
+ *     assetOut: string|null, // Asset held after the step, null when everything is deposited
+ *     amount: number|null,   // Amount of assetIn moved by the step, null when unknown
+ *     leverage: number       // Total exposure after the step as a multiple of the principal
+ *   }
+ * Steps parsed from text that matches no known action also carry the original `label`.
+ */
+
+export const ROUTE_ACTIONS = ['stake', 'wrap', 'restake', 'supply', 'borrow', 'swap', 'hold', 'unknown'];
+
+// Assets that track the ETH price closely enough to be treated as ETH for valuation
+export const ETH_PEGGED_ASSETS = ['ETH', 'WETH', 'stETH', 'wstETH', 'ezETH', 'rsETH'];
+export const STABLECOINS = ['USDC', 'USDT', 'DAI'];
+
+// Actions that do not send a transaction
+const NON_TRANSACTION_ACTIONS = ['hold', 'unknown'];
+
+// Legacy labels for protocols, as used by older route strings
+const PROTOCOL_LABELS = {
+  renzo: 'Renzo',
+  kelp: 'Kelp',
+  aave: 'Aave',
+  lido: 'Lido'
+};
+
+/**
+ * Create a route step with defaults for the optional fields
+ *
+ * @param {Object} fields Step fields
+ * @returns {Object} Route step
+ */
+export function createStep({ protocol = null, action, assetIn, assetOut = null, amount = null, leverage = 1, label }) {
+  const step = { protocol, action, assetIn, assetOut, amount, leverage };
+  if (label !== undefined) step.label = label;
+  return step;
+}
+
+/**
+ * Check whether a value is a route step object
+ *
+ * @param {any} value Value to check
+ * @returns {boolean} True for step objects
+ */
+export function isRouteStep(value) {
+  return value !== null && typeof value === 'object' && ROUTE_ACTIONS.includes(value.action);
+}
+
+/**
+ * Normalize a route to typed steps
+ * Accepts typed routes as-is and converts legacy string routes.
+ *
+ * @param {Array<Object|string>} route Route from a strategy
+ * @returns {Array<Object>} Typed route steps
+ */
+export function normalizeRoute(route) {
+  if (!Array.isArray(route) || route.length === 0) return [];
+  if (route.every(isRouteStep)) return route;
+  return parseRoute(route);
+}
+
+/**
+ * Parse a legacy string route such as ['ETH', 'stETH', 'Aave', 'borrow USDC']
+ * The first entry is the input asset; later entries are actions or the asset
+ * they produce. Labels naming the asset already held are skipped.
+ *
+ * @param {Array<string>} labels Legacy route strings
+ * @returns {Array<Object>} Typed route steps
+ */
+export function parseRoute(labels) {
+  const steps = [];
+  let holding = labels[0];
+  let leverage = 1;
+
+  for (const raw of labels.slice(1)) {
+    const label = String(raw).trim();
+    const borrowMatch = label.match(/^borrow\s+(\w+)$/i);
+    const swapMatch = label.match(/^swap(?: to)?\s+(\w+)$/i);
+    const lower = label.toLowerCase();
+
+    if (label === holding) continue;
+
+    if (lower === 'hold') {
+      steps.push(createStep({ action: 'hold', assetIn: holding, assetOut: holding, leverage }));
+    } else if (label === 'stETH' || lower === 'lido' || lower === 'lido protocol') {
+      steps.push(createStep({ protocol: 'lido', action: 'stake', assetIn: holding, assetOut: 'stETH', leverage }));
+      holding = 'stETH';
+    } else if (label === 'wstETH') {
+      steps.push(createStep({ protocol: 'lido', action: 'wrap', assetIn: holding, assetOut: 'wstETH', leverage }));
+      holding = 'wstETH';
+    } else if (lower === 'renzo' || lower === 'renzo protocol' || label === 'ezETH') {
+      steps.push(createStep({ protocol: 'renzo', action: 'restake', assetIn: holding, assetOut: 'ezETH', leverage }));
+      holding = 'ezETH';
+    } else if (lower === 'kelp' || lower === 'kelp protocol' || label === 'rsETH') {
+      steps.push(createStep({ protocol: 'kelp', action: 'restake', assetIn: holding, assetOut: 'rsETH', leverage }));
+      holding = 'rsETH';
+    } else if (lower === 'aave' || lower === 'aave supply') {
+      steps.push(createStep({ protocol: 'aave', action: 'supply', assetIn: holding, assetOut: null, leverage }));
+      holding = null;
+    } else if (borrowMatch) {
+      // Legacy routes carry no sizes; each borrow is counted as half the principal
+      const asset = normalizeAsset(borrowMatch[1]);
+      leverage += 0.5;
+      steps.push(createStep({ protocol: 'aave', action: 'borrow', assetIn: asset, assetOut: asset, leverage }));
+      holding = asset;
+    } else if (swapMatch) {
+      const asset = normalizeAsset(swapMatch[1]);
+      steps.push(createStep({ protocol: 'uniswap', action: 'swap', assetIn: holding, assetOut: asset, leverage }));
+      holding = asset;
+    } else {
+      steps.push(createStep({ action: 'unknown', assetIn: holding, assetOut: holding, leverage, label }));
+    }
+  }
+
+  // A bare asset with no actions means the asset is held
+  if (steps.length === 0 && holding) {
+    steps.push(createStep({ action: 'hold', assetIn: holding, assetOut: holding }));
+  }
+
+  return steps;
+}
+
+/**
+ * Get the display label of a step, as used in the CLI arrow view
+ *
+ * @param {Object} step Route step
+ * @param {Array<Object>} [route] Full route, used to tell collateral supplies from plain deposits
+ * @returns {string} Label like "stETH", "Aave", "borrow USDC" or "swap to ETH"
+ */
+export function formatStepLabel(step, route = []) {
+  switch (step.action) {
+    case 'stake':
+    case 'wrap':
+      return step.assetOut;
+    case 'restake':
+      return PROTOCOL_LABELS[step.protocol] || step.assetOut;
+    case 'supply': {
+      // A supply that backs a later borrow is shown as collateral, otherwise as a deposit
+      const index = route.indexOf(step);
+      const backsBorrow = index >= 0 && route.slice(index + 1).some(next => next.action === 'borrow');
+      return backsBorrow ? PROTOCOL_LABELS[step.protocol] : `${PROTOCOL_LABELS[step.protocol]} Supply`;
+    }
+    case 'borrow':
+      return `borrow ${step.assetIn}`;
+    case 'swap':
+      return `swap to ${step.assetOut}`;
+    case 'hold':
+      return 'Hold';
+    default:
+      return step.label || `${step.action} ${step.assetIn}`;
+  }
+}
+
+/**
+ * Get the arrow view labels of a route, starting with the input asset
+ *
+ * @param {Array<Object>} route Typed route steps
+ * @returns {Array<string>} Labels like ['ETH', 'stETH', 'wstETH', 'Aave', 'borrow USDC']
+ */
+export function getRouteLabels(route) {
+  if (route.length === 0) return [];
+  return [getInputAsset(route), ...route.map(step => formatStepLabel(step, route))];
+}
+
+/**
+ * Format a route for display
+ *
+ * @param {Array<Object>} route Typed route steps
+ * @param {string} [separator] Separator between steps
+ * @returns {string} Route like "ETH → stETH → wstETH"
+ */
+export function formatRoute(route, separator = ' → ') {
+  return getRouteLabels(route).join(separator);
+}
+
+/**
+ * Get the asset a route starts from
+ *
+ * @param {Array<Object>} route Typed route steps
+ * @returns {string|null} Input asset
+ */
+export function getInputAsset(route) {
+  return route.length > 0 ? route[0].assetIn : null;
+}
+
+/**
+ * Count the steps that send a transaction
+ *
+ * @param {Array<Object>} route Typed route steps
+ * @returns {number} Number of transaction steps
+ */
+export function countTransactionSteps(route) {
+  return route.filter(step => !NON_TRANSACTION_ACTIONS.includes(step.action)).length;
+}
+
+/**
+ * Check whether a route uses a protocol
+ *
+ * @param {Array<Object>} route Typed route steps
+ * @param {string} protocol Protocol key (e.g. 'aave')
+ * @returns {boolean} True when any step uses the protocol
+ */
+export function routeUsesProtocol(route, protocol) {
+  return route.some(step => step.protocol === protocol);
+}
+
+/**
+ * Get the price class of an asset
+ *
+ * @param {string} asset Asset symbol
+ * @returns {string|null} 'eth' for ETH-pegged assets, 'stable' for stablecoins, null otherwise
+ */
+export function getPriceClass(asset) {
+  if (ETH_PEGGED_ASSETS.includes(asset)) return 'eth';
+  if (STABLECOINS.includes(asset)) return 'stable';
+  return null;
+}
+
+function normalizeAsset(asset) {
+  return asset.toUpperCase() === 'ETH' ? 'ETH' : asset;
+}
@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseRoute, normalizeRoute, getRouteLabels, countTransactionSteps } from '../index.js';
+
+const legacyRoute = ['ETH', 'stETH', 'wstETH', 'Aave', 'borrow USDC', 'swap to ETH', 'Renzo'];
+
+describe('Route steps', () => {
+  it('should parse legacy string routes into typed steps', () => {
+    const route = parseRoute(legacyRoute);
+
+    assert.deepStrictEqual(route.map(step => [step.protocol, step.action, step.assetIn, step.assetOut]), [
+      ['lido', 'stake', 'ETH', 'stETH'],
+      ['lido', 'wrap', 'stETH', 'wstETH'],
+      ['aave', 'supply', 'wstETH', null],
+      ['aave', 'borrow', 'USDC', 'USDC'],
+      ['uniswap', 'swap', 'USDC', 'ETH'],
+      ['renzo', 'restake', 'ETH', 'ezETH']
+    ]);
+    assert.strictEqual(route[3].leverage, 1.5);
+  });
+
+  it('should format typed routes back to the arrow view labels', () => {
+    assert.deepStrictEqual(getRouteLabels(parseRoute(legacyRoute)), legacyRoute);
+    assert.deepStrictEqual(getRouteLabels(parseRoute(['USDC', 'Aave Supply'])), ['USDC', 'Aave Supply']);
+    assert.deepStrictEqual(getRouteLabels(parseRoute(['USDC', 'Hold'])), ['USDC', 'Hold']);
+  });
+
+  it('should skip labels naming the asset already held and keep unknown text', () => {
+    const route = parseRoute(['ETH', 'Renzo', 'ezETH', 'Research Renzo protocol']);
+
+    assert.deepStrictEqual(route.map(step => step.action), ['restake', 'unknown']);
+    assert.strictEqual(route[1].label, 'Research Renzo protocol');
+    assert.strictEqual(countTransactionSteps(route), 1);
+  });
+
+  it('should leave typed routes untouched', () => {
+    const route = parseRoute(legacyRoute);
+    assert.strictEqual(normalizeRoute(route), route);
+  });
+});
@@ -1,71 +1,65 @@
-import { createClient } from 'redis';
 import config from '../config/index.js';
 import chalk from 'chalk';
+import { MemoryStore } from './cacheStores/memoryStore.js';
+import { FileStore } from './cacheStores/fileStore.js';
+import { RedisStore } from './cacheStores/redisStore.js';
 
 /**
- * Redis cache service
- * Provides caching functionality with Redis for protocol data
+ * Cache service
+ * Provides caching for protocol data on top of an interchangeable store:
+ * an in-process LRU ("memory"), JSON files under the user's config dir
+ * ("file") or Redis ("redis"), selected by config.cache.backend.
  */
-class CacheService {
-  constructor() {
-    this.client = null;
+export class CacheService {
+  /**
+   * @param {Object} [options] Options
+   * @param {Object} [options.store] Store to use instead of the one selected by config.cache.backend
+   */
+  constructor({ store = null } = {}) {
+    this.customStore = store;
+    this.store = null;
     this.isConnected = false;
-    this.config = config.redis;
+    this.initPromise = null;
+    // Upstream requests in flight, keyed by cache key, so concurrent callers share one request
+    this.inflight = new Map();
+    this.config = config.cache;
     this.cacheEnabled = config.cache.enabled;
   }
 
   /**
-   * Initialize Redis connection
+   * Connect once per process; later calls share the first attempt
+   * @returns {Promise<boolean>} Connection status
+   */
+  async connect() {
+    if (!this.initPromise) {
+      this.initPromise = this.init();
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Initialize the configured cache store
+   * Falls back to the in-memory store when the configured one cannot be used.
    * @returns {Promise<boolean>} Connection status
    */
   async init() {
     if (!this.cacheEnabled) {
-      console.log(chalk.yellow('Cache is disabled. Using live data for all requests.'));
+      console.error(chalk.yellow('Cache is disabled. Using live data for all requests.'));
       return false;
     }
 
-    try {
-      this.client = createClient({
-        socket: {
-          host: this.config.host,
-          port: this.config.port
-        },
-        username: this.config.username || undefined,
-        password: this.config.password || undefined,
-      });
-
-      // Log connection events
-      this.client.on('error', (err) => {
-        console.error(chalk.red('Redis connection error:'), err);
-        this.isConnected = false;
-      });
-
-      this.client.on('connect', () => {
-        console.log(chalk.green('Connected to Redis cache'));
-      });
-
-      this.client.on('ready', () => {
-        console.log(chalk.green('Redis cache is ready'));
-        this.isConnected = true;
-      });
-
-      this.client.on('reconnecting', () => {
-        console.log(chalk.yellow('Reconnecting to Redis cache...'));
-      });
+    const store = this.customStore || createStore(this.config.backend);
 
-      this.client.on('end', () => {
-        console.log(chalk.yellow('Redis connection closed'));
-        this.isConnected = false;
-      });
-
-      // Connect to Redis
-      await this.client.connect();
-      return true;
+    try {
+      await store.connect();
+      this.store = store;
     } catch (error) {
-      console.error(chalk.red('Failed to initialize Redis cache:'), error.message);
-      this.isConnected = false;
-      return false;
+      console.warn(chalk.yellow(`${store.name} cache unavailable (${error.message}); using in-memory cache for this run`));
+      this.store = createStore('memory');
     }
+
+    this.isConnected = true;
+    return true;
   }
 
   /**
@@ -74,15 +68,17 @@ class CacheService {
    * @returns {Promise<any>} Cached data or null if not found
    */
   async get(key) {
-    if (!this.isConnected || !this.cacheEnabled) return null;
+    if (!this.cacheEnabled) return null;
+    await this.connect();
+    if (!this.isConnected) return null;
 
     try {
-      const data = await this.client.get(key);
-      if (data) {
-        console.log(chalk.green(`🔍 Cache HIT: ${key}`));
-        return JSON.parse(data);
+      const data = await this.store.get(key);
+      if (data !== null) {
+        console.error(chalk.green(`🔍 Cache HIT: ${key}`));
+        return data;
       }
-      console.log(chalk.yellow(`🔍 Cache MISS: ${key}`));
+      console.error(chalk.yellow(`🔍 Cache MISS: ${key}`));
       return null;
     } catch (error) {
       console.error(chalk.red(`Cache get error for key ${key}:`), error.message);
@@ -98,12 +94,13 @@ class CacheService {
    * @returns {Promise<boolean>} Success status
    */
   async set(key, data, ttl = config.redis.cacheTtl) {
-    if (!this.isConnected || !this.cacheEnabled) return false;
+    if (!this.cacheEnabled) return false;
+    await this.connect();
+    if (!this.isConnected) return false;
 
     try {
-      const serializedData = JSON.stringify(data);
-      await this.client.set(key, serializedData, { EX: ttl });
-      console.log(chalk.green(`💾 Cache SET: ${key} (TTL: ${ttl}s)`));
+      await this.store.set(key, data, ttl);
+      console.error(chalk.green(`💾 Cache SET: ${key} (TTL: ${ttl}s)`));
       return true;
     } catch (error) {
       console.error(chalk.red(`Cache set error for key ${key}:`), error.message);
@@ -111,17 +108,83 @@ class CacheService {
     }
   }
 
+  /**
+   * Get a value with stale-while-revalidate semantics
+   * Fresh values are returned as is. Values past their TTL are returned at
+   * once, marked stale, while a background request refreshes them. Concurrent
+   * requests for the same key share one upstream call. Values are kept for
+   * staleTtl after going stale so a failing upstream still has a last known
+   * good value to fall back to.
+   * @param {string} key Cache key
+   * @param {Function} fetcher Async function returning the fresh value; throws when the upstream fails
+   * @param {Object} [options] Options
+   * @param {number} [options.ttl] Seconds a value stays fresh
+   * @param {number} [options.staleTtl] Seconds a stale value is kept as a fallback
+   * @returns {Promise<Object>} { value, stale, fetchedAt, error }; value is null when the upstream
+   *   failed and nothing was cached
+   */
+  async fetch(key, fetcher, { ttl = config.redis.cacheTtl, staleTtl = this.config.staleTtl } = {}) {
+    const entry = await this.get(key);
+
+    if (isEntry(entry)) {
+      if (entry.freshUntil > Date.now()) {
+        return { value: entry.value, stale: false, fetchedAt: entry.fetchedAt, error: null };
+      }
+
+      console.error(chalk.yellow(`🔄 Cache STALE: ${key} (revalidating in background)`));
+      this.revalidate(key, fetcher, ttl, staleTtl).catch(error => {
+        console.warn(chalk.yellow(`Background refresh failed for ${key}:`), error.message);
+      });
+      return { value: entry.value, stale: true, fetchedAt: entry.fetchedAt, error: null };
+    }
+
+    try {
+      const value = await this.revalidate(key, fetcher, ttl, staleTtl);
+      return { value, stale: false, fetchedAt: new Date().toISOString(), error: null };
+    } catch (error) {
+      return { value: null, stale: false, fetchedAt: null, error };
+    }
+  }
+
+  /**
+   * Fetch a value from upstream and cache it, sharing the request with concurrent callers
+   * @param {string} key Cache key
+   * @param {Function} fetcher Async function returning the fresh value
+   * @param {number} ttl Seconds the value stays fresh
+   * @param {number} staleTtl Seconds the value is kept after going stale
+   * @returns {Promise<any>} Fresh value
+   */
+  revalidate(key, fetcher, ttl, staleTtl) {
+    if (!this.inflight.has(key)) {
+      const request = (async () => {
+        const value = await fetcher();
+        const now = Date.now();
+        await this.set(key, {
+          value,
+          fetchedAt: new Date(now).toISOString(),
+          freshUntil: now + ttl * 1000
+        }, ttl + staleTtl);
+        return value;
+      })().finally(() => this.inflight.delete(key));
+
+      this.inflight.set(key, request);
+    }
+    return this.inflight.get(key);
+  }
+
   /**
    * Delete data from cache
    * @param {string} key Cache key
    * @returns {Promise<boolean>} Success status
    */
   async delete(key) {
-    if (!this.isConnected || !this.cacheEnabled) return false;
+    if (!this.cacheEnabled) return false;
+    await this.connect();
+    if (!this.isConnected) return false;
 
     try {
-      await this.client.del(key);
-      console.log(chalk.yellow(`🗑️ Cache DELETE: ${key}`));
+      await this.store.delete(key);
+      console.error(chalk.yellow(`🗑️ Cache DELETE: ${key}`));
       return true;
     } catch (error) {
       console.error(chalk.red(`Cache delete error for key ${key}:`), error.message);
@@ -135,16 +198,13 @@ class CacheService {
    * @returns {Promise<number>} Number of keys deleted
    */
   async clearByPrefix(prefix) {
-    if (!this.isConnected || !this.cacheEnabled) return 0;
+    if (!this.cacheEnabled) return 0;
+    await this.connect();
+    if (!this.isConnected) return 0;
 
     try {
-      // Find all keys with the prefix
-      const keys = await this.client.keys(`${prefix}*`);
-      if (keys.length === 0) return 0;
-
-      // Delete all found keys
-      const result = await this.client.del(keys);
-      console.log(chalk.yellow(`🗑️ Cache CLEAR: ${prefix}* (${result} keys)`));
+      const result = await this.store.clearByPrefix(prefix);
+      console.error(chalk.yellow(`🗑️ Cache CLEAR: ${prefix}* (${result} keys)`));
       return result;
     } catch (error) {
       console.error(chalk.red(`Cache clear error for prefix ${prefix}:`), error.message);
@@ -153,21 +213,47 @@ class CacheService {
   }
 
   /**
-   * Close the Redis connection
+   * Close the cache store
    */
   async close() {
-    if (this.client && this.isConnected) {
+    // Let background refreshes finish writing before the store goes away
+    await Promise.allSettled([...this.inflight.values()]);
+
+    if (this.store && this.isConnected) {
       try {
-        await this.client.quit();
-        console.log(chalk.yellow('Redis connection closed'));
+        await this.store.close();
       } catch (error) {
-        console.error(chalk.red('Error closing Redis connection:'), error.message);
+        console.error(chalk.red('Error closing cache store:'), error.message);
       }
       this.isConnected = false;
     }
   }
 }
 
+// Entries written by fetch() wrap the value with its freshness
+function isEntry(entry) {
+  return entry !== null && typeof entry === 'object' && 'freshUntil' in entry && 'value' in entry;
+}
+
+/**
+ * Create a cache store by backend name
+ * @param {string} backend memory, file or redis
+ * @returns {Object} Cache store
+ */
+export function createStore(backend) {
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore({ maxEntries: config.cache.maxEntries });
+    case 'file':
+      return new FileStore({ directory: config.cache.directory });
+    case 'redis':
+      return new RedisStore(config.redis);
+    default:
+      console.warn(chalk.yellow(`Unknown cache backend "${backend}"; using in-memory cache`));
+      return new MemoryStore({ maxEntries: config.cache.maxEntries });
+  }
+}
+
 // Create a singleton instance
 const cacheService = new CacheService();
 
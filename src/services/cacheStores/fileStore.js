@@ -0,0 +1,81 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * File-based cache store
+ * Each entry is a JSON file named after its URL-encoded key, so entries
+ * survive across runs and prefixes can be matched from file names alone.
+ */
+export class FileStore {
+  /**
+   * @param {Object} options Store options
+   * @param {string} options.directory Directory holding the cache files
+   */
+  constructor({ directory }) {
+    this.name = 'file';
+    this.directory = directory;
+  }
+
+  async connect() {
+    await fs.mkdir(this.directory, { recursive: true });
+  }
+
+  /**
+   * @param {string} key Cache key
+   * @returns {Promise<any>} Stored value, or null when missing or expired
+   */
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.getPath(key), 'utf8'));
+    } catch (error) {
+      // Missing and half-written files are both cache misses
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  /**
+   * @param {string} key Cache key
+   * @param {any} value Value to store
+   * @param {number} ttl Time to live in seconds
+   */
+  async set(key, value, ttl) {
+    const filePath = this.getPath(key);
+    // Write then rename so concurrent runs never read a partial file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ key, value, expiresAt: Date.now() + ttl * 1000 }));
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * @param {string} key Cache key
+   */
+  async delete(key) {
+    await fs.rm(this.getPath(key), { force: true });
+  }
+
+  /**
+   * @param {string} prefix Key prefix
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  async clearByPrefix(prefix) {
+    const encodedPrefix = encodeURIComponent(prefix);
+    const files = await fs.readdir(this.directory).catch(() => []);
+    const matches = files.filter(file => file.startsWith(encodedPrefix) && file.endsWith('.json'));
+
+    await Promise.all(matches.map(file => fs.rm(path.join(this.directory, file), { force: true })));
+    return matches.length;
+  }
+
+  async close() {}
+
+  getPath(key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+}
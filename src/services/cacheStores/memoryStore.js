@@ -0,0 +1,75 @@
+/**
+ * In-process LRU cache store
+ * Entries live for the lifetime of the process; the least recently used entry
+ * is evicted once maxEntries is reached.
+ */
+export class MemoryStore {
+  /**
+   * @param {Object} [options] Store options
+   * @param {number} [options.maxEntries] Maximum number of entries kept
+   */
+  constructor({ maxEntries = 500 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async connect() {}
+
+  /**
+   * @param {string} key Cache key
+   * @returns {Promise<any>} Stored value, or null when missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert to mark the entry as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * @param {string} key Cache key
+   * @param {any} value Value to store
+   * @param {number} ttl Time to live in seconds
+   */
+  async set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {string} key Cache key
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * @param {string} prefix Key prefix
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  async clearByPrefix(prefix) {
+    let deleted = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async close() {}
+}
@@ -0,0 +1,108 @@
+import { createClient } from 'redis';
+import chalk from 'chalk';
+
+/**
+ * Redis cache store
+ */
+export class RedisStore {
+  /**
+   * @param {Object} options Redis connection options (host, port, username, password)
+   */
+  constructor(options) {
+    this.name = 'redis';
+    this.options = options;
+    this.client = null;
+    this.isConnected = false;
+    this.hasConnected = false;
+  }
+
+  /**
+   * Connect to Redis
+   * Rejects when Redis is unreachable on startup instead of retrying forever.
+   */
+  async connect() {
+    const { host, port, username, password } = this.options;
+
+    this.client = createClient({
+      socket: {
+        host,
+        port,
+        reconnectStrategy: (retries) => this.hasConnected && retries < 5
+          ? Math.min(retries * 200, 2000)
+          : new Error(`Redis is unreachable at ${host}:${port}`)
+      },
+      username: username || undefined,
+      password: password || undefined,
+    });
+
+    // Log connection events
+    this.client.on('error', (err) => {
+      if (this.hasConnected) {
+        console.error(chalk.red('Redis connection error:'), err.message);
+      }
+      this.isConnected = false;
+    });
+
+    this.client.on('ready', () => {
+      console.error(chalk.green('Redis cache is ready'));
+      this.isConnected = true;
+      this.hasConnected = true;
+    });
+
+    this.client.on('reconnecting', () => {
+      console.error(chalk.yellow('Reconnecting to Redis cache...'));
+    });
+
+    this.client.on('end', () => {
+      this.isConnected = false;
+    });
+
+    await this.client.connect();
+  }
+
+  /**
+   * @param {string} key Cache key
+   * @returns {Promise<any>} Stored value, or null when missing
+   */
+  async get(key) {
+    if (!this.isConnected) return null;
+    const data = await this.client.get(key);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * @param {string} key Cache key
+   * @param {any} value Value to store
+   * @param {number} ttl Time to live in seconds
+   */
+  async set(key, value, ttl) {
+    if (!this.isConnected) return;
+    await this.client.set(key, JSON.stringify(value), { EX: ttl });
+  }
+
+  /**
+   * @param {string} key Cache key
+   */
+  async delete(key) {
+    if (!this.isConnected) return;
+    await this.client.del(key);
+  }
+
+  /**
+   * @param {string} prefix Key prefix
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  async clearByPrefix(prefix) {
+    if (!this.isConnected) return 0;
+    const keys = await this.client.keys(`${prefix}*`);
+    if (keys.length === 0) return 0;
+    return this.client.del(keys);
+  }
+
+  async close() {
+    if (this.client && this.isConnected) {
+      await this.client.quit();
+      this.isConnected = false;
+    }
+  }
+}
@@ -3,12 +3,14 @@ import config from '../config/index.js';
 import cacheService from './cache.js';
 import chalk from 'chalk';
 
-const { baseUrl, yieldsUrl, stablecoinsUrl } = config.api.defiLlama;
+const { baseUrl, yieldsUrl, stablecoinsUrl, coinsUrl } = config.api.defiLlama;
 const cachePrefix = config.cache.protocolPrefix;
 
 /**
  * DefiLlama API service
- * Provides methods to fetch data from DefiLlama API with caching
+ * Provides methods to fetch data from DefiLlama API with caching.
+ * Expired values are served while they refresh in the background, and when
+ * DefiLlama fails the last known good value is used and reported by getStaleData().
  */
 class DefiLlamaService {
   constructor() {
@@ -19,6 +21,24 @@ class DefiLlamaService {
         'Content-Type': 'application/json'
       }
     });
+    // The full pools payload is large, so it is downloaded at most once per run and shared
+    this.poolsRequest = null;
+    // Cache keys served from stale data, with the time the data was fetched
+    this.staleData = {};
+    // Time every cache key served in this run was fetched from DefiLlama
+    this.fetchTimes = {};
+  }
+
+  /**
+   * Get the cache TTL of a protocol from config.protocols, matched by key or DefiLlama id
+   * @param {string} protocolId Protocol key or identifier in DefiLlama
+   * @returns {number} TTL in seconds
+   */
+  getProtocolTtl(protocolId) {
+    const entry = Object.entries(config.protocols).find(([key, protocol]) =>
+      key === protocolId || protocol.defiLlamaId === protocolId
+    );
+    return entry?.[1].cache?.ttl || config.redis.cacheTtl;
   }
 
   /**
@@ -32,36 +52,66 @@ class DefiLlamaService {
   }
 
   /**
-   * Fetch protocol information from DefiLlama
-   * @param {string} protocolId Protocol identifier in DefiLlama
-   * @returns {Promise<Object>} Protocol data
+   * Get the data served stale in this run
+   * @returns {Object} Fetch time (ISO string) keyed by cache key
    */
-  async getProtocolInfo(protocolId) {
-    const cacheKey = this.getCacheKey(protocolId);
+  getStaleData() {
+    return { ...this.staleData };
+  }
 
-    try {
-      // Check cache first
-      const cachedData = await cacheService.get(cacheKey);
-      if (cachedData) {
-        return cachedData;
-      }
+  /**
+   * Get when the data served for a protocol was fetched from DefiLlama
+   * @param {string} protocolId Protocol identifier
+   * @param {string} dataType Type of data, as passed to getCacheKey()
+   * @returns {string|null} Fetch time (ISO string), or null when nothing was served
+   */
+  getFetchedAt(protocolId, dataType = 'info') {
+    return this.fetchTimes[this.getCacheKey(protocolId, dataType)] || null;
+  }
 
-      // If not in cache, fetch from API
-      console.log(chalk.blue(`📡 Fetching protocol info from DefiLlama: ${protocolId}`));
-      const response = await this.client.get(`${baseUrl}/protocol/${protocolId}`);
+  /**
+   * Fetch through the cache, recording stale values and logging failures
+   * @param {string} cacheKey Cache key
+   * @param {Object} options Options
+   * @param {number} options.ttl Seconds the value stays fresh
+   * @param {number} [options.staleTtl] Seconds a stale value is kept as a fallback
+   * @param {string} options.errorLabel Prefix of the error logged when nothing can be returned
+   * @param {any} options.fallback Value returned when the upstream fails and nothing is cached
+   * @param {Function} fetcher Async function returning the fresh value; throws on failure
+   * @returns {Promise<any>} Fresh, stale or fallback value
+   */
+  async fetchCached(cacheKey, { ttl, staleTtl, errorLabel, fallback }, fetcher) {
+    const result = await cacheService.fetch(cacheKey, fetcher, { ttl, staleTtl });
 
-      if (response.data) {
-        // Store in cache
-        const ttl = config.protocols[protocolId]?.cache?.ttl || config.redis.cacheTtl;
-        await cacheService.set(cacheKey, response.data, ttl);
-        return response.data;
-      }
+    if (result.error) {
+      console.error(chalk.red(errorLabel), result.error.message);
+      return fallback;
+    }
 
-      return null;
-    } catch (error) {
-      console.error(chalk.red(`DefiLlama API error for ${protocolId}:`), error.message);
-      return null;
+    this.fetchTimes[cacheKey] = result.fetchedAt;
+    if (result.stale) {
+      this.staleData[cacheKey] = result.fetchedAt;
+    } else {
+      delete this.staleData[cacheKey];
     }
+    return result.value;
+  }
+
+  /**
+   * Fetch protocol information from DefiLlama
+   * @param {string} protocolId Protocol identifier in DefiLlama
+   * @returns {Promise<Object>} Protocol data
+   */
+  async getProtocolInfo(protocolId) {
+    return this.fetchCached(this.getCacheKey(protocolId), {
+      ttl: this.getProtocolTtl(protocolId),
+      errorLabel: `DefiLlama API error for ${protocolId}:`,
+      fallback: null
+    }, async () => {
+      console.error(chalk.blue(`📡 Fetching protocol info from DefiLlama: ${protocolId}`));
+      const response = await this.client.get(`${baseUrl}/protocol/${protocolId}`);
+      return requireData(response.data);
+    });
   }
 
   /**
@@ -70,69 +120,77 @@ class DefiLlamaService {
    * @returns {Promise<Object>} TVL data
    */
   async getProtocolTvl(protocolId) {
-    const cacheKey = this.getCacheKey(protocolId, 'tvl');
-
-    try {
-      // Check cache first
-      const cachedData = await cacheService.get(cacheKey);
-      if (cachedData) {
-        return cachedData;
-      }
-
-      // If not in cache, fetch from API
-      console.log(chalk.blue(`📡 Fetching protocol TVL from DefiLlama: ${protocolId}`));
+    return this.fetchCached(this.getCacheKey(protocolId, 'tvl'), {
+      ttl: this.getProtocolTtl(protocolId),
+      errorLabel: `DefiLlama TVL API error for ${protocolId}:`,
+      fallback: null
+    }, async () => {
+      console.error(chalk.blue(`📡 Fetching protocol TVL from DefiLlama: ${protocolId}`));
       const response = await this.client.get(`${baseUrl}/tvl/${protocolId}`);
-
-      if (response.data) {
-        // Store in cache
-        const ttl = config.protocols[protocolId]?.cache?.ttl || config.redis.cacheTtl;
-        await cacheService.set(cacheKey, response.data, ttl);
-        return response.data;
-      }
-
-      return null;
-    } catch (error) {
-      console.error(chalk.red(`DefiLlama TVL API error for ${protocolId}:`), error.message);
-      return null;
-    }
+      return requireData(response.data);
+    });
   }
 
   /**
    * Fetch yield pools for a protocol
+   * Filtered pools are cached per protocol with its TTL; the full pools
+   * payload is only downloaded on a cache miss, and at most once per run.
    * @param {string} protocolId Protocol identifier in DefiLlama
    * @returns {Promise<Array>} Yield pools
    */
   async getProtocolYields(protocolId) {
-    const cacheKey = this.getCacheKey(protocolId, 'yields');
-
-    try {
-      // Check cache first
-      const cachedData = await cacheService.get(cacheKey);
-      if (cachedData) {
-        return cachedData;
-      }
-
-      // If not in cache, fetch from API
-      console.log(chalk.blue(`📡 Fetching protocol yields from DefiLlama: ${protocolId}`));
-      const response = await this.client.get(`${yieldsUrl}/pools`);
-
-      if (response.data && Array.isArray(response.data.data)) {
-        // Filter pools for the specific protocol
-        const filteredPools = response.data.data.filter(pool =>
-          pool.project === protocolId
-        );
-
-        // Store in cache
-        const ttl = config.protocols[protocolId]?.cache?.ttl || config.redis.cacheTtl;
-        await cacheService.set(cacheKey, filteredPools, ttl);
-        return filteredPools;
-      }
+    return this.fetchCached(this.getCacheKey(protocolId, 'yields'), {
+      ttl: this.getProtocolTtl(protocolId),
+      errorLabel: `DefiLlama Yields API error for ${protocolId}:`,
+      fallback: []
+    }, async () => {
+      const pools = await this.getYieldPools();
+      // Filter pools for the specific protocol
+      return pools.filter(pool => pool.project === protocolId);
+    });
+  }
 
-      return [];
-    } catch (error) {
-      console.error(chalk.red(`DefiLlama Yields API error for ${protocolId}:`), error.message);
-      return [];
+  /**
+   * Fetch every yield pool tracked by DefiLlama
+   * The request is shared by every caller in the same run.
+   * @returns {Promise<Array>} Yield pools; rejects when DefiLlama fails
+   */
+  async getYieldPools() {
+    if (!this.poolsRequest) {
+      console.error(chalk.blue(`📡 Fetching yield pools from DefiLlama`));
+      this.poolsRequest = this.client.get(`${yieldsUrl}/pools`)
+        .then(response => {
+          if (!Array.isArray(response.data?.data)) {
+            throw new Error('Unexpected pools response');
+          }
+          return response.data.data;
+        })
+        .catch(error => {
+          // Let a later call retry instead of sharing the failure
+          this.poolsRequest = null;
+          throw error;
+        });
     }
+    return this.poolsRequest;
+  }
+
+  /**
+   * Fetch current prices for coins
+   * @param {Array<string>} coinIds Coin identifiers (e.g. "coingecko:ethereum")
+   * @returns {Promise<Object|null>} Prices as { coins: { [coinId]: { price, ... } } }
+   */
+  async getCurrentPrices(coinIds) {
+    return this.fetchCached(this.getCacheKey(coinIds.join(','), 'prices'), {
+      // Prices move quickly, so stale ones are not kept for long
+      ttl: config.cache.priceTtl,
+      staleTtl: config.cache.priceStaleTtl,
+      errorLabel: `DefiLlama Prices API error for ${coinIds.join(', ')}:`,
+      fallback: null
+    }, async () => {
+      console.error(chalk.blue(`📡 Fetching current prices from DefiLlama: ${coinIds.join(', ')}`));
+      const response = await this.client.get(`${coinsUrl}/prices/current/${coinIds.join(',')}`);
+      return requireData(response.data?.coins && response.data);
+    });
   }
 
   /**
@@ -141,32 +199,90 @@ class DefiLlamaService {
    * @returns {Promise<number|null>} Current APR as a percentage
    */
   async getPoolApr(poolId) {
-    const cacheKey = this.getCacheKey(poolId, 'pool');
-
-    try {
-      // Check cache first
-      const cachedData = await cacheService.get(cacheKey);
-      if (cachedData) {
-        return cachedData;
-      }
-
-      // If not in cache, fetch from API
-      console.log(chalk.blue(`📡 Fetching pool APR from DefiLlama: ${poolId}`));
+    return this.fetchCached(this.getCacheKey(poolId, 'pool'), {
+      ttl: 1800, // 30 minutes - shorter TTL for APR data
+      errorLabel: `DefiLlama Pool APR API error for ${poolId}:`,
+      fallback: null
+    }, async () => {
+      console.error(chalk.blue(`📡 Fetching pool APR from DefiLlama: ${poolId}`));
       const response = await this.client.get(`${yieldsUrl}/pool/${poolId}`);
+      return requireData(response.data?.data?.apy);
+    });
+  }
 
-      if (response.data && response.data.data && response.data.data.apy) {
-        const apr = response.data.data.apy;
+  /**
+   * Find the pool of a project for an asset symbol
+   * When several pools match, the one with the highest TVL is used.
+   * @param {string} protocolId Project identifier in DefiLlama (e.g. "aave-v3")
+   * @param {string} symbol Pool symbol (e.g. "WETH", "STETH")
+   * @param {string} chain Chain name
+   * @returns {Promise<Object|null>} Pool, or null when none matches
+   */
+  async findPool(protocolId, symbol, chain = 'Ethereum') {
+    const pools = await this.getProtocolYields(protocolId);
+    const matches = pools.filter(pool =>
+      pool.chain === chain && pool.symbol?.toUpperCase() === symbol.toUpperCase()
+    );
+
+    if (matches.length === 0) return null;
+    return matches.reduce((best, pool) => (pool.tvlUsd || 0) > (best.tvlUsd || 0) ? pool : best);
+  }
 
-        // Store in cache - shorter TTL for APR data
-        await cacheService.set(cacheKey, apr, 1800); // 30 minutes
-        return apr;
-      }
+  /**
+   * Fetch the daily APY and TVL history of a pool
+   * @param {string} poolId Pool identifier in DefiLlama
+   * @returns {Promise<Array>} Points as { timestamp, apy, apyBase, apyReward, tvlUsd }
+   */
+  async getPoolChart(poolId) {
+    return this.fetchCached(this.getCacheKey(poolId, 'chart'), {
+      ttl: config.cache.historyTtl,
+      errorLabel: `DefiLlama Pool Chart API error for ${poolId}:`,
+      fallback: []
+    }, async () => {
+      console.error(chalk.blue(`📡 Fetching pool history from DefiLlama: ${poolId}`));
+      const response = await this.client.get(`${yieldsUrl}/chart/${poolId}`);
+      return requireArray(response.data?.data);
+    });
+  }
 
-      return null;
-    } catch (error) {
-      console.error(chalk.red(`DefiLlama Pool APR API error for ${poolId}:`), error.message);
-      return null;
-    }
+  /**
+   * Fetch the daily supply and borrow rate history of a lending pool
+   * @param {string} poolId Pool identifier in DefiLlama
+   * @returns {Promise<Array>} Points as { timestamp, apyBase, apyBaseBorrow, totalSupplyUsd, totalBorrowUsd }
+   */
+  async getLendBorrowChart(poolId) {
+    return this.fetchCached(this.getCacheKey(poolId, 'lendBorrowChart'), {
+      ttl: config.cache.historyTtl,
+      errorLabel: `DefiLlama Lend/Borrow Chart API error for ${poolId}:`,
+      fallback: []
+    }, async () => {
+      console.error(chalk.blue(`📡 Fetching lending pool history from DefiLlama: ${poolId}`));
+      const response = await this.client.get(`${yieldsUrl}/chartLendBorrow/${poolId}`);
+      return requireArray(response.data);
+    });
+  }
+
+  /**
+   * Fetch the daily price history of a coin
+   * @param {string} coinId Coin identifier (e.g. "coingecko:ethereum")
+   * @param {Date} start First day
+   * @param {number} days Number of days
+   * @returns {Promise<Array>} Points as { timestamp, price } with timestamps in seconds
+   */
+  async getPriceChart(coinId, start, days) {
+    const startSeconds = Math.floor(start.getTime() / 1000);
+
+    return this.fetchCached(this.getCacheKey(coinId, `priceChart:${startSeconds}:${days}`), {
+      ttl: config.cache.historyTtl,
+      errorLabel: `DefiLlama Price Chart API error for ${coinId}:`,
+      fallback: []
+    }, async () => {
+      console.error(chalk.blue(`📡 Fetching price history from DefiLlama: ${coinId}`));
+      const response = await this.client.get(`${coinsUrl}/chart/${coinId}`, {
+        params: { start: startSeconds, span: days + 1, period: '1d' }
+      });
+      return requireArray(response.data?.coins?.[coinId]?.prices);
+    });
   }
 
   /**
@@ -174,31 +290,31 @@ class DefiLlamaService {
    * @returns {Promise<Array>} List of protocols
    */
   async getAllProtocols() {
-    const cacheKey = this.getCacheKey('all', 'protocols');
-
-    try {
-      // Check cache first
-      const cachedData = await cacheService.get(cacheKey);
-      if (cachedData) {
-        return cachedData;
-      }
-
-      // If not in cache, fetch from API
-      console.log(chalk.blue(`📡 Fetching all protocols from DefiLlama`));
+    return this.fetchCached(this.getCacheKey('all', 'protocols'), {
+      ttl: 86400, // 24 hours - longer TTL for list of all protocols
+      errorLabel: `DefiLlama Protocols API error:`,
+      fallback: []
+    }, async () => {
+      console.error(chalk.blue(`📡 Fetching all protocols from DefiLlama`));
       const response = await this.client.get(`${baseUrl}/protocols`);
+      return requireArray(response.data);
+    });
+  }
+}
 
-      if (response.data && Array.isArray(response.data)) {
-        // Store in cache - longer TTL for list of all protocols
-        await cacheService.set(cacheKey, response.data, 86400); // 24 hours
-        return response.data;
-      }
+// Responses without data are failures, so the last known good value is used instead
+function requireData(data) {
+  if (data === undefined || data === null || data === '') {
+    throw new Error('Empty response');
+  }
+  return data;
+}
 
-      return [];
-    } catch (error) {
-      console.error(chalk.red(`DefiLlama Protocols API error:`), error.message);
-      return [];
-    }
+function requireArray(data) {
+  if (!Array.isArray(data)) {
+    throw new Error('Unexpected response');
   }
+  return data;
 }
 
 // Create a singleton instance
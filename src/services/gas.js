@@ -0,0 +1,150 @@
+import axios from 'axios';
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/index.js';
+import cacheService from './cache.js';
+import chalk from 'chalk';
+
+const { blocknativeUrl, etherscanUrl } = config.api.gas;
+const cachePrefix = config.cache.protocolPrefix;
+
+/**
+ * Gas price service
+ * Fetches gas prices from Blocknative and Etherscan with caching; recent
+ * prices are served while they refresh and when both sources fail. Every
+ * base and priority fee observed is kept in a local rolling history
+ * (config.gas.historyFile, one JSON line per observation).
+ */
+class GasService {
+  constructor() {
+    this.client = axios.create({
+      timeout: 10000, // 10 seconds
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+    // Time the data served for each source was fetched
+    this.fetchTimes = {};
+  }
+
+  /**
+   * Generate cache key for a gas source
+   * @param {string} source Gas data source
+   * @returns {string} Cache key
+   */
+  getCacheKey(source) {
+    return `${cachePrefix}gas:${source}`;
+  }
+
+  /**
+   * Get when the data served for a gas source was fetched
+   * @param {string} source blocknative or etherscan
+   * @returns {string|null} Fetch time (ISO string), or null when nothing was served
+   */
+  getFetchedAt(source) {
+    return this.fetchTimes[source] || null;
+  }
+
+  /**
+   * Fetch block price estimates from Blocknative
+   * @returns {Promise<Object|null>} Blocknative response with blockPrices, or null when unavailable
+   */
+  async getBlocknativePrices() {
+    const result = await cacheService.fetch(this.getCacheKey('blocknative'), async () => {
+      const response = await this.client.get(blocknativeUrl, {
+        headers: { 'Authorization': process.env.BLOCKNATIVE_API_KEY || '' }
+      });
+      if (!(response.data?.blockPrices?.length > 0)) {
+        throw new Error('No block prices in response');
+      }
+      return response.data;
+    }, { ttl: config.cache.gasTtl, staleTtl: config.cache.gasStaleTtl });
+
+    if (result.error) {
+      console.warn(chalk.yellow('Failed to fetch Blocknative gas data:'), result.error.message);
+    } else {
+      this.fetchTimes.blocknative = result.fetchedAt;
+    }
+    return result.value;
+  }
+
+  /**
+   * Fetch the Etherscan gas oracle
+   * @returns {Promise<Object|null>} Oracle result (SafeGasPrice, ProposeGasPrice, FastGasPrice), or null when unavailable
+   */
+  async getEtherscanGasOracle() {
+    const result = await cacheService.fetch(this.getCacheKey('etherscan'), async () => {
+      const response = await this.client.get(etherscanUrl, {
+        params: {
+          module: 'gastracker',
+          action: 'gasoracle',
+          apikey: process.env.ETHERSCAN_API_KEY || ''
+        }
+      });
+      // Etherscan reports errors as a string result
+      if (!response.data?.result || typeof response.data.result !== 'object') {
+        throw new Error(`Unexpected response: ${response.data?.result || 'empty'}`);
+      }
+      return response.data.result;
+    }, { ttl: config.cache.gasTtl, staleTtl: config.cache.gasStaleTtl });
+
+    if (result.error) {
+      console.warn(chalk.yellow('Failed to fetch Etherscan gas data:'), result.error.message);
+    } else {
+      this.fetchTimes.etherscan = result.fetchedAt;
+    }
+    return result.value;
+  }
+
+  /**
+   * Append observed fees to the rolling fee history
+   * Observations older than config.gas.historyDays are dropped, and one already
+   * recorded (the same data served again from the cache) is skipped.
+   * @param {Object} observation Observed fees
+   * @param {string} observation.observedAt When the fees were fetched (ISO string)
+   * @param {number} observation.baseFee Base fee in gwei
+   * @param {number|null} observation.priorityFee Priority fee in gwei
+   * @returns {Promise<boolean>} True when the observation was recorded
+   */
+  async recordFees({ observedAt, baseFee, priorityFee }) {
+    try {
+      const history = await this.getFeeHistory();
+      if (history.some(entry => entry.observedAt === observedAt)) {
+        return false;
+      }
+
+      const lines = [...history, { observedAt, baseFee, priorityFee }].map(entry => JSON.stringify(entry));
+      await fs.mkdir(path.dirname(config.gas.historyFile), { recursive: true });
+      await fs.writeFile(config.gas.historyFile, `${lines.join('\n')}\n`);
+      return true;
+    } catch (error) {
+      console.warn(chalk.yellow('Failed to record gas fees:'), error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Read the rolling fee history
+   * @returns {Promise<Array<Object>>} Observations as { observedAt, baseFee, priorityFee }, oldest first, within config.gas.historyDays
+   */
+  async getFeeHistory() {
+    let content;
+    try {
+      content = await fs.readFile(config.gas.historyFile, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const since = Date.now() - config.gas.historyDays * 24 * 60 * 60 * 1000;
+    return content.split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line))
+      .filter(entry => Date.parse(entry.observedAt) >= since);
+  }
+}
+
+// Create a singleton instance
+const gasService = new GasService();
+
+export default gasService;
@@ -0,0 +1,89 @@
+import { ethers } from 'ethers';
+import config from '../../config/index.js';
+import cacheService from '../cache.js';
+
+const AGGREGATOR_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+// Chainlink USD feeds on Ethereum mainnet
+const USD_FEEDS = {
+  ETH: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419',
+  EUR: '0xb49f677943BC038e9857d61E7d053CaA2C1734C1',
+  GBP: '0x5c0Ab2d9b5a7ed9f470386e82BB36A3613cDd4b5',
+  JPY: '0xBcE206caE7f0ec07b545EddE332A47C2F75bbeb3',
+  CHF: '0x449d117117838fFA61263B61dA6301AA2a88B13A',
+  AUD: '0x77F9710E7d0A19669A13c055F62cd80d313dF022'
+};
+
+/**
+ * Chainlink price source
+ * Reads the ETH/USD feed, and the <currency>/USD feed for other currencies,
+ * over the RPC node in config.prices.rpcUrl. Answers are cached like other
+ * prices, so a run reads each feed at most once.
+ */
+export class ChainlinkSource {
+  /**
+   * @param {Object} options Source options
+   * @param {string} [options.rpcUrl] RPC URL of an Ethereum mainnet node
+   */
+  constructor({ rpcUrl }) {
+    this.name = 'chainlink';
+    this.rpcUrl = rpcUrl;
+  }
+
+  /**
+   * @param {string} currency ISO 4217 currency code
+   * @returns {Promise<Object>} { ethUsd, usdRate, observedAt }; rejects when a feed cannot be read
+   */
+  async getPrices(currency) {
+    if (currency !== 'USD' && !USD_FEEDS[currency]) {
+      throw new Error(`No Chainlink ${currency}/USD feed; use the file price source`);
+    }
+    if (!this.rpcUrl) {
+      throw new Error('Chainlink prices need an RPC URL in ETH_RPC_URL');
+    }
+
+    const eth = await this.readFeed('ETH');
+    if (currency === 'USD') {
+      return { ethUsd: eth.price, usdRate: 1, observedAt: eth.updatedAt };
+    }
+
+    const fiat = await this.readFeed(currency);
+    return {
+      ethUsd: eth.price,
+      // The feed prices one unit of the currency in USD
+      usdRate: 1 / fiat.price,
+      observedAt: [eth.updatedAt, fiat.updatedAt].sort()[0]
+    };
+  }
+
+  /**
+   * Read the latest answer of a USD feed
+   * @param {string} symbol Feed key in USD_FEEDS
+   * @returns {Promise<Object>} { price, updatedAt }
+   */
+  async readFeed(symbol) {
+    const result = await cacheService.fetch(`${config.cache.protocolPrefix}prices:chainlink:${symbol}`, async () => {
+      // The feeds live on mainnet; a static network makes an unreachable node fail the read instead of retrying
+      const provider = new ethers.JsonRpcProvider(this.rpcUrl, 'mainnet', { staticNetwork: true });
+      try {
+        const feed = new ethers.Contract(USD_FEEDS[symbol], AGGREGATOR_ABI, provider);
+        const [decimals, round] = await Promise.all([feed.decimals(), feed.latestRoundData()]);
+        if (round.answer <= 0n) {
+          throw new Error(`Chainlink ${symbol}/USD feed answered ${round.answer}`);
+        }
+        return {
+          price: Number(ethers.formatUnits(round.answer, decimals)),
+          updatedAt: new Date(Number(round.updatedAt) * 1000).toISOString()
+        };
+      } finally {
+        provider.destroy();
+      }
+    }, { ttl: config.cache.priceTtl, staleTtl: config.cache.priceStaleTtl });
+
+    if (result.error) throw result.error;
+    return result.value;
+  }
+}
@@ -0,0 +1,50 @@
+import defiLlamaService from '../defiLlama.js';
+
+const ETH_COIN = 'coingecko:ethereum';
+
+// Stablecoins pegged to a fiat currency, whose USD price stands in for the exchange rate
+const FIAT_COINS = {
+  EUR: 'coingecko:euro-coin'
+};
+
+/**
+ * DefiLlama price source
+ * Reads the ETH price from the coins API, through the same cached request as
+ * the protocol data. DefiLlama only quotes USD, so other currencies use the
+ * USD price of a stablecoin pegged to them (EURC for EUR).
+ */
+export class DefiLlamaSource {
+  constructor() {
+    this.name = 'defillama';
+  }
+
+  /**
+   * @param {string} currency ISO 4217 currency code
+   * @returns {Promise<Object>} { ethUsd, usdRate, observedAt }; rejects when a price is missing
+   */
+  async getPrices(currency) {
+    const ethUsd = await getPrice(ETH_COIN);
+    if (currency === 'USD') {
+      return { ethUsd, usdRate: 1, observedAt: defiLlamaService.getFetchedAt(ETH_COIN, 'prices') };
+    }
+
+    const coinId = FIAT_COINS[currency];
+    if (!coinId) {
+      throw new Error(`DefiLlama has no ${currency} price; use the chainlink or file price source`);
+    }
+    return {
+      ethUsd,
+      usdRate: 1 / await getPrice(coinId),
+      observedAt: defiLlamaService.getFetchedAt(coinId, 'prices')
+    };
+  }
+}
+
+async function getPrice(coinId) {
+  const data = await defiLlamaService.getCurrentPrices([coinId]);
+  const price = data?.coins?.[coinId]?.price;
+  if (!(price > 0)) {
+    throw new Error(`No DefiLlama price for ${coinId}`);
+  }
+  return price;
+}
@@ -0,0 +1,45 @@
+import fs from 'fs/promises';
+
+/**
+ * Static price file source
+ * Reads prices from a local JSON file, for offline runs and currencies no
+ * feed covers. The file gives the ETH price in USD and in every currency to
+ * report in, and optionally when the prices were taken:
+ *
+ *   { "observedAt": "2026-10-01T12:00:00Z", "ETH": { "USD": 3000, "EUR": 2760 } }
+ */
+export class FileSource {
+  /**
+   * @param {Object} options Source options
+   * @param {string} options.file Path of the price file
+   */
+  constructor({ file }) {
+    this.name = 'file';
+    this.file = file;
+  }
+
+  /**
+   * @param {string} currency ISO 4217 currency code
+   * @returns {Promise<Object>} { ethUsd, usdRate, observedAt }; rejects when the file lacks a price
+   */
+  async getPrices(currency) {
+    let prices;
+    try {
+      prices = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read the price file ${this.file}: ${error.message}`);
+    }
+
+    const ethUsd = prices.ETH?.USD;
+    const ethPrice = prices.ETH?.[currency];
+    if (!(ethUsd > 0) || !(ethPrice > 0)) {
+      throw new Error(`The price file ${this.file} needs the ETH price in USD and ${currency}`);
+    }
+
+    return {
+      ethUsd,
+      usdRate: ethPrice / ethUsd,
+      observedAt: typeof prices.observedAt === 'string' ? prices.observedAt : null
+    };
+  }
+}
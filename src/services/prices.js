@@ -0,0 +1,76 @@
+import config from '../config/index.js';
+import chalk from 'chalk';
+import { DefiLlamaSource } from './priceSources/defiLlamaSource.js';
+import { ChainlinkSource } from './priceSources/chainlinkSource.js';
+import { FileSource } from './priceSources/fileSource.js';
+
+/**
+ * Fiat price service
+ * Quotes ETH and USD in a fiat currency for reporting, from an interchangeable
+ * source: DefiLlama's coins API ("defillama"), Chainlink price feeds read
+ * over RPC ("chainlink") or a static price file ("file"), selected by
+ * config.prices.source. Stablecoins are taken at their USD peg.
+ */
+export class PriceService {
+  /**
+   * @param {Object} [options] Options
+   * @param {Object} [options.source] Source to use instead of the one selected by config.prices.source
+   */
+  constructor({ source = null } = {}) {
+    this.customSource = source;
+  }
+
+  /**
+   * Quote the ETH price and the USD exchange rate in a currency
+   * When the source fails, a USD quote falls back to the ETH price of the
+   * protocol data.
+   * @param {string} currency ISO 4217 currency code (e.g. "USD", "EUR")
+   * @param {Object} [options] Options
+   * @param {number} [options.fallbackEthUsd] ETH price in USD to fall back to
+   * @returns {Promise<Object|null>} { currency, source, ethPrice, usdRate, observedAt }, or null when
+   *   no price is available
+   */
+  async getQuote(currency, { fallbackEthUsd = null } = {}) {
+    const source = this.customSource || createSource(config.prices.source);
+
+    try {
+      const { ethUsd, usdRate, observedAt } = await source.getPrices(currency);
+      return { currency, source: source.name, ethPrice: round(ethUsd * usdRate), usdRate, observedAt: observedAt || null };
+    } catch (error) {
+      if (currency === 'USD' && fallbackEthUsd > 0) {
+        console.warn(chalk.yellow(`${source.name} prices unavailable (${error.message}); using the ETH price of the protocol data`));
+        return { currency, source: 'protocol data', ethPrice: fallbackEthUsd, usdRate: 1, observedAt: null };
+      }
+      console.warn(chalk.yellow(`${source.name} prices unavailable:`), error.message);
+      return null;
+    }
+  }
+}
+
+/**
+ * Create the price source of a config.prices.source value
+ * @param {string} name defillama, chainlink or file
+ * @returns {Object} Price source
+ */
+export function createSource(name) {
+  switch (name) {
+    case 'defillama':
+      return new DefiLlamaSource();
+    case 'chainlink':
+      return new ChainlinkSource({ rpcUrl: config.prices.rpcUrl });
+    case 'file':
+      return new FileSource({ file: config.prices.file });
+    default:
+      console.warn(chalk.yellow(`Unknown price source "${name}"; using DefiLlama`));
+      return new DefiLlamaSource();
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Create a singleton instance
+const priceService = new PriceService();
+
+export default priceService;
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { CacheService } from '../cache.js';
+import { MemoryStore } from '../cacheStores/memoryStore.js';
+
+// Wait for background refreshes to land
+function settle(cache) {
+  return Promise.allSettled([...cache.inflight.values()]);
+}
+
+function createCache() {
+  const cache = new CacheService({ store: new MemoryStore() });
+  cache.cacheEnabled = true;
+  return cache;
+}
+
+describe('Cache service fetch', () => {
+  it('should share one upstream request between concurrent callers', async () => {
+    const cache = createCache();
+    let calls = 0;
+    const fetcher = async () => {
+      calls++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return { apy: 3.2 };
+    };
+
+    const results = await Promise.all([1, 2, 3].map(() => cache.fetch('pools', fetcher, { ttl: 60 })));
+
+    assert.strictEqual(calls, 1);
+    results.forEach(result => assert.deepStrictEqual(result.value, { apy: 3.2 }));
+  });
+
+  it('should serve stale values while refreshing in the background', async () => {
+    const cache = createCache();
+    await cache.fetch('tvl', async () => 100, { ttl: 0, staleTtl: 60 });
+
+    const stale = await cache.fetch('tvl', async () => 200, { ttl: 60 });
+    assert.strictEqual(stale.value, 100);
+    assert.strictEqual(stale.stale, true);
+
+    await settle(cache);
+    const refreshed = await cache.fetch('tvl', async () => 300, { ttl: 60 });
+    assert.strictEqual(refreshed.value, 200);
+    assert.strictEqual(refreshed.stale, false);
+  });
+
+  it('should keep the last known good value when the upstream fails', async () => {
+    const cache = createCache();
+    await cache.fetch('price', async () => 3000, { ttl: 0, staleTtl: 60 });
+
+    const result = await cache.fetch('price', async () => { throw new Error('down'); }, { ttl: 60 });
+    await settle(cache);
+
+    assert.strictEqual(result.value, 3000);
+    assert.strictEqual(result.stale, true);
+    assert.ok(result.fetchedAt);
+  });
+
+  it('should report the error when nothing is cached', async () => {
+    const cache = createCache();
+
+    const result = await cache.fetch('missing', async () => { throw new Error('down'); }, { ttl: 60 });
+
+    assert.strictEqual(result.value, null);
+    assert.strictEqual(result.error.message, 'down');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MemoryStore } from '../cacheStores/memoryStore.js';
+import { FileStore } from '../cacheStores/fileStore.js';
+
+describe('Memory cache store', () => {
+  it('should evict the least recently used entry', async () => {
+    const store = new MemoryStore({ maxEntries: 2 });
+    await store.set('a', 1, 60);
+    await store.set('b', 2, 60);
+    await store.get('a');
+    await store.set('c', 3, 60);
+
+    assert.strictEqual(await store.get('a'), 1);
+    assert.strictEqual(await store.get('b'), null);
+    assert.strictEqual(await store.get('c'), 3);
+  });
+
+  it('should expire entries after their TTL', async () => {
+    const store = new MemoryStore();
+    await store.set('a', 1, 0);
+
+    assert.strictEqual(await store.get('a'), null);
+  });
+});
+
+describe('File cache store', () => {
+  let directory;
+  let store;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'yield-pilot-cache-'));
+    store = new FileStore({ directory: path.join(directory, 'cache') });
+    await store.connect();
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should persist values across store instances', async () => {
+    await store.set('eigen-pilot:protocol:aave-v3:yields', [{ symbol: 'WETH' }], 60);
+    const reopened = new FileStore({ directory: store.directory });
+
+    assert.deepStrictEqual(await reopened.get('eigen-pilot:protocol:aave-v3:yields'), [{ symbol: 'WETH' }]);
+  });
+
+  it('should clear keys by prefix only', async () => {
+    await store.set('eigen-pilot:protocol:lido:tvl', 1, 60);
+    await store.set('eigen-pilot:protocol:lido:info', 2, 60);
+    await store.set('eigen-pilot:gas', 3, 60);
+
+    assert.strictEqual(await store.clearByPrefix('eigen-pilot:protocol:lido:'), 2);
+    assert.strictEqual(await store.get('eigen-pilot:protocol:lido:tvl'), null);
+    assert.strictEqual(await store.get('eigen-pilot:gas'), 3);
+  });
+
+  it('should treat expired entries as misses', async () => {
+    await store.set('expired', 1, 0);
+
+    assert.strictEqual(await store.get('expired'), null);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PriceService } from '../prices.js';
+import { FileSource } from '../priceSources/fileSource.js';
+
+describe('Price service', () => {
+  let directory;
+  let file;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'yield-pilot-prices-'));
+    file = path.join(directory, 'prices.json');
+    await fs.writeFile(file, JSON.stringify({ observedAt: '2026-10-01T12:00:00Z', ETH: { USD: 3000, EUR: 2760 } }));
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should quote ETH and USD in a currency from a price file', async () => {
+    const service = new PriceService({ source: new FileSource({ file }) });
+
+    assert.deepStrictEqual(await service.getQuote('EUR'), {
+      currency: 'EUR',
+      source: 'file',
+      ethPrice: 2760,
+      usdRate: 0.92,
+      observedAt: '2026-10-01T12:00:00Z'
+    });
+    assert.strictEqual(await service.getQuote('GBP'), null);
+  });
+
+  it('should fall back to the protocol data ETH price for USD when the source fails', async () => {
+    const service = new PriceService({ source: new FileSource({ file: path.join(directory, 'missing.json') }) });
+
+    const quote = await service.getQuote('USD', { fallbackEthUsd: 3100 });
+    assert.strictEqual(quote.source, 'protocol data');
+    assert.strictEqual(quote.ethPrice, 3100);
+    assert.strictEqual(await service.getQuote('EUR', { fallbackEthUsd: 3100 }), null);
+  });
+});
@@ -0,0 +1,296 @@
+import fs from 'fs/promises';
+import path from 'path';
+import axios, { AxiosError } from 'axios';
+import chalk from 'chalk';
+import cacheService from '../services/cache.js';
+import defiLlamaService from '../services/defiLlama.js';
+import gasService from '../services/gas.js';
+
+/**
+ * Simulation snapshots
+ * A snapshot holds the getProtocolData() result of a run, the fiat quotes it
+ * was reported in and every raw upstream HTTP response (DefiLlama, The Graph,
+ * Blocknative, Etherscan), so the same simulation can be replayed later
+ * without network access.
+ *
+ * Recording and replaying hook the shared axios clients: the default axios
+ * instance used by plugins and the clients of the DefiLlama and gas services.
+ * Fiat quotes are kept whole instead, as the Chainlink price source reads its
+ * feeds over JSON-RPC rather than through axios.
+ */
+
+export const SNAPSHOT_VERSION = 1;
+
+// Query parameters and environment variables whose values never go into a snapshot
+const SECRET_PARAM = /key|token|secret/i;
+const SECRET_ENV = /API_KEY|TOKEN|SECRET/;
+const REDACTED = '<redacted>';
+
+const httpClients = new Set([axios, defiLlamaService.client, gasService.client]);
+
+// Active session: { mode: 'record' | 'replay', responses, protocolData, quotes, cursors, interceptors, cacheEnabled }
+// cacheEnabled is the cache setting before the session, restored when it stops
+let session = null;
+
+/**
+ * Register an additional axios instance to record from and replay to
+ * @param {Object} client axios instance
+ */
+export function registerHttpClient(client) {
+  httpClients.add(client);
+  if (session) attachInterceptors(client);
+}
+
+/**
+ * Start recording upstream responses and protocol data
+ * The cache is bypassed so every response comes from upstream.
+ */
+export function startRecording() {
+  stopSnapshot();
+  const { cacheEnabled } = cacheService;
+  cacheService.cacheEnabled = false;
+  session = { mode: 'record', responses: [], protocolData: null, quotes: {}, interceptors: [], cacheEnabled };
+  httpClients.forEach(attachInterceptors);
+}
+
+/**
+ * Start replaying a loaded snapshot
+ * Protocol data and fiat quotes come from the snapshot and HTTP requests are answered with the
+ * recorded responses; requests missing from the snapshot fail instead of reaching the network.
+ * @param {Object} snapshot Snapshot returned by loadSnapshot()
+ */
+export function startReplay(snapshot) {
+  stopSnapshot();
+  const { cacheEnabled } = cacheService;
+  cacheService.cacheEnabled = false;
+  session = {
+    mode: 'replay',
+    responses: snapshot.responses,
+    protocolData: snapshot.protocolData,
+    quotes: snapshot.quotes || {},
+    cursors: new Map(),
+    interceptors: [],
+    cacheEnabled
+  };
+  httpClients.forEach(attachInterceptors);
+}
+
+/**
+ * Stop recording or replaying, detach from the HTTP clients and restore the cache setting
+ */
+export function stopSnapshot() {
+  if (!session) return;
+  session.interceptors.forEach(({ client, request, response }) => {
+    client.interceptors.request.eject(request);
+    if (response !== undefined) client.interceptors.response.eject(response);
+  });
+  cacheService.cacheEnabled = session.cacheEnabled;
+  session = null;
+}
+
+/**
+ * Whether a snapshot is being replayed
+ * @returns {boolean} True while replaying
+ */
+export function isReplaying() {
+  return session?.mode === 'replay';
+}
+
+/**
+ * Keep the protocol data of the run being recorded
+ * Only the first result is kept, so every later step sees the data analyzeStrategy started from.
+ * @param {Object} protocolData Result of getProtocolData()
+ */
+export function captureProtocolData(protocolData) {
+  if (session?.mode === 'record' && session.protocolData === null) {
+    session.protocolData = structuredClone(protocolData);
+  }
+}
+
+/**
+ * Get the protocol data of the snapshot being replayed
+ * @returns {Object|null} A copy of the recorded protocol data, or null when not replaying
+ */
+export function getReplayedProtocolData() {
+  return isReplaying() ? structuredClone(session.protocolData) : null;
+}
+
+/**
+ * Keep a fiat quote of the run being recorded
+ * @param {string} currency ISO 4217 currency code
+ * @param {Object|null} quote Result of priceService.getQuote()
+ */
+export function captureQuote(currency, quote) {
+  if (session?.mode === 'record' && quote) {
+    session.quotes[currency] = structuredClone(quote);
+  }
+}
+
+/**
+ * Get a fiat quote of the snapshot being replayed
+ * @param {string} currency ISO 4217 currency code
+ * @returns {Object|null} A copy of the recorded quote, or null when not replaying or not recorded
+ */
+export function getReplayedQuote(currency) {
+  const quote = isReplaying() ? session.quotes[currency] : null;
+  return quote ? structuredClone(quote) : null;
+}
+
+/**
+ * Write the recording to a snapshot file
+ * @param {string} filePath Snapshot file
+ * @param {Object} options Options
+ * @param {Object} options.input Strategy input of the recorded run
+ * @returns {Promise<Object>} Written snapshot
+ */
+export async function saveSnapshot(filePath, { input }) {
+  if (session?.mode !== 'record') {
+    throw new Error('No snapshot is being recorded');
+  }
+  if (session.protocolData === null) {
+    throw new Error('No protocol data was recorded');
+  }
+
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    recordedAt: new Date().toISOString(),
+    input,
+    protocolData: session.protocolData,
+    quotes: session.quotes,
+    responses: session.responses
+  };
+
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(snapshot, null, 2));
+  return snapshot;
+}
+
+/**
+ * Read and check a snapshot file
+ * @param {string} filePath Snapshot file
+ * @returns {Promise<Object>} Snapshot as { version, recordedAt, input, protocolData, quotes, responses }
+ */
+export async function loadSnapshot(filePath) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read snapshot ${filePath}: ${error.message}`);
+  }
+
+  if (snapshot?.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${snapshot?.version} in ${filePath} (expected ${SNAPSHOT_VERSION})`);
+  }
+  if (!snapshot.protocolData || typeof snapshot.protocolData !== 'object') {
+    throw new Error(`Snapshot ${filePath} has no protocol data`);
+  }
+  if (!Array.isArray(snapshot.responses)) {
+    throw new Error(`Snapshot ${filePath} has no recorded responses`);
+  }
+  return snapshot;
+}
+
+function attachInterceptors(client) {
+  if (session.mode === 'record') {
+    const request = client.interceptors.request.use(config => {
+      config.snapshotRequest = describeRequest(client, config);
+      return config;
+    });
+    const response = client.interceptors.response.use(
+      result => {
+        recordResponse(result.config, { response: { status: result.status, data: result.data } });
+        return result;
+      },
+      error => {
+        recordResponse(error.config, {
+          error: {
+            message: error.message,
+            code: error.code || null,
+            status: error.response?.status ?? null,
+            data: error.response?.data ?? null
+          }
+        });
+        return Promise.reject(error);
+      }
+    );
+    session.interceptors.push({ client, request, response });
+  } else {
+    const request = client.interceptors.request.use(config => {
+      config.adapter = replayAdapter(describeRequest(client, config));
+      return config;
+    });
+    session.interceptors.push({ client, request });
+  }
+}
+
+function recordResponse(config, outcome) {
+  // Requests sent before recording started have nothing to pair with
+  if (session?.mode !== 'record' || !config?.snapshotRequest) return;
+  session.responses.push({ request: config.snapshotRequest, ...outcome });
+}
+
+// Adapter answering a request with the next recorded response for it; the last one is reused when they run out
+function replayAdapter(request) {
+  const key = requestKey(request);
+  const recorded = session.responses.filter(entry => requestKey(entry.request) === key);
+
+  return async config => {
+    if (recorded.length === 0) {
+      console.warn(chalk.yellow(`No recorded response for ${request.method} ${request.url}`));
+      throw new AxiosError(`No recorded response for ${request.method} ${request.url} in snapshot`, 'ERR_NOT_RECORDED', config);
+    }
+
+    const index = Math.min(session.cursors.get(key) || 0, recorded.length - 1);
+    session.cursors.set(key, index + 1);
+    const entry = recorded[index];
+
+    if (entry.error) {
+      const response = entry.error.status === null ? undefined : {
+        status: entry.error.status, statusText: '', headers: {}, config, data: entry.error.data
+      };
+      throw new AxiosError(entry.error.message, entry.error.code || undefined, config, null, response);
+    }
+
+    return {
+      data: entry.response.data,
+      status: entry.response.status,
+      statusText: 'OK',
+      headers: {},
+      config,
+      request: null
+    };
+  };
+}
+
+// Method, URL, query parameters and body of a request, with secrets removed
+function describeRequest(client, config) {
+  const baseURL = config.baseURL || client.defaults?.baseURL || '';
+  const url = config.url && /^https?:\/\//.test(config.url) ? config.url : `${baseURL}${config.url || ''}`;
+  const params = config.params
+    ? Object.fromEntries(Object.entries(config.params).map(([name, value]) =>
+      [name, SECRET_PARAM.test(name) ? REDACTED : value]))
+    : null;
+
+  return {
+    method: (config.method || 'get').toUpperCase(),
+    url: redactSecrets(url),
+    params,
+    body: config.data === undefined ? null : config.data
+  };
+}
+
+function redactSecrets(url) {
+  return Object.entries(process.env)
+    .filter(([name, value]) => SECRET_ENV.test(name) && value && value.length >= 8)
+    .reduce((redacted, [, value]) => redacted.split(value).join(REDACTED), url);
+}
+
+function requestKey(request) {
+  return JSON.stringify([request.method, request.url, sortKeys(request.params), sortKeys(request.body)]);
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value === null || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
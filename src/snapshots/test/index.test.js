@@ -0,0 +1,144 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import cacheService from '../../services/cache.js';
+import {
+  SNAPSHOT_VERSION,
+  registerHttpClient,
+  startRecording,
+  startReplay,
+  stopSnapshot,
+  captureProtocolData,
+  getReplayedProtocolData,
+  captureQuote,
+  getReplayedQuote,
+  saveSnapshot,
+  loadSnapshot
+} from '../index.js';
+
+// Axios instance answering from a function instead of the network
+function createClient(handler) {
+  const client = axios.create({
+    adapter: async config => ({ data: handler(config), status: 200, statusText: 'OK', headers: {}, config })
+  });
+  registerHttpClient(client);
+  return client;
+}
+
+async function tempFile() {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'yield-pilot-snapshot-'));
+  return path.join(directory, 'snapshot.json');
+}
+
+describe('Simulation snapshots', () => {
+  afterEach(() => stopSnapshot());
+
+  it('should replay recorded responses and protocol data without calling upstream', async () => {
+    let upstreamCalls = 0;
+    const client = createClient(config => {
+      upstreamCalls++;
+      return { tvl: 100, query: JSON.parse(config.data).query };
+    });
+    const file = await tempFile();
+
+    startRecording();
+    const recorded = await client.post('https://api.example/graph', { query: '{ reserves }' });
+    captureProtocolData({ aave: { supplyRates: { ETH: 2.1 } } });
+    await saveSnapshot(file, { input: { inputAsset: 'ETH', amount: 1 } });
+    stopSnapshot();
+
+    const snapshot = await loadSnapshot(file);
+    assert.strictEqual(snapshot.version, SNAPSHOT_VERSION);
+    assert.deepStrictEqual(snapshot.input, { inputAsset: 'ETH', amount: 1 });
+
+    startReplay(snapshot);
+    const replayed = await client.post('https://api.example/graph', { query: '{ reserves }' });
+
+    assert.strictEqual(upstreamCalls, 1);
+    assert.deepStrictEqual(replayed.data, recorded.data);
+    assert.deepStrictEqual(getReplayedProtocolData(), { aave: { supplyRates: { ETH: 2.1 } } });
+  });
+
+  it('should replay recorded failures and reject requests missing from the snapshot', async () => {
+    const client = axios.create({
+      adapter: async config => {
+        throw new axios.AxiosError('Request failed with status code 503', 'ERR_BAD_RESPONSE', config, null, {
+          status: 503, statusText: '', headers: {}, config, data: 'unavailable'
+        });
+      }
+    });
+    registerHttpClient(client);
+    const file = await tempFile();
+
+    startRecording();
+    await assert.rejects(client.get('https://api.example/tvl/lido'));
+    captureProtocolData({});
+    await saveSnapshot(file, { input: {} });
+
+    startReplay(await loadSnapshot(file));
+    await assert.rejects(client.get('https://api.example/tvl/lido'), error => error.response.status === 503);
+    await assert.rejects(client.get('https://api.example/tvl/kelp-dao'), /No recorded response/);
+  });
+
+  it('should keep API keys out of the snapshot', async () => {
+    process.env.TEST_SNAPSHOT_API_KEY = 'secret-api-key-123';
+    const client = createClient(() => ({ result: {} }));
+    const file = await tempFile();
+
+    startRecording();
+    await client.get('https://api.example/secret-api-key-123/gas', { params: { apikey: 'abc', module: 'gastracker' } });
+    captureProtocolData({});
+    await saveSnapshot(file, { input: {} });
+    delete process.env.TEST_SNAPSHOT_API_KEY;
+
+    const content = await fs.readFile(file, 'utf8');
+    assert.ok(!content.includes('secret-api-key-123'));
+    assert.ok(!content.includes('"abc"'));
+  });
+
+  it('should bypass the cache while recording or replaying and restore it afterwards', () => {
+    const { cacheEnabled } = cacheService;
+    try {
+      cacheService.cacheEnabled = true;
+      startRecording();
+      assert.strictEqual(cacheService.cacheEnabled, false);
+      // Switching sessions keeps the setting from before the first one
+      startReplay({ responses: [], protocolData: {} });
+      stopSnapshot();
+      assert.strictEqual(cacheService.cacheEnabled, true);
+
+      cacheService.cacheEnabled = false;
+      startRecording();
+      stopSnapshot();
+      assert.strictEqual(cacheService.cacheEnabled, false);
+    } finally {
+      cacheService.cacheEnabled = cacheEnabled;
+    }
+  });
+
+  it('should replay the recorded fiat quotes whatever their source', async () => {
+    const file = await tempFile();
+    const quote = { currency: 'EUR', source: 'chainlink', ethPrice: 2760, usdRate: 0.92, observedAt: '2026-10-01T12:00:00Z' };
+
+    startRecording();
+    captureProtocolData({ gas: { ethPrice: 3000 } });
+    captureQuote('EUR', quote);
+    await saveSnapshot(file, { input: { inputAsset: 'ETH', amount: 1, currency: 'EUR' } });
+    stopSnapshot();
+    assert.strictEqual(getReplayedQuote('EUR'), null);
+
+    startReplay(await loadSnapshot(file));
+    assert.deepStrictEqual(getReplayedQuote('EUR'), quote);
+    assert.strictEqual(getReplayedQuote('GBP'), null);
+  });
+
+  it('should reject snapshots of another version', async () => {
+    const file = await tempFile();
+    await fs.writeFile(file, JSON.stringify({ version: 99, protocolData: {}, responses: [] }));
+
+    await assert.rejects(loadSnapshot(file), /Unsupported snapshot version 99/);
+  });
+});
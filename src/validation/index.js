@@ -0,0 +1,159 @@
+/**
+ * Minimal JSON Schema (draft-07 subset) validator
+ * Supports type, enum, required, properties, additionalProperties, items,
+ * minItems, pattern, minimum, exclusiveMinimum, maximum and default, which is
+ * all our schemas use.
+ */
+
+/**
+ * Error thrown when a value does not match its schema
+ * Carries the field-level errors so callers can report every one of them.
+ */
+export class SchemaValidationError extends Error {
+  /**
+   * @param {string} subject What was validated, e.g. "strategy input"
+   * @param {Array<Object>} errors Validation errors as { path, message }
+   */
+  constructor(subject, errors) {
+    super(`Invalid ${subject}: ${formatSchemaErrors(errors).join('; ')}`);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {any} value Value to validate
+ * @param {Object} schema JSON Schema
+ * @param {string} [path] Path of the value, used in error messages
+ * @returns {Array<Object>} Validation errors as { path, message }, empty when valid
+ */
+export function validateSchema(value, schema, path = '') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+
+  const label = path || '(root)';
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path: label, message: `expected ${types.join(' or ')}, got ${describeType(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: label, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'string' && schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path: label, message: `must match ${schema.pattern}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: label, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path: label, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: label, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(child, properties[key], joinPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(...validateSchema(child, schema.additionalProperties, joinPath(path, key)));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ path: label, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${label}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in the schema defaults of missing object properties
+ * Values that are present are kept as they are, even when invalid, so
+ * validateSchema() still reports them.
+ *
+ * @param {any} value Value to complete
+ * @param {Object} schema JSON Schema
+ * @returns {any} Copy of the value with defaults applied
+ */
+export function applySchemaDefaults(value, schema) {
+  if (!schema || typeof schema !== 'object' || !isPlainObject(value)) return value;
+
+  const result = { ...value };
+  for (const [key, child] of Object.entries(schema.properties || {})) {
+    if (result[key] === undefined && child.default !== undefined) {
+      result[key] = structuredClone(child.default);
+    }
+    if (result[key] !== undefined) {
+      result[key] = applySchemaDefaults(result[key], child);
+    }
+  }
+  return result;
+}
+
+/**
+ * Format validation errors as readable strings
+ *
+ * @param {Array<Object>} errors Errors from validateSchema()
+ * @returns {Array<string>} Messages like "userInput.amount: expected number, got string"
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map(error => `${error.path}: ${error.message}`);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    // NaN and Infinity are never valid numbers in our data
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    default: return false;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
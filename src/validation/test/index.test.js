@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { validateSchema, applySchemaDefaults, formatSchemaErrors } from '../index.js';
+import { analyzeStrategy } from '../../analyzer/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const schema = YAML.parse(await fs.readFile(path.join(__dirname, '../../../simulationPromptSchema.yaml'), 'utf8'));
+const userInputSchema = schema.properties.userInput;
+
+describe('Schema validation', () => {
+  it('should apply defaults without overwriting given values', () => {
+    const input = applySchemaDefaults({ intent: 'maximize ETH yield', inputAsset: 'ETH', amount: 1, gasLimitEth: 0.02 }, userInputSchema);
+
+    assert.deepStrictEqual(input, {
+      intent: 'maximize ETH yield',
+      inputAsset: 'ETH',
+      amount: 1,
+      gasLimitEth: 0.02,
+      riskTolerance: 'medium',
+      timeHorizonDays: 30
+    });
+    assert.deepStrictEqual(validateSchema(input, userInputSchema, 'userInput'), []);
+
+    const context = applySchemaDefaults({}, schema.properties.marketContext);
+    assert.deepStrictEqual(context, { marketTrend: 'neutral', riskWarnings: [] });
+  });
+
+  it('should report every invalid field by path', () => {
+    const input = { intent: 'x', inputAsset: 'ETH', amount: NaN, riskTolerance: 'extreme', gasLimitEth: 0.015, timeHorizonDays: 0 };
+
+    assert.deepStrictEqual(formatSchemaErrors(validateSchema(input, userInputSchema, 'userInput')), [
+      'userInput.amount: expected number, got NaN',
+      'userInput.riskTolerance: must be one of "low", "medium", "high"',
+      'userInput.timeHorizonDays: must be >= 1'
+    ]);
+  });
+
+  it('should reject invalid strategy input before analyzing it', async () => {
+    await assert.rejects(
+      analyzeStrategy({ intent: 'x', inputAsset: 'ETH', amount: NaN }),
+      error => error.name === 'SchemaValidationError' && error.errors[0].path === 'userInput.amount'
+    );
+  });
+});